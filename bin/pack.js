@@ -7,78 +7,654 @@
 
 import { Command } from 'commander'
 import chalk from 'chalk'
+import fs from 'fs'
 import path from 'path'
-import { scan } from '../src/scanner.js'
-import { analyze } from '../src/analyzer.js'
-import { generateClaudeIgnore, generateClaudeMd, writeFiles } from '../src/generator.js'
-import { printScanReport, printSuggestReport } from '../src/formatter.js'
+import { scanAsync, excludeFromScan } from '../src/scanner.js'
+import { analyze, GRADES } from '../src/analyzer.js'
+import { generateClaudeIgnore, generateClaudeMd, renderAutoSections, updateClaudeMd, mergeClaudeIgnore, addSecurityExclusions, splitGeneratedBlock, writeFiles } from '../src/generator.js'
+import { printScanReport, printSuggestReport, printCompareReport, printCheckReport, printWatchDelta, printSimulationReport, printClaudeMdCheck, printPackReport, printSelectionReport, createProgress } from '../src/formatter.js'
+import { loadTokenizer, TOKENIZERS } from '../src/tokenizer.js'
+import { renderReport, buildCompareReport, FORMATS } from '../src/export.js'
+import { loadConfig } from '../src/config.js'
+import { checkBudgets } from '../src/check.js'
+import { loadRules } from '../src/rules.js'
+import { openCache, cacheFingerprint } from '../src/cache.js'
+import { watchProject, WATCH_DEBOUNCE_MS } from '../src/watch.js'
+import { diffScans } from '../src/diff.js'
+import { loadSnapshot, withGitRef } from '../src/compare.js'
+import { simulateIgnore } from '../src/simulate.js'
+import { parseIgnoreLines, compileIgnoreRules } from '../src/ignore.js'
+import { detectWorkspaces, scopeScan, scopeAnalysis } from '../src/workspaces.js'
+import { findUnreferenced } from '../src/imports.js'
+import { readGitHistory, annotateHistory } from '../src/history.js'
+import { buildPack, renderPack, PACK_FORMATS } from '../src/bundle.js'
+import { selectContext, renderOverlay, SELECT_BUDGET } from '../src/select.js'
+import { readText } from '../src/manifest.js'
 
 const program = new Command()
 
+/**
+ * Print an error and exit non-zero.
+ */
+function fail(message) {
+  console.error(chalk.red(`  ✗ ${message}`))
+  process.exit(1)
+}
+
+/**
+ * Add the config and token-estimator options shared by every scanning command.
+ * None of them has a default here: unset flags fall back to the config file.
+ */
+function withCommonOptions(command) {
+  return command
+    .option('--config <path>', 'config file (default: .contextpackrc.json, contextpack.config.js or package.json "contextPack")')
+    .option('--tokenizer <name>', `token estimator (${TOKENIZERS.join('|')})`)
+    .option('--tokenizer-module <path>', 'module exporting countTokens() for --tokenizer custom')
+    .option('--chars-per-token <n>', 'characters per token for the heuristic tokenizer', Number)
+    .option('--large-file-threshold <bytes>', 'flag files larger than this for manual review', Number)
+    .option('--no-cache', 'ignore and do not update the .contextpack-cache scan cache')
+    .option('--no-history', 'skip reading git history (churn, last commit dates)')
+}
+
+/**
+ * Option parser for --format: rejects an unknown value before anything is
+ * scanned.
+ */
+function formatOf(formats) {
+  return value => {
+    if (!formats.includes(value)) fail(`Unknown format "${value}" (expected ${formats.join(', ')})`)
+    return value
+  }
+}
+
+/**
+ * Modification time of a file, or null — feeds the cache fingerprint so
+ * edits to a custom tokenizer module invalidate it.
+ */
+function mtimeOf(filePath) {
+  try {
+    return fs.statSync(path.resolve(filePath)).mtimeMs
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Load config (CLI flags override the file), the tokenizer and the rule set.
+ */
+async function loadSettings(dir, opts, overrides = {}) {
+  const rootDir = path.resolve(dir)
+  try {
+    const config = await loadConfig(rootDir, {
+      configPath: opts.config,
+      overrides: {
+        tokenizer: opts.tokenizer,
+        tokenizerModule: opts.tokenizerModule,
+        charsPerToken: opts.charsPerToken,
+        largeFileThreshold: opts.largeFileThreshold,
+        history: opts.history === false ? false : undefined,
+        ...overrides,
+      },
+    })
+
+    const tokenizer = await loadTokenizer(config.tokenizer, {
+      module: config.tokenizerModule,
+      charsPerToken: config.charsPerToken,
+    })
+
+    const ruleSet = await loadRules(config, rootDir)
+    return { rootDir, config, tokenizer, ruleSet }
+  } catch (err) {
+    fail(err.message)
+  }
+}
+
+/**
+ * Scan and analyze with loaded settings. `cache` is an openCache() or
+ * createMemoryCache() instance, or null; `claudeignore` optionally replaces
+ * the root .claudeignore with candidate lines.
+ */
+async function scanProject({ rootDir, config, tokenizer, ruleSet }, { cache = null, onProgress, claudeignore } = {}) {
+  const result = await scanAsync(rootDir, {
+    cache,
+    claudeignore,
+    tokenizer,
+    defaultIgnore: config.defaultIgnore,
+    respectGitignore: config.respectGitignore,
+    maxFileBytes: config.maxFileBytes,
+    concurrency: config.concurrency,
+    onProgress,
+  })
+  if (config.history !== false) annotateHistory(result, await readGitHistory(rootDir))
+
+  const options = {
+    rules: ruleSet.rules,
+    disabledRules: ruleSet.disabled,
+    largeFileThreshold: config.largeFileThreshold,
+    largeFileLimit: config.largeFileLimit,
+    workspaces: detectWorkspaces(result),
+    staleAfterDays: config.staleAfterDays,
+  }
+  const analysis = analyze(result, options)
+  if (ruleSet.disabled.includes('unreferenced')) return { result, analysis }
+
+  // Trace imports through the files that aren't bloat already, then re-rank
+  const { findings } = findUnreferenced(result, { exclude: new Set(analysis.bloatFiles.map(f => f.relPath)) })
+  if (findings.length === 0) return { result, analysis }
+  return { result, analysis: analyze(result, { ...options, unreferenced: findings }) }
+}
+
+/**
+ * Open the on-disk scan cache unless --no-cache or `cache: false` says not to.
+ */
+function openProjectCache({ rootDir, config, tokenizer, ruleSet }, opts) {
+  if (opts.cache === false || config.cache === false) return null
+  return openCache(rootDir, cacheFingerprint({
+    tokenizer: tokenizer.label,
+    tokenizerModule: config.tokenizerModule && mtimeOf(config.tokenizerModule),
+    config,
+    rules: ruleSet.rules,
+  }))
+}
+
+/**
+ * Load settings, then scan and analyze once through the on-disk cache.
+ */
+async function loadProject(dir, opts, overrides = {}) {
+  const settings = await loadSettings(dir, opts, overrides)
+  try {
+    const cache = openProjectCache(settings, opts)
+    const progress = createProgress()
+    const { result, analysis } = await scanProject(settings, { cache, onProgress: progress.update })
+    progress.done()
+
+    return { ...settings, result, analysis }
+  } catch (err) {
+    fail(err.message)
+  }
+}
+
+/**
+ * Re-scan a loaded project with candidate .claudeignore lines in place of
+ * the real file. The disk cache is only read, so entries for files the
+ * candidate hides are kept.
+ */
+async function scanWithCandidate(project, opts, lines) {
+  try {
+    const cache = openProjectCache(project, opts)
+    return await scanProject(project, {
+      cache: cache && { ...cache, save() {} },
+      claudeignore: lines,
+    })
+  } catch (err) {
+    fail(err.message)
+  }
+}
+
+/**
+ * Scan with candidate lines and work out what each pattern changes.
+ * With a .claudeignore in place, a scan without it tells which idle
+ * patterns it already covers.
+ */
+async function simulateProject(project, opts, lines) {
+  const { result, analysis } = await scanWithCandidate(project, opts, lines)
+  const current = project.result.hasClaudeignore ? (await scanWithCandidate(project, opts, [])).result : null
+  const simulation = simulateIgnore({ before: project.result, after: result, lines, bloatFiles: project.analysis.bloatFiles, current })
+  return { ...simulation, before: project.result, beforeAnalysis: project.analysis, after: result, analysis }
+}
+
+/**
+ * Build CLAUDE.md content for a scan: a fresh file, or the existing one with
+ * its marked sections refreshed when --update or --check finds one.
+ * Returns { content, update } where update is the updateClaudeMd() result.
+ */
+function buildClaudeMd(scanResult, analysis, opts, mdOptions) {
+  const existing = opts.update || opts.check ? readText(path.join(scanResult.rootDir, 'CLAUDE.md')) : null
+  if (existing === null) return { content: generateClaudeMd(scanResult, analysis, mdOptions), update: null }
+  const update = updateClaudeMd(existing, renderAutoSections(scanResult, analysis, mdOptions))
+  return { content: update.content, update }
+}
+
+/**
+ * Write a machine-readable report to stdout. Returns false for `text`,
+ * leaving the caller to print its colored report.
+ */
+function emitReport(format, command, result, analysis) {
+  if (format === 'text') return false
+  try {
+    process.stdout.write(renderReport(format, command, result, analysis))
+  } catch (err) {
+    fail(err.message)
+  }
+  return true
+}
+
 program
   .name('claude-context-pack')
   .description('Analyze context size, detect bloat, generate .claudeignore + CLAUDE.md')
   .version('1.0.0')
 
-program
+withCommonOptions(program
   .command('scan')
   .description('Scan project and show context size breakdown')
   .argument('[dir]', 'directory to scan', '.')
-  .action((dir) => {
-    const rootDir = path.resolve(dir)
-    const result = scan(rootDir)
-    const analysis = analyze(result)
-    printScanReport(result, analysis)
+  .option('--format <type>', `output format (${FORMATS.join('|')})`, formatOf(FORMATS), 'text'))
+  .action(async (dir, opts) => {
+    const { result, analysis } = await loadProject(dir, opts)
+    if (!emitReport(opts.format, 'scan', result, analysis)) printScanReport(result, analysis)
   })
 
-program
+withCommonOptions(program
   .command('suggest')
   .description('Show recommended .claudeignore patterns without writing')
   .argument('[dir]', 'directory to scan', '.')
-  .action((dir) => {
-    const rootDir = path.resolve(dir)
-    const result = scan(rootDir)
-    const analysis = analyze(result)
-    printSuggestReport(analysis)
+  .option('--format <type>', `output format (${FORMATS.join('|')})`, formatOf(FORMATS), 'text'))
+  .action(async (dir, opts) => {
+    const { result, analysis } = await loadProject(dir, opts)
+    if (!emitReport(opts.format, 'suggest', result, analysis)) printSuggestReport(analysis)
   })
 
-program
+withCommonOptions(program
   .command('generate')
   .description('Write .claudeignore and CLAUDE.md to project root')
   .argument('[dir]', 'directory to scan', '.')
   .option('--overwrite', 'replace existing files', false)
   .option('--no-claudemd', 'skip generating CLAUDE.md')
   .option('--no-claudeignore', 'skip generating .claudeignore')
-  .action((dir, opts) => {
-    const rootDir = path.resolve(dir)
-    const result = scan(rootDir)
-    const analysis = analyze(result)
+  .option('--merge', 'keep hand-written .claudeignore lines and refresh only the generated block', false)
+  .option('--dry-run', 'show the effect of the generated .claudeignore without writing anything', false)
+  .option('--update', 'refresh only the marked auto-detected sections of an existing CLAUDE.md', false)
+  .option('--check', 'report stale auto-detected CLAUDE.md sections without writing (exit 1 when stale)', false)
+  .option('--packages', 'also write a CLAUDE.md into each workspace package', false))
+  .action(async (dir, opts) => {
+    const project = await loadProject(dir, opts)
+    const { rootDir, config, tokenizer, ruleSet, result, analysis } = project
+
+    let claudeignore = null
+    let merged = null
+    let keepExisting = false
+    if (opts.claudeignore !== false && opts.merge) {
+      // Suggest against the user's lines alone so the previous block doesn't hide its own patterns
+      const existing = readText(path.join(rootDir, '.claudeignore')) ?? ''
+      const userLines = parseIgnoreLines(splitGeneratedBlock(existing).user)
+      const { analysis: userAnalysis } = await scanWithCandidate(project, opts, userLines)
+      merged = mergeClaudeIgnore(existing, userAnalysis, { categoryLabels: ruleSet.categories })
+      claudeignore = merged.content
+    } else if (opts.claudeignore !== false) {
+      claudeignore = generateClaudeIgnore(analysis, result, { categoryLabels: ruleSet.categories })
+      // An existing file is kept, but sensitive files still in context are excluded from it
+      const existing = opts.overwrite ? null : readText(path.join(rootDir, '.claudeignore'))
+      if (existing !== null) {
+        const secured = addSecurityExclusions(existing, analysis, { categoryLabels: ruleSet.categories })
+        if (secured.added.length > 0) {
+          merged = secured
+          claudeignore = secured.content
+        } else {
+          keepExisting = true
+        }
+      }
+    }
+
+    // A failing detector loses its own findings, not the whole CLAUDE.md
+    const detectorErrors = new Set()
+    const mdOptions = {
+      keyFiles: config.keyFiles,
+      detectors: ruleSet.detectors,
+      architectureBudget: config.architectureBudget,
+      tokenizer,
+      onDetectorError: err => {
+        if (detectorErrors.has(err.message)) return
+        detectorErrors.add(err.message)
+        console.error(chalk.yellow(`  ⊘ ${err.message} — skipped`))
+      },
+    }
+
+    let claudeMd = null
+    let mdUpdate = null
+    let packageDocs = []
+    if (opts.claudemd !== false) {
+      let packages = []
+      if (opts.packages) {
+        packages = (analysis.workspaces?.packages ?? [])
+          .filter(p => p.dir !== '.')
+          .sort((a, b) => a.dir.localeCompare(b.dir))
+        if (packages.length === 0) fail('--packages found no workspace packages in this project')
+      }
+
+      try {
+        const built = buildClaudeMd(result, analysis, opts, mdOptions)
+        claudeMd = built.content
+        mdUpdate = built.update
+        packageDocs = packages.map(pkg => ({
+          pkg,
+          ...buildClaudeMd(scopeScan(result, pkg.dir), scopeAnalysis(analysis, pkg.dir), opts, {
+            ...mdOptions,
+            title: pkg.name,
+            parent: path.posix.relative(pkg.dir, 'CLAUDE.md'),
+          }),
+        }))
+      } catch (err) {
+        fail(`Could not build CLAUDE.md: ${err.message}`)
+      }
+    }
+
+    if (opts.check) {
+      const checks = [{ file: 'CLAUDE.md', update: mdUpdate }, ...packageDocs.map(d => ({ file: `${d.pkg.dir}/CLAUDE.md`, update: d.update }))]
+      const missing = checks.filter(c => !c.update)
+      if (missing.length === checks.length) fail('No CLAUDE.md to check — run generate first')
+      for (const { file, update } of checks) {
+        if (update) printClaudeMdCheck(update, { file })
+        else console.log(chalk.yellow(`\n  ⊘ ${file} does not exist — run generate --packages`))
+      }
+      if (checks.some(c => c.update?.stale.length > 0)) process.exitCode = 1
+      return
+    }
+
+    if (opts.dryRun) {
+      if (claudeignore === null) fail('--dry-run simulates the generated .claudeignore; drop --no-claudeignore')
+      // Simulate only what generate would write: an existing file it keeps changes nothing
+      if (keepExisting) {
+        console.log('')
+        console.log(chalk.yellow('  ⊘ .claudeignore already exists and would be left as is (use --merge to add suggestions or --overwrite to replace)'))
+      } else {
+        const simulation = await simulateProject(project, opts, parseIgnoreLines(claudeignore))
+        const label = opts.merge ? 'merged .claudeignore' : merged ? '.claudeignore with sensitive files excluded' : 'generated .claudeignore'
+        printSimulationReport(simulation, { label })
+      }
+      console.log(chalk.gray('  Dry run — nothing written.'))
+      console.log('')
+      return
+    }
 
-    const claudeignore = opts.claudeignore !== false
-      ? generateClaudeIgnore(analysis, result)
-      : null
+    const write = (dir, contents, options) => {
+      try {
+        return writeFiles(dir, contents, options)
+      } catch (err) {
+        fail(`Could not write files: ${err.message}`)
+      }
+    }
 
-    const claudeMd = opts.claudemd !== false
-      ? generateClaudeMd(result, analysis)
-      : null
+    const { written, skipped, unchanged } = write(rootDir, { claudeignore, claudeMd }, {
+      overwrite: opts.overwrite,
+      merge: Boolean(merged),
+      update: Boolean(mdUpdate),
+    })
+    const updates = new Map(mdUpdate ? [['CLAUDE.md', mdUpdate]] : [])
 
-    const { written, skipped } = writeFiles(rootDir, { claudeignore, claudeMd }, { overwrite: opts.overwrite })
+    for (const { pkg, content, update } of packageDocs) {
+      const outcome = write(path.join(rootDir, pkg.dir), { claudeMd: content }, {
+        overwrite: opts.overwrite,
+        update: Boolean(update),
+      })
+      const file = `${pkg.dir}/CLAUDE.md`
+      if (outcome.written.length > 0) written.push(file)
+      if (outcome.skipped.length > 0) skipped.push(file)
+      if (outcome.unchanged.length > 0) unchanged.push(file)
+      if (update) updates.set(file, update)
+    }
 
     console.log('')
-    if (written.length > 0) {
-      for (const f of written) {
-        console.log(chalk.green(`  ✓ ${f} written`))
+    for (const f of written) {
+      let detail = ''
+      if (merged && f === '.claudeignore') {
+        detail = opts.merge
+          ? ` (merged, ${merged.added.length} generated pattern${merged.added.length === 1 ? '' : 's'})`
+          : ` (excluded ${merged.added.length} sensitive file${merged.added.length === 1 ? '' : 's'})`
+      } else if (updates.has(f)) {
+        detail = ` (updated ${updates.get(f).stale.join(', ')})`
       }
+      console.log(chalk.green(`  ✓ ${f} written${detail}`))
+    }
+    for (const f of skipped) {
+      const hint = f === '.claudeignore'
+        ? 'use --merge to add suggestions or --overwrite to replace'
+        : 'use --update to refresh detected sections or --overwrite to replace'
+      console.log(chalk.yellow(`  ⊘ ${f} already exists (${hint})`))
     }
-    if (skipped.length > 0) {
-      for (const f of skipped) {
-        console.log(chalk.yellow(`  ⊘ ${f} already exists (use --overwrite to replace)`))
+    for (const f of unchanged) {
+      if (updates.get(f)?.current.length === 0) {
+        console.log(chalk.yellow(`  ⊘ ${f} has no context-pack markers to update (use --overwrite to regenerate it)`))
+      } else {
+        console.log(chalk.gray(`  ⊘ ${f} already up to date`))
       }
     }
-    if (written.length === 0 && skipped.length === 0) {
+    if (written.length === 0 && skipped.length === 0 && unchanged.length === 0) {
       console.log(chalk.gray('  Nothing to write.'))
     }
     console.log('')
   })
 
-program.parse()
+withCommonOptions(program
+  .command('simulate')
+  .description('Show what a candidate .claudeignore would exclude, without applying it')
+  .argument('<ignorefile>', 'candidate .claudeignore to apply in place of the current one')
+  .argument('[dir]', 'directory to scan', '.'))
+  .action(async (ignorefile, dir, opts) => {
+    let content
+    try {
+      content = fs.readFileSync(path.resolve(ignorefile), 'utf8')
+    } catch (err) {
+      fail(`Cannot read ${ignorefile}: ${err.message}`)
+    }
+
+    const project = await loadProject(dir, opts)
+    const simulation = await simulateProject(project, opts, parseIgnoreLines(content))
+    printSimulationReport(simulation, { label: ignorefile })
+  })
+
+withCommonOptions(program
+  .command('pack')
+  .description('Bundle the non-bloat files into one Markdown or XML document')
+  .argument('[dir]', 'directory to scan', '.')
+  .option('--format <type>', `document format (${PACK_FORMATS.join('|')})`, formatOf(PACK_FORMATS), 'markdown')
+  .option('--max-tokens <n>', 'token budget; the least relevant files are truncated or left out', Number)
+  .option('-o, --output <file>', 'write the document to a file instead of stdout'))
+  .action(async (dir, opts) => {
+    if (opts.maxTokens !== undefined && !(opts.maxTokens > 0)) fail('--max-tokens must be a positive number')
+
+    const { rootDir, tokenizer, result, analysis } = await loadProject(dir, opts)
+    // A previous pack written into the project is not part of it
+    const output = opts.output && path.resolve(opts.output)
+    const exclude = new Set(output ? [path.relative(rootDir, output)] : [])
+    const pack = buildPack(result, analysis, { maxTokens: opts.maxTokens ?? null, tokenizer, exclude })
+    const content = renderPack(pack, opts.format)
+
+    if (!output) {
+      process.stdout.write(content)
+      printPackReport(pack, { log: console.error })
+      return
+    }
+    try {
+      fs.writeFileSync(output, content, 'utf8')
+    } catch (err) {
+      fail(`Could not write ${opts.output}: ${err.message}`)
+    }
+    printPackReport(pack, { output: opts.output })
+  })
+
+const SELECT_FORMATS = ['list', 'claudeignore', 'json', ...PACK_FORMATS]
+
+withCommonOptions(program
+  .command('select')
+  .description('Pick the most relevant files for seed paths or keywords within a token budget')
+  .argument('[seeds...]', 'seed files or directories, relative to --dir')
+  .option('--dir <path>', 'project directory', '.')
+  .option('-k, --keyword <words...>', 'keywords to look for in paths and contents')
+  .option('--max-tokens <n>', 'token budget', Number, SELECT_BUDGET)
+  .option('--format <type>', `output (${SELECT_FORMATS.join('|')})`, formatOf(SELECT_FORMATS), 'list')
+  .option('-o, --output <file>', 'write the output to a file instead of stdout'))
+  .action(async (seeds, opts) => {
+    if (!(opts.maxTokens > 0)) fail('--max-tokens must be a positive number')
+
+    const { rootDir, tokenizer, result, analysis } = await loadProject(opts.dir, opts)
+    const output = opts.output && path.resolve(opts.output)
+    const exclude = new Set(output ? [path.relative(rootDir, output)] : [])
+
+    let selection
+    try {
+      selection = selectContext(result, analysis, { seeds, keywords: opts.keyword, maxTokens: opts.maxTokens, exclude })
+    } catch (err) {
+      fail(err.message)
+    }
+
+    let content
+    let pack = null
+    if (PACK_FORMATS.includes(opts.format)) {
+      pack = buildPack(result, analysis, { ranked: selection.ranked, maxTokens: opts.maxTokens, tokenizer, exclude })
+      content = renderPack(pack, opts.format)
+    } else if (opts.format === 'claudeignore') {
+      content = renderOverlay(selection)
+    } else if (opts.format === 'json') {
+      content = JSON.stringify({
+        seeds: selection.seeds,
+        keywords: selection.keywords,
+        maxTokens: selection.maxTokens,
+        totalTokens: selection.totalTokens,
+        files: selection.files.map(({ file, score, reasons }) => ({ relPath: file.relPath, tokens: file.tokens, score, reasons })),
+        skipped: selection.skipped.map(({ file, score }) => ({ relPath: file.relPath, tokens: file.tokens, score })),
+      }, null, 2) + '\n'
+    } else if (output) {
+      content = selection.files.map(({ file }) => file.relPath).join('\n') + '\n'
+    }
+
+    const report = opts => pack ? printPackReport(pack, opts) : printSelectionReport(selection, opts)
+    if (!output) {
+      if (content === undefined) return report({})
+      process.stdout.write(content)
+      return report({ log: console.error })
+    }
+    try {
+      fs.writeFileSync(output, content, 'utf8')
+    } catch (err) {
+      fail(`Could not write ${opts.output}: ${err.message}`)
+    }
+    report({ output: opts.output })
+  })
+
+withCommonOptions(program
+  .command('check')
+  .description('Fail when context exceeds the configured token budgets (for CI)')
+  .argument('[dir]', 'directory to scan', '.')
+  .option('--max-tokens <n>', 'maximum total tokens', Number)
+  .option('--max-bloat <percent>', 'maximum bloat percentage', Number)
+  .option('--min-grade <grade>', 'minimum context grade (A+, A, B, C, D, F)')
+  .option('--max-file-tokens <n>', 'maximum tokens for any single file', Number))
+  .action(async (dir, opts) => {
+    const flags = { maxTokens: '--max-tokens', maxBloat: '--max-bloat', maxFileTokens: '--max-file-tokens' }
+    for (const [key, flag] of Object.entries(flags)) {
+      if (opts[key] !== undefined && !(Number.isFinite(opts[key]) && opts[key] >= 0)) fail(`${flag} must be a non-negative number`)
+    }
+    if (opts.minGrade !== undefined && !GRADES.includes(opts.minGrade)) fail(`--min-grade must be one of ${GRADES.join(', ')}`)
+
+    const budgets = Object.fromEntries(Object.entries({
+      maxTotalTokens: opts.maxTokens,
+      maxBloatPercent: opts.maxBloat,
+      minGrade: opts.minGrade,
+      maxFileTokens: opts.maxFileTokens,
+    }).filter(([, v]) => v !== undefined))
+
+    const { config, result, analysis } = await loadProject(dir, opts, { budgets })
+
+    let outcome
+    try {
+      outcome = checkBudgets(result, analysis, config.budgets)
+    } catch (err) {
+      fail(err.message)
+    }
+
+    printCheckReport(outcome, analysis)
+    if (!outcome.passed) process.exitCode = 1
+  })
+
+withCommonOptions(program
+  .command('watch')
+  .description('Re-scan on every change and show token deltas live')
+  .argument('[dir]', 'directory to watch', '.')
+  .option('--debounce <ms>', 'wait this long after the last change before re-scanning', Number, WATCH_DEBOUNCE_MS))
+  .action(async (dir, opts) => {
+    const settings = await loadSettings(dir, opts)
+    // Watch keeps its cache in memory; .contextpack-cache is neither read nor written
+    const run = cache => scanProject(settings, { cache })
+
+    const render = update => {
+      if (process.stdout.isTTY) console.clear()
+      printScanReport(update.result, update.analysis)
+      printWatchDelta(update)
+    }
+
+    let watcher
+    try {
+      watcher = await watchProject(settings.rootDir, {
+        run,
+        onUpdate: render,
+        onError: err => console.error(chalk.red(`  ✗ ${err.message}`)),
+        debounceMs: opts.debounce,
+      })
+    } catch (err) {
+      fail(err.message)
+    }
+
+    process.on('SIGINT', () => {
+      watcher.close()
+      console.log('')
+      process.exit(0)
+    })
+  })
+
+withCommonOptions(program
+  .command('compare')
+  .description('Compare context size between reports, git refs, or with a proposed .claudeignore')
+  .argument('[before]', 'JSON report from scan --format json, or a git ref with --git')
+  .argument('[after]', 'second report or ref (default: the working tree)')
+  .option('--dir <path>', 'project directory', '.')
+  .option('--git', 'read before/after as git refs from the local repository')
+  .option('--proposed [file]', 'compare the working tree with itself plus a .claudeignore (default: the one generate would write)')
+  .option('--depth <n>', 'path segments per directory in the breakdown', Number, 1)
+  .option('--format <type>', 'output format (text|json)', formatOf(['text', 'json']), 'text'))
+  .action(async (beforeSpec, afterSpec, opts) => {
+    if (!Number.isInteger(opts.depth) || opts.depth < 1) fail('--depth must be a positive integer')
+    if (opts.proposed && beforeSpec) fail('--proposed compares the working tree; drop the report or ref arguments')
+    if (!opts.proposed && !beforeSpec) fail('Nothing to compare — pass two reports, a report or --git ref to compare with the working tree, or --proposed')
+
+    let before, after
+    const labels = {}
+    try {
+      const settings = await loadSettings(opts.dir, opts)
+
+      const load = async (spec, side) => {
+        labels[side] = spec ?? 'working tree'
+        if (spec === undefined) return (await loadProject(opts.dir, opts)).result
+        if (!opts.git) return loadSnapshot(spec)
+        return withGitRef(settings.rootDir, spec, async dir => {
+          const { result } = await scanProject({ ...settings, rootDir: dir })
+          return { ...result, rootDir: settings.rootDir }
+        })
+      }
+
+      if (opts.proposed) {
+        const { result, analysis } = await loadProject(opts.dir, opts)
+        const content = typeof opts.proposed === 'string'
+          ? fs.readFileSync(path.resolve(opts.proposed), 'utf8')
+          : generateClaudeIgnore(analysis, result, { categoryLabels: settings.ruleSet.categories })
+
+        before = result
+        after = excludeFromScan(result, compileIgnoreRules(parseIgnoreLines(content)))
+        labels.before = 'working tree'
+        labels.after = `with ${typeof opts.proposed === 'string' ? opts.proposed : 'generated .claudeignore'}`
+      } else {
+        before = await load(beforeSpec, 'before')
+        after = await load(afterSpec, 'after')
+      }
+    } catch (err) {
+      fail(err.message)
+    }
+
+    const diff = diffScans(before, after, { depth: opts.depth })
+    if (opts.format === 'json') {
+      process.stdout.write(JSON.stringify(buildCompareReport(before, after, diff, labels), null, 2) + '\n')
+    } else {
+      printCompareReport(before, after, { diff, labels })
+    }
+  })
+
+program.parseAsync()
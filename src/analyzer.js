@@ -3,117 +3,259 @@
  */
 
 import path from 'path'
+import { compileIgnoreRules, isPathIgnored, literalPattern } from './ignore.js'
+import { classifyContent } from './content.js'
+import { classifySensitive } from './secrets.js'
+import { packageOf } from './workspaces.js'
+import { daysBetween } from './history.js'
+import { toPosix } from './files.js'
 
-// Known bloat patterns with categories and reasons
-const BLOAT_PATTERNS = [
+// Built-in bloat rules with categories and reasons. Most match at any depth
+// (`packages/web/node_modules/`); names too generic to trust below the root
+// (`out`, `env`, `log`) match only there. `generic` rules match deep
+// directories too, but only firmly beside a package manifest
+// (`packages/web/dist/`); elsewhere (`src/commands/build/`) they're advisory.
+// Config and plugins can add rules or disable these by id (see rules.js).
+export const BUILTIN_RULES = [
   // Dependency directories
-  { pattern: /^node_modules(\/|$)/, category: 'dependencies', reason: 'npm packages — never needed in context', priority: 'critical' },
-  { pattern: /^vendor(\/|$)/, category: 'dependencies', reason: 'vendored dependencies — exclude entirely', priority: 'critical' },
-  { pattern: /^\.pnpm(\/|$)/, category: 'dependencies', reason: 'pnpm store — never needed in context', priority: 'critical' },
-  { pattern: /^bower_components(\/|$)/, category: 'dependencies', reason: 'Bower dependencies — exclude entirely', priority: 'critical' },
+  { id: 'node-modules', pattern: /(^|\/)node_modules(\/|$)/, category: 'dependencies', reason: 'npm packages — never needed in context', priority: 'critical' },
+  { id: 'vendor', pattern: /(^|\/)vendor(\/|$)/, category: 'dependencies', reason: 'vendored dependencies — exclude entirely', priority: 'critical', generic: true },
+  { id: 'pnpm-store', pattern: /(^|\/)\.pnpm(\/|$)/, category: 'dependencies', reason: 'pnpm store — never needed in context', priority: 'critical' },
+  { id: 'bower-components', pattern: /(^|\/)bower_components(\/|$)/, category: 'dependencies', reason: 'Bower dependencies — exclude entirely', priority: 'critical' },
 
   // Build output
-  { pattern: /^(dist|build|out|output)(\/|$)/, category: 'build', reason: 'compiled output — Claude reads source, not build', priority: 'critical' },
-  { pattern: /^\.next(\/|$)/, category: 'build', reason: 'Next.js build cache — not source code', priority: 'critical' },
-  { pattern: /^\.nuxt(\/|$)/, category: 'build', reason: 'Nuxt.js build cache', priority: 'critical' },
-  { pattern: /^\.svelte-kit(\/|$)/, category: 'build', reason: 'SvelteKit build cache', priority: 'critical' },
-  { pattern: /^\.vite(\/|$)/, category: 'build', reason: 'Vite cache', priority: 'high' },
-  { pattern: /^\.turbo(\/|$)/, category: 'build', reason: 'Turborepo cache', priority: 'high' },
-  { pattern: /^\.parcel-cache(\/|$)/, category: 'build', reason: 'Parcel build cache', priority: 'high' },
-  { pattern: /^storybook-static(\/|$)/, category: 'build', reason: 'Storybook build output', priority: 'high' },
+  { id: 'build-output', pattern: /(^|\/)(dist|build)(\/|$)|^(out|output)(\/|$)/, category: 'build', reason: 'compiled output — Claude reads source, not build', priority: 'critical', generic: true },
+  { id: 'next', pattern: /(^|\/)\.next(\/|$)/, category: 'build', reason: 'Next.js build cache — not source code', priority: 'critical' },
+  { id: 'nuxt', pattern: /(^|\/)\.nuxt(\/|$)/, category: 'build', reason: 'Nuxt.js build cache', priority: 'critical' },
+  { id: 'svelte-kit', pattern: /(^|\/)\.svelte-kit(\/|$)/, category: 'build', reason: 'SvelteKit build cache', priority: 'critical' },
+  { id: 'vite', pattern: /(^|\/)\.vite(\/|$)/, category: 'build', reason: 'Vite cache', priority: 'high' },
+  { id: 'turbo', pattern: /(^|\/)\.turbo(\/|$)/, category: 'build', reason: 'Turborepo cache', priority: 'high' },
+  { id: 'parcel-cache', pattern: /(^|\/)\.parcel-cache(\/|$)/, category: 'build', reason: 'Parcel build cache', priority: 'high' },
+  { id: 'storybook-static', pattern: /(^|\/)storybook-static(\/|$)/, category: 'build', reason: 'Storybook build output', priority: 'high' },
 
   // Test coverage
-  { pattern: /^coverage(\/|$)/, category: 'coverage', reason: 'test coverage reports — generated data', priority: 'high' },
-  { pattern: /^\.nyc_output(\/|$)/, category: 'coverage', reason: 'NYC/Istanbul coverage output', priority: 'high' },
-  { pattern: /^htmlcov(\/|$)/, category: 'coverage', reason: 'Python coverage HTML report', priority: 'high' },
+  { id: 'coverage', pattern: /(^|\/)coverage(\/|$)/, category: 'coverage', reason: 'test coverage reports — generated data', priority: 'high' },
+  { id: 'nyc-output', pattern: /(^|\/)\.nyc_output(\/|$)/, category: 'coverage', reason: 'NYC/Istanbul coverage output', priority: 'high' },
+  { id: 'htmlcov', pattern: /(^|\/)htmlcov(\/|$)/, category: 'coverage', reason: 'Python coverage HTML report', priority: 'high' },
 
   // Python
-  { pattern: /^__pycache__(\/|$)/, category: 'python', reason: 'Python bytecode cache', priority: 'critical' },
-  { pattern: /\.pyc$/, category: 'python', reason: 'compiled Python bytecode', priority: 'critical' },
-  { pattern: /^(venv|\.venv|env|\.env)(\/|$)/, category: 'python', reason: 'Python virtual environment — use requirements.txt instead', priority: 'critical' },
-  { pattern: /^\.tox(\/|$)/, category: 'python', reason: 'tox testing environments', priority: 'high' },
-  { pattern: /\.egg-info(\/|$)/, category: 'python', reason: 'Python package build metadata', priority: 'high' },
+  { id: 'pycache', pattern: /(^|\/)__pycache__(\/|$)/, category: 'python', reason: 'Python bytecode cache', priority: 'critical' },
+  { id: 'pyc', pattern: /\.pyc$/, category: 'python', reason: 'compiled Python bytecode', priority: 'critical' },
+  { id: 'virtualenv', pattern: /(^|\/)(venv|\.venv)(\/|$)|^(env|\.env)(\/|$)/, category: 'python', reason: 'Python virtual environment — use requirements.txt instead', priority: 'critical' },
+  { id: 'tox', pattern: /(^|\/)\.tox(\/|$)/, category: 'python', reason: 'tox testing environments', priority: 'high' },
+  { id: 'egg-info', pattern: /\.egg-info(\/|$)/, category: 'python', reason: 'Python package build metadata', priority: 'high' },
 
   // Lock files (large, generated)
-  { pattern: /^package-lock\.json$/, category: 'lockfiles', reason: 'npm lock file — thousands of lines of generated JSON', priority: 'high' },
-  { pattern: /^yarn\.lock$/, category: 'lockfiles', reason: 'Yarn lock file — large generated file', priority: 'high' },
-  { pattern: /^pnpm-lock\.yaml$/, category: 'lockfiles', reason: 'pnpm lock file — large generated file', priority: 'high' },
-  { pattern: /^Cargo\.lock$/, category: 'lockfiles', reason: 'Rust lock file — large generated file', priority: 'medium' },
-  { pattern: /^Gemfile\.lock$/, category: 'lockfiles', reason: 'Ruby lock file — large generated file', priority: 'medium' },
-  { pattern: /^composer\.lock$/, category: 'lockfiles', reason: 'PHP Composer lock file — large generated file', priority: 'medium' },
-  { pattern: /^poetry\.lock$/, category: 'lockfiles', reason: 'Poetry lock file — large generated file', priority: 'medium' },
-  { pattern: /^uv\.lock$/, category: 'lockfiles', reason: 'uv lock file — large generated file', priority: 'medium' },
+  { id: 'package-lock', pattern: /(^|\/)package-lock\.json$/, category: 'lockfiles', reason: 'npm lock file — thousands of lines of generated JSON', priority: 'high' },
+  { id: 'yarn-lock', pattern: /(^|\/)yarn\.lock$/, category: 'lockfiles', reason: 'Yarn lock file — large generated file', priority: 'high' },
+  { id: 'pnpm-lock', pattern: /(^|\/)pnpm-lock\.yaml$/, category: 'lockfiles', reason: 'pnpm lock file — large generated file', priority: 'high' },
+  { id: 'cargo-lock', pattern: /(^|\/)Cargo\.lock$/, category: 'lockfiles', reason: 'Rust lock file — large generated file', priority: 'medium' },
+  { id: 'gemfile-lock', pattern: /(^|\/)Gemfile\.lock$/, category: 'lockfiles', reason: 'Ruby lock file — large generated file', priority: 'medium' },
+  { id: 'composer-lock', pattern: /(^|\/)composer\.lock$/, category: 'lockfiles', reason: 'PHP Composer lock file — large generated file', priority: 'medium' },
+  { id: 'poetry-lock', pattern: /(^|\/)poetry\.lock$/, category: 'lockfiles', reason: 'Poetry lock file — large generated file', priority: 'medium' },
+  { id: 'uv-lock', pattern: /(^|\/)uv\.lock$/, category: 'lockfiles', reason: 'uv lock file — large generated file', priority: 'medium' },
 
   // Logs
-  { pattern: /^(logs?|\.logs?)(\/|$)/, category: 'logs', reason: 'log files — runtime output, not source', priority: 'high' },
-  { pattern: /\.log$/, category: 'logs', reason: 'log file', priority: 'high' },
+  { id: 'log-dirs', pattern: /(^|\/)(logs|\.logs?)(\/|$)|^log(\/|$)/, category: 'logs', reason: 'log files — runtime output, not source', priority: 'high' },
+  { id: 'log-files', pattern: /\.log$/, category: 'logs', reason: 'log file', priority: 'high' },
 
   // IDE and editor
-  { pattern: /^\.idea(\/|$)/, category: 'ide', reason: 'JetBrains IDE config — not project code', priority: 'medium' },
-  { pattern: /^\.vscode(\/|$)/, category: 'ide', reason: 'VS Code config — not project code', priority: 'medium' },
-  { pattern: /^\.cursor(\/|$)/, category: 'ide', reason: 'Cursor editor config', priority: 'medium' },
+  { id: 'idea', pattern: /(^|\/)\.idea(\/|$)/, category: 'ide', reason: 'JetBrains IDE config — not project code', priority: 'medium' },
+  { id: 'vscode', pattern: /(^|\/)\.vscode(\/|$)/, category: 'ide', reason: 'VS Code config — not project code', priority: 'medium' },
+  { id: 'cursor', pattern: /(^|\/)\.cursor(\/|$)/, category: 'ide', reason: 'Cursor editor config', priority: 'medium' },
 
   // OS files
-  { pattern: /^\.DS_Store$/, category: 'os', reason: 'macOS metadata file', priority: 'medium' },
-  { pattern: /^Thumbs\.db$/, category: 'os', reason: 'Windows thumbnail cache', priority: 'medium' },
+  { id: 'ds-store', pattern: /(^|\/)\.DS_Store$/, category: 'os', reason: 'macOS metadata file', priority: 'medium' },
+  { id: 'thumbs-db', pattern: /(^|\/)Thumbs\.db$/, category: 'os', reason: 'Windows thumbnail cache', priority: 'medium' },
 
   // Test fixtures / snapshots (large)
-  { pattern: /^__snapshots__(\/|$)/, category: 'test', reason: 'Jest snapshots — often very large', priority: 'medium' },
-  { pattern: /^fixtures?(\/|$)/, category: 'test', reason: 'test fixtures — usually large data files', priority: 'low' },
+  { id: 'jest-snapshots', pattern: /(^|\/)__snapshots__(\/|$)/, category: 'test', reason: 'Jest snapshots — often very large', priority: 'medium' },
+  { id: 'fixtures', pattern: /(^|\/)fixtures?(\/|$)/, category: 'test', reason: 'test fixtures — usually large data files', priority: 'low', generic: true },
 
   // Misc generated
-  { pattern: /^\.cache(\/|$)/, category: 'cache', reason: 'generic cache directory', priority: 'high' },
-  { pattern: /^tmp(\/|$)/, category: 'cache', reason: 'temp files', priority: 'high' },
-  { pattern: /^\.temp(\/|$)/, category: 'cache', reason: 'temp files', priority: 'high' },
-  { pattern: /^public\/build(\/|$)/, category: 'build', reason: 'compiled public assets', priority: 'high' },
+  { id: 'cache-dir', pattern: /(^|\/)\.cache(\/|$)/, category: 'cache', reason: 'generic cache directory', priority: 'high' },
+  { id: 'tmp', pattern: /(^|\/)tmp(\/|$)/, category: 'cache', reason: 'temp files', priority: 'high', generic: true },
+  { id: 'temp', pattern: /(^|\/)\.temp(\/|$)/, category: 'cache', reason: 'temp files', priority: 'high' },
+  { id: 'public-build', pattern: /(^|\/)public\/build(\/|$)/, category: 'build', reason: 'compiled public assets', priority: 'high' },
 ]
 
-const LARGE_FILE_THRESHOLD = 10 * 1024 // 10KB in bytes
+export const LARGE_FILE_THRESHOLD = 10 * 1024 // 10KB in bytes
+export const LARGE_FILE_LIMIT = 20 // large files kept in the analysis
+
+// Large files whose last commit is this much older than the newest one are stale
+export const STALE_AFTER_DAYS = 2 * 365
+
+// Files that mark a directory as a package root, for `generic` rules
+const MANIFEST_NAMES = ['package.json', 'go.mod', 'Cargo.toml', 'pyproject.toml', 'setup.py', 'composer.json', 'Gemfile', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'mix.exs', 'pubspec.yaml']
+
+// Unreferenced code is ranked below known bloat, and lower still when unsure
+const UNREFERENCED_PRIORITIES = { high: 'medium', medium: 'low', low: 'low' }
 
 /**
- * Categorize all files in the scan result.
+ * Categorize all files in the scan result. Sensitive files (secrets.js)
+ * get the `security` category and rank above every other suggestion.
+ * A `generic` rule's match deep in the tree with no package manifest beside
+ * it is suggested at low confidence and kept in `advisoryFiles`.
+ * Pass `workspaces` (from detectWorkspaces()) for a per-package breakdown
+ * and `unreferenced` (findings from findUnreferenced()) to flag source files
+ * no entry point imports; those suggestions carry a `confidence`, and only
+ * high-confidence ones count as bloat — the rest go to `advisoryFiles`,
+ * suggested but left out of bloatTokens and the grade. When the
+ * scan carries git history (annotateHistory()), large files untouched for
+ * `staleAfterDays` before the newest commit are suggested as stale, also
+ * as advisory files: age alone doesn't make a file bloat.
  * Returns analysis object with suggestions.
  */
-export function analyze(scanResult) {
+export function analyze(scanResult, options = {}) {
   const { files } = scanResult
+  const {
+    rules = BUILTIN_RULES,
+    disabledRules = [],
+    largeFileThreshold = LARGE_FILE_THRESHOLD,
+    largeFileLimit = LARGE_FILE_LIMIT,
+    workspaces = null,
+    unreferenced = [],
+    staleAfterDays = STALE_AFTER_DAYS,
+  } = options
 
+  const disabled = new Set(disabledRules)
   const bloatFiles = []
+  const advisoryFiles = [] // suggested, but not counted toward bloat
   const largeFiles = []
-  const suggestions = new Map() // pattern → { pattern, reason, category, priority, tokenSavings, fileCount }
+  const suggestions = new Map() // key → { pattern, ruleId, reason, category, priority, tokenSavings, fileCount }
+  const ruleHits = new Map() // rule id → { rule, hits: [{ entry, location }] }
+  const unreferencedFiles = new Map(unreferenced.flatMap(finding => finding.files.map(relPath => [relPath, finding])))
+  const known = new Set(files.map(f => toPosix(f.relPath)))
+  const besideManifest = dir => MANIFEST_NAMES.some(name => known.has(path.posix.join(path.posix.dirname(dir), name)))
 
   for (const file of files) {
-    // Check for known bloat patterns
+    const rule = rules.find(bp => ruleMatches(bp, file.relPath))
+    const location = rule?.pattern instanceof RegExp && !rule.ignore ? matchLocation(file.relPath, rule.pattern) : null
     let matched = false
-    for (const bp of BLOAT_PATTERNS) {
-      if (bp.pattern.test(file.relPath)) {
+
+    // Sensitive files come first, even inside a directory a rule already
+    // excludes: a real key in fixtures/ or tmp/ must still fail check
+    const sensitive = classifySensitive(file, disabled)
+    if (sensitive) {
+      matched = true
+      const pattern = literalPattern(file.relPath)
+      suggestions.set(`security:${file.relPath}`, {
+        pattern,
+        ruleId: sensitive.id,
+        reason: sensitive.reason,
+        category: 'security',
+        priority: 'critical',
+        tokenSavings: file.tokens,
+        fileCount: 1,
+      })
+      bloatFiles.push({ ...file, bloatReason: sensitive.reason, bloatCategory: 'security', bloatPattern: pattern })
+    }
+
+    // Check for known bloat patterns; their .claudeignore patterns are
+    // scoped once every match is known
+    if (!matched && rule) {
+      matched = true
+      // A generic name deep in the tree may be source (`src/commands/build/`)
+      const tentative = Boolean(rule.generic && location?.kind === 'dir' && location.path.includes('/') && !besideManifest(location.path))
+      const key = (rule.id || rule.pattern.toString()) + (tentative ? ':tentative' : '')
+      if (!ruleHits.has(key)) ruleHits.set(key, { rule, tentative, hits: [] })
+      const entry = { ...file, bloatReason: rule.reason, bloatCategory: rule.category, bloatPattern: null }
+      ruleHits.get(key).hits.push({ entry, location })
+      if (tentative) advisoryFiles.push(entry)
+      else bloatFiles.push(entry)
+    }
+
+    // Fall back to content heuristics: minified, generated, encoded data
+    if (!matched && !file.isBinary) {
+      const finding = classifyContent(file.signals, disabled)
+      if (finding) {
         matched = true
-        const key = bp.pattern.toString()
-        if (!suggestions.has(key)) {
-          suggestions.set(key, {
-            pattern: getIgnorePattern(file.relPath, bp.pattern),
-            reason: bp.reason,
-            category: bp.category,
-            priority: bp.priority,
-            tokenSavings: 0,
-            fileCount: 0,
-          })
-        }
-        const s = suggestions.get(key)
-        s.tokenSavings += file.tokens
-        s.fileCount++
-        bloatFiles.push({ ...file, bloatReason: bp.reason, bloatCategory: bp.category })
-        break
+        const pattern = literalPattern(file.relPath)
+        suggestions.set(`content:${file.relPath}`, {
+          pattern,
+          ruleId: finding.id,
+          reason: finding.reason,
+          category: 'generated',
+          priority: finding.priority,
+          tokenSavings: file.tokens,
+          fileCount: 1,
+        })
+        bloatFiles.push({ ...file, bloatReason: finding.reason, bloatCategory: 'generated', bloatPattern: pattern })
+      }
+    }
+
+    // Source files the import graph never reaches
+    if (!matched && unreferencedFiles.has(file.relPath)) {
+      matched = true
+      const finding = unreferencedFiles.get(file.relPath)
+      const key = `unreferenced:${finding.pattern}`
+      if (!suggestions.has(key)) {
+        suggestions.set(key, {
+          pattern: finding.pattern,
+          ruleId: 'unreferenced',
+          reason: finding.reason,
+          category: 'unreferenced',
+          priority: UNREFERENCED_PRIORITIES[finding.confidence],
+          confidence: finding.confidence,
+          tokenSavings: 0,
+          fileCount: 0,
+        })
       }
+      const s = suggestions.get(key)
+      s.tokenSavings += file.tokens
+      s.fileCount++
+      // Only a confident finding counts as bloat; the rest is left to the reader
+      const entry = { ...file, bloatReason: finding.reason, bloatCategory: 'unreferenced', bloatPattern: finding.pattern }
+      if (finding.confidence === 'high') bloatFiles.push(entry)
+      else advisoryFiles.push(entry)
+    }
+
+    // Large files nobody has committed to in years
+    const untouchedDays = file.lastCommitMs && scanResult.history ? daysBetween(file.lastCommitMs, scanResult.history.headMs) : 0
+    if (!matched && !file.isBinary && file.size > largeFileThreshold && untouchedDays >= staleAfterDays && !disabled.has('stale')) {
+      matched = true
+      const pattern = literalPattern(file.relPath)
+      const years = Math.floor(untouchedDays / 365)
+      const reason = `large and untouched for ${years >= 2 ? years + ' years' : untouchedDays + ' days'} — last commit ${new Date(file.lastCommitMs).toISOString().slice(0, 10)}`
+      suggestions.set(`stale:${file.relPath}`, {
+        pattern,
+        ruleId: 'stale',
+        reason,
+        category: 'stale',
+        priority: 'low',
+        confidence: 'medium',
+        tokenSavings: file.tokens,
+        fileCount: 1,
+      })
+      advisoryFiles.push({ ...file, bloatReason: reason, bloatCategory: 'stale', bloatPattern: pattern })
     }
 
-    // Check for large files (>10KB) that aren't already flagged as bloat
-    if (!matched && !file.isBinary && file.size > LARGE_FILE_THRESHOLD) {
+    // Check for large files that aren't already flagged as bloat
+    if (!matched && !file.isBinary && file.size > largeFileThreshold) {
       largeFiles.push(file)
     }
   }
 
-  // Sort suggestions by token savings
+  for (const [key, { rule, tentative, hits }] of ruleHits) {
+    for (const [pattern, group] of scopePatterns(rule, hits)) {
+      suggestions.set(`${key}:${pattern}`, {
+        pattern,
+        ruleId: rule.id,
+        reason: tentative ? `${rule.reason} — nested, with no package manifest beside it` : rule.reason,
+        category: rule.category,
+        priority: tentative ? 'low' : rule.priority,
+        ...(tentative && { confidence: 'low' }),
+        tokenSavings: group.reduce((sum, hit) => sum + hit.entry.tokens, 0),
+        fileCount: group.length,
+      })
+      for (const hit of group) hit.entry.bloatPattern = pattern
+    }
+  }
+
+  // Security findings first, then by priority and token savings
   const sortedSuggestions = [...suggestions.values()].sort((a, b) => {
+    const security = (b.category === 'security') - (a.category === 'security')
+    if (security !== 0) return security
     const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 }
     const pDiff = priorityOrder[a.priority] - priorityOrder[b.priority]
     if (pDiff !== 0) return pDiff
@@ -125,34 +267,137 @@ export function analyze(scanResult) {
 
   const bloatTokens = bloatFiles.reduce((sum, f) => sum + f.tokens, 0)
   const cleanTokens = scanResult.totalTokens - bloatTokens
+  const reductionPercent = scanResult.totalTokens > 0
+    ? Math.round((bloatTokens / scanResult.totalTokens) * 100)
+    : 0
 
   return {
     suggestions: sortedSuggestions,
     bloatFiles,
-    largeFiles: largeFiles.slice(0, 20), // top 20
+    advisoryFiles,
+    largeFiles: largeFiles.slice(0, largeFileLimit),
+    largeFileThreshold,
     bloatTokens,
     cleanTokens,
     totalTokens: scanResult.totalTokens,
-    reductionPercent: scanResult.totalTokens > 0
-      ? Math.round((bloatTokens / scanResult.totalTokens) * 100)
-      : 0,
+    tokenizer: scanResult.tokenizer,
+    reductionPercent,
+    grade: gradeContext(reductionPercent).label,
+    workspaces: workspaces?.packages.length > 0
+      ? { tools: workspaces.tools, packages: packageBreakdown(files, bloatFiles, workspaces.packages) }
+      : null,
+  }
+}
+
+/**
+ * Per-package token totals and grades for workspace packages (from
+ * detectWorkspaces()). Files outside every package form a `.` row.
+ */
+function packageBreakdown(files, bloatFiles, packages) {
+  const bloat = new Set(bloatFiles.map(f => f.relPath))
+  const rows = new Map()
+
+  for (const file of files) {
+    const pkg = packageOf(file.relPath, packages) || { name: '(root)', dir: '.', kind: null }
+    if (!rows.has(pkg.dir)) {
+      rows.set(pkg.dir, { name: pkg.name, dir: pkg.dir, kind: pkg.kind, fileCount: 0, totalTokens: 0, bloatTokens: 0 })
+    }
+    const row = rows.get(pkg.dir)
+    row.fileCount++
+    row.totalTokens += file.tokens
+    if (bloat.has(file.relPath)) row.bloatTokens += file.tokens
   }
+
+  return [...rows.values()]
+    .map(row => {
+      const reductionPercent = row.totalTokens > 0 ? Math.round((row.bloatTokens / row.totalTokens) * 100) : 0
+      return { ...row, cleanTokens: row.totalTokens - row.bloatTokens, reductionPercent, grade: gradeContext(reductionPercent).label }
+    })
+    .sort((a, b) => b.totalTokens - a.totalTokens || a.dir.localeCompare(b.dir))
+}
+
+// Best to worst — used to compare grades against a minimum
+export const GRADES = ['A+', 'A', 'B', 'C', 'D', 'F']
+
+/**
+ * Grade the context health.
+ */
+export function gradeContext(bloatPercent) {
+  if (bloatPercent === 0) return { label: 'A+', note: 'Perfect' }
+  if (bloatPercent < 5) return { label: 'A', note: 'Very clean' }
+  if (bloatPercent < 15) return { label: 'B', note: 'Some bloat' }
+  if (bloatPercent < 30) return { label: 'C', note: 'Notable bloat' }
+  if (bloatPercent < 50) return { label: 'D', note: 'Significant bloat' }
+  return { label: 'F', note: 'Critical bloat — fix immediately' }
+}
+
+// Compiled glob rules, keyed by pattern string
+const globCache = new Map()
+
+/**
+ * Test a rule against a path. Regex rules test the path directly; string
+ * rules are gitignore-style globs, matched against the path and its parents.
+ */
+function ruleMatches(rule, relPath) {
+  const normalized = relPath.replace(/\\/g, '/')
+  if (rule.pattern instanceof RegExp) return rule.pattern.test(normalized)
+
+  if (!globCache.has(rule.pattern)) {
+    globCache.set(rule.pattern, compileIgnoreRules([rule.pattern]))
+  }
+  return isPathIgnored(normalized, globCache.get(rule.pattern))
 }
 
 /**
- * Derive a human-friendly .claudeignore pattern from a matched path.
+ * Where a regex rule matched a path: the shallowest directory it matches
+ * (`packages/web/node_modules`), an extension (`.log`) when it matches any
+ * file with that extension, or else the file itself.
  */
-function getIgnorePattern(relPath, bpPattern) {
-  // For directory patterns, return the top-level directory
+function matchLocation(relPath, pattern) {
   const parts = relPath.replace(/\\/g, '/').split('/')
-  const topLevel = parts[0]
+  for (let i = 1; i < parts.length; i++) {
+    const dir = parts.slice(0, i).join('/')
+    if (pattern.test(dir) || pattern.test(dir + '/')) return { kind: 'dir', path: dir, name: parts[i - 1] }
+  }
+
+  const name = parts[parts.length - 1]
+  const ext = path.posix.extname(name)
+  if (ext && pattern.test(`probe${ext}`) && pattern.test(`probe/probe${ext}`)) return { kind: 'ext', name: ext }
+  return { kind: 'file', path: parts.join('/'), name }
+}
+
+function escapeGlob(text) {
+  return text.replace(/[*?[\]\\!#]/g, '\\$&')
+}
 
-  // If it's a file extension pattern
-  const extMatch = bpPattern.toString().match(/\\\.(\w+)\$/)
-  if (extMatch) return `*.${extMatch[1]}`
+/**
+ * Group a rule's hits into .claudeignore patterns. A name matched in one
+ * place is ignored there (`node_modules/`, `packages/web/dist/`); a name
+ * matched in several places is ignored at any depth under `**`. Glob rules
+ * and rules with an `ignore` pattern keep a single pattern.
+ * Returns [[pattern, hits]].
+ */
+function scopePatterns(rule, hits) {
+  if (!(rule.pattern instanceof RegExp) || rule.ignore) {
+    return [[rule.ignore || rule.pattern, hits]]
+  }
 
-  // If top-level looks like a known directory
-  return topLevel + (parts.length > 1 ? '/' : '')
+  const byName = new Map() // kind:name → { kind, name, paths, hits }
+  for (const hit of hits) {
+    const { kind, name, path: locationPath } = hit.location
+    const key = `${kind}:${name}`
+    if (!byName.has(key)) byName.set(key, { kind, name, paths: new Set(), hits: [] })
+    const group = byName.get(key)
+    if (locationPath) group.paths.add(locationPath)
+    group.hits.push(hit)
+  }
+
+  return [...byName.values()].map(({ kind, name, paths, hits: group }) => {
+    if (kind === 'ext') return [`*${escapeGlob(name)}`, group]
+    const suffix = kind === 'dir' ? '/' : ''
+    if (paths.size > 1) return [`**/${escapeGlob(name)}${suffix}`, group]
+    return [escapeGlob([...paths][0]) + suffix, group]
+  })
 }
 
 /**
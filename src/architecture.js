@@ -0,0 +1,329 @@
+/**
+ * architecture.js — directory map and entry points for CLAUDE.md
+ * Summarizes the clean (non-bloat) files as a tree of directories with
+ * file counts, token weight and an apparent role, expanded heaviest-first
+ * until the rendered map would exceed its token budget.
+ */
+
+import path from 'path'
+import { readJson } from './manifest.js'
+import { createHeuristicTokenizer } from './tokenizer.js'
+import { TEST_FILE_RE, toPosix } from './files.js'
+
+// Default size of the rendered map, in estimated tokens
+export const ARCHITECTURE_BUDGET = 400
+
+// Deepest directory level the map descends to
+const MAX_DEPTH = 4
+
+// Subdirectories listed per directory before the rest are rolled up
+const MAX_CHILDREN = 8
+
+// Apparent role of a directory, by name
+export const DIRECTORY_ROLES = {
+  src: 'source',
+  lib: 'library code',
+  app: 'app code / routes',
+  routes: 'routes',
+  router: 'routes',
+  pages: 'pages / routes',
+  api: 'API handlers',
+  controllers: 'request handlers',
+  handlers: 'request handlers',
+  middleware: 'middleware',
+  services: 'business logic',
+  components: 'UI components',
+  hooks: 'React hooks',
+  layouts: 'page layouts',
+  views: 'views',
+  templates: 'templates',
+  styles: 'styles',
+  store: 'state management',
+  stores: 'state management',
+  state: 'state management',
+  models: 'data models',
+  entities: 'data models',
+  schemas: 'schemas',
+  types: 'type definitions',
+  db: 'database access',
+  database: 'database access',
+  migrations: 'database migrations',
+  seeds: 'seed data',
+  prisma: 'database schema',
+  graphql: 'GraphQL schema',
+  proto: 'protocol definitions',
+  utils: 'shared utilities',
+  helpers: 'shared utilities',
+  shared: 'shared code',
+  common: 'shared code',
+  config: 'configuration',
+  jobs: 'background jobs',
+  workers: 'background jobs',
+  cmd: 'command entry points',
+  bin: 'CLI entry points',
+  internal: 'internal packages',
+  pkg: 'library packages',
+  scripts: 'scripts',
+  tests: 'tests',
+  test: 'tests',
+  __tests__: 'tests',
+  spec: 'tests',
+  e2e: 'end-to-end tests',
+  fixtures: 'test fixtures',
+  mocks: 'test mocks',
+  __mocks__: 'test mocks',
+  docs: 'documentation',
+  examples: 'examples',
+  public: 'static assets',
+  static: 'static assets',
+  assets: 'static assets',
+  locales: 'translations',
+  i18n: 'translations',
+  '.github': 'CI workflows',
+}
+
+// Built output that a package.json entry often points at instead of source
+const BUILD_DIR_RE = /^(?:dist|build|lib|out|esm|cjs)\//
+const SOURCE_EXTS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs']
+
+/**
+ * Targets of package.json `main`, `module`, `bin` and `exports`, with a note
+ * describing each. Type declarations are skipped; wildcard subpath targets
+ * (`./src/utils/*.js`) are kept for expandEntryPattern().
+ */
+function packageEntryTargets(pkg) {
+  const targets = []
+  if (typeof pkg.main === 'string') targets.push({ target: pkg.main, note: 'package main' })
+  if (typeof pkg.module === 'string') targets.push({ target: pkg.module, note: 'ES module entry' })
+
+  if (typeof pkg.bin === 'string') {
+    targets.push({ target: pkg.bin, note: `CLI (\`${path.posix.basename(pkg.name || 'bin')}\`)` })
+  } else if (pkg.bin && typeof pkg.bin === 'object') {
+    for (const [command, target] of Object.entries(pkg.bin)) {
+      if (typeof target === 'string') targets.push({ target, note: `CLI (\`${command}\`)` })
+    }
+  }
+
+  // Conditions (import, require, node, default) nest; keys starting with '.' are subpaths
+  function walkExports(value, subpath) {
+    if (typeof value === 'string') {
+      if (!value.endsWith('.d.ts')) {
+        targets.push({ target: value, note: subpath === '.' ? 'package export' : `export \`${subpath}\`` })
+      }
+    } else if (Array.isArray(value)) {
+      for (const item of value) walkExports(item, subpath)
+    } else if (value && typeof value === 'object') {
+      for (const [key, inner] of Object.entries(value)) {
+        if (key === 'types') continue
+        walkExports(inner, key.startsWith('.') ? key : subpath)
+      }
+    }
+  }
+  walkExports(pkg.exports, '.')
+
+  return targets
+}
+
+/**
+ * Resolve an entry target to a scanned file. Targets in build output fall
+ * back to the matching source file (`dist/index.js` → `src/index.ts`).
+ */
+function resolveEntry(target, known) {
+  const normalized = path.posix.normalize(toPosix(target)).replace(/^\.\//, '')
+  if (known.has(normalized)) return normalized
+
+  const stem = normalized.replace(/\.[cm]?[jt]sx?$/, '')
+  const stems = [stem, stem.replace(BUILD_DIR_RE, 'src/'), stem.replace(BUILD_DIR_RE, '')]
+  for (const base of new Set(stems)) {
+    for (const ext of SOURCE_EXTS) {
+      if (known.has(base + ext)) return base + ext
+      if (known.has(`${base}/index${ext}`)) return `${base}/index${ext}`
+    }
+  }
+  return null
+}
+
+/**
+ * Scanned source files a wildcard export target covers. `*` matches any
+ * run of characters, `/` included, as in Node's subpath patterns; build
+ * output falls back to source as in resolveEntry(), so the target's own
+ * extension isn't required to match.
+ */
+function expandEntryPattern(target, known) {
+  const normalized = path.posix.normalize(toPosix(target)).replace(/^\.\//, '')
+  const star = normalized.indexOf('*')
+  const suffix = normalized.slice(star + 1).replace(/\.[cm]?[jt]sx?$/, '')
+  const prefixes = new Set([normalized.slice(0, star), normalized.slice(0, star).replace(BUILD_DIR_RE, 'src/'), normalized.slice(0, star).replace(BUILD_DIR_RE, '')])
+
+  const matches = []
+  for (const relPath of known) {
+    const ext = SOURCE_EXTS.find(e => relPath.endsWith(e))
+    if (!ext || relPath.endsWith('.d.ts')) continue
+    const stem = relPath.slice(0, -ext.length)
+    if ([...prefixes].some(prefix => stem.startsWith(prefix) && stem.length > prefix.length + suffix.length && stem.endsWith(suffix))) {
+      matches.push(relPath)
+    }
+  }
+  return matches.sort()
+}
+
+/**
+ * Entry points declared in the root package.json, resolved to scanned
+ * files. Returns [{ relPath, note, pattern? }], first note per file wins;
+ * files reached through a wildcard export carry the export's `pattern`.
+ */
+export function findEntryPoints(scanResult) {
+  const pkg = readJson(path.join(scanResult.rootDir, 'package.json'))
+  if (!pkg) return []
+
+  const known = new Set(scanResult.files.map(f => toPosix(f.relPath)))
+  const entries = new Map()
+  for (const { target, note } of packageEntryTargets(pkg)) {
+    if (target.includes('*')) {
+      const pattern = path.posix.normalize(toPosix(target)).replace(/^\.\//, '')
+      for (const relPath of expandEntryPattern(target, known)) {
+        if (!entries.has(relPath)) entries.set(relPath, { relPath, note, pattern })
+      }
+      continue
+    }
+    const relPath = resolveEntry(target, known)
+    if (relPath && !entries.has(relPath)) entries.set(relPath, { relPath, note })
+  }
+  return [...entries.values()]
+}
+
+/**
+ * Build a directory tree over files: every node carries the file count,
+ * tokens and test-file count of everything beneath it.
+ */
+function buildTree(files) {
+  const root = { name: '', depth: 0, files: 0, tokens: 0, testFiles: 0, ownFiles: 0, ownTokens: 0, children: new Map() }
+
+  for (const f of files) {
+    const parts = toPosix(f.relPath).split('/')
+    const isTest = TEST_FILE_RE.test(parts[parts.length - 1])
+    let node = root
+    node.files++
+    node.tokens += f.tokens
+    for (let i = 0; i < parts.length - 1; i++) {
+      if (!node.children.has(parts[i])) {
+        node.children.set(parts[i], { name: parts[i], depth: i + 1, files: 0, tokens: 0, testFiles: 0, ownFiles: 0, ownTokens: 0, children: new Map() })
+      }
+      node = node.children.get(parts[i])
+      node.files++
+      node.tokens += f.tokens
+      if (isTest) node.testFiles++
+    }
+    node.ownFiles++
+    node.ownTokens += f.tokens
+  }
+
+  return root
+}
+
+/**
+ * What a directory appears to be for, from its name or its contents.
+ */
+function directoryRole(node) {
+  const name = node.name.toLowerCase()
+  if (Object.hasOwn(DIRECTORY_ROLES, name)) return DIRECTORY_ROLES[name]
+  if (node.testFiles > node.files / 2) return 'tests'
+  return null
+}
+
+function plural(n, word) {
+  return `${n.toLocaleString()} ${word}${n === 1 ? '' : 's'}`
+}
+
+/**
+ * Render the expanded part of the tree as a nested markdown list.
+ */
+function renderTree(root, expanded) {
+  const lines = []
+
+  function walk(node, indent) {
+    const children = [...node.children.values()].sort((a, b) => b.tokens - a.tokens || a.name.localeCompare(b.name))
+    for (const child of children.slice(0, MAX_CHILDREN)) {
+      const role = directoryRole(child)
+      lines.push(`${indent}- \`${child.name}/\` — ${plural(child.files, 'file')}, ~${plural(child.tokens, 'token')}${role ? ' · ' + role : ''}`)
+      if (expanded.has(child)) walk(child, indent + '  ')
+    }
+    const rest = children.slice(MAX_CHILDREN)
+    if (rest.length > 0) {
+      const tokens = rest.reduce((sum, c) => sum + c.tokens, 0)
+      lines.push(`${indent}- … ${rest.length} more director${rest.length === 1 ? 'y' : 'ies'}, ~${plural(tokens, 'token')}`)
+    }
+    if (node.ownFiles > 0 && node.children.size > 0) {
+      lines.push(`${indent}- ${plural(node.ownFiles, 'file')} at this level, ~${plural(node.ownTokens, 'token')}`)
+    }
+  }
+
+  walk(root, '')
+  return lines.join('\n')
+}
+
+/**
+ * Render a directory map of `files`, expanding the heaviest directories
+ * first while the result stays within `budget` tokens, as estimated by
+ * `tokenizer` (the one the scan used).
+ */
+export function renderDirectoryMap(files, options = {}) {
+  const { budget = ARCHITECTURE_BUDGET, tokenizer = createHeuristicTokenizer() } = options
+  const root = buildTree(files)
+  if (root.children.size === 0) return ''
+
+  const expanded = new Set([root])
+  const blocked = new Set()
+  let map = renderTree(root, expanded)
+
+  for (;;) {
+    // Visible, unexpanded directories that have subdirectories, heaviest first
+    const candidates = []
+    const collect = node => {
+      const children = [...node.children.values()].sort((a, b) => b.tokens - a.tokens).slice(0, MAX_CHILDREN)
+      for (const child of children) {
+        if (expanded.has(child)) collect(child)
+        else if (child.children.size > 0 && child.depth < MAX_DEPTH && !blocked.has(child)) candidates.push(child)
+      }
+    }
+    collect(root)
+    if (candidates.length === 0) break
+
+    const next = candidates.sort((a, b) => b.tokens - a.tokens)[0]
+    expanded.add(next)
+    const attempt = renderTree(root, expanded)
+    if (tokenizer.count(attempt) > budget) {
+      expanded.delete(next)
+      blocked.add(next)
+    } else {
+      map = attempt
+    }
+  }
+
+  return map
+}
+
+/**
+ * Markdown body for the Architecture section of CLAUDE.md: entry points,
+ * then a map of the files that are not bloat. Returns '' when there is
+ * nothing to show.
+ */
+export function renderArchitecture(scanResult, analysis, options = {}) {
+  const bloat = new Set((analysis?.bloatFiles || []).map(f => f.relPath))
+  const clean = scanResult.files.filter(f => !f.isBinary && !bloat.has(f.relPath))
+  const entries = findEntryPoints(scanResult)
+  const map = renderDirectoryMap(clean, options)
+
+  const parts = []
+  if (entries.length > 0) {
+    // A wildcard export is listed once, by its pattern
+    const lines = new Map()
+    for (const e of entries) {
+      const key = e.pattern || e.relPath
+      if (!lines.has(key)) lines.set(key, `- \`${key}\` — ${e.note}`)
+    }
+    parts.push('Entry points:\n\n' + [...lines.values()].join('\n'))
+  }
+  if (map) parts.push('Directory map (bloat excluded):\n\n' + map)
+  return parts.join('\n\n')
+}
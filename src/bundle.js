@@ -0,0 +1,279 @@
+/**
+ * bundle.js — packs the clean context into a single document
+ * Collects the text files analyze() didn't flag as bloat, orders them by
+ * relevance (entry points and key files, then recently changed ones) and
+ * renders them as one Markdown or XML file with a file tree up front.
+ * With a token budget, files that don't fit are skipped and the most
+ * relevant of them truncated into whatever room is left; the document
+ * counts what was left out and buildPack() lists it for the caller.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { findEntryPoints } from './architecture.js'
+import { KEY_FILES } from './generator.js'
+import { createHeuristicTokenizer } from './tokenizer.js'
+import { TEST_FILE_RE, toPosix } from './files.js'
+
+export const PACK_FORMATS = ['markdown', 'xml']
+
+// A truncated file must keep at least this many tokens to be worth including
+const TRUNCATE_MIN_TOKENS = 200
+
+// Root files that describe the project as a whole
+const PROJECT_FILES = new Set([
+  'README.md', 'CLAUDE.md', 'package.json', 'deno.json', 'deno.jsonc', 'pyproject.toml',
+  'Cargo.toml', 'go.mod', 'pom.xml', 'build.gradle', 'build.gradle.kts', 'composer.json', 'Gemfile',
+])
+
+const KEY_FILE_NAMES = new Set(KEY_FILES.map(k => k.name))
+const TEST_DIR_RE = /(?:^|\/)(?:tests?|__tests__|spec|e2e)\//
+
+// Fence languages for the Markdown format, by extension
+const FENCE_LANGUAGES = {
+  '.js': 'js', '.mjs': 'js', '.cjs': 'js', '.jsx': 'jsx', '.ts': 'ts', '.mts': 'ts', '.cts': 'ts', '.tsx': 'tsx',
+  '.py': 'python', '.rb': 'ruby', '.go': 'go', '.rs': 'rust', '.java': 'java', '.kt': 'kotlin', '.php': 'php',
+  '.cs': 'csharp', '.c': 'c', '.h': 'c', '.cpp': 'cpp', '.hpp': 'cpp', '.swift': 'swift', '.dart': 'dart',
+  '.sh': 'bash', '.json': 'json', '.yml': 'yaml', '.yaml': 'yaml', '.toml': 'toml', '.md': 'markdown',
+  '.html': 'html', '.css': 'css', '.scss': 'scss', '.sql': 'sql', '.vue': 'vue', '.svelte': 'svelte',
+}
+
+/**
+ * Recency of each file as a 0–1 rank by last commit (annotateHistory()),
+ * or modification time for untracked files and outside git (newest 1), so
+ * one fresh edit doesn't dwarf everything else. Returns a Map by relPath.
+ */
+export function recencyRanks(files) {
+  const changedAt = f => f.lastCommitMs ?? f.mtimeMs ?? 0
+  const byAge = [...files].sort((a, b) => changedAt(a) - changedAt(b))
+  return new Map(byAge.map((f, i) => [f.relPath, byAge.length > 1 ? i / (byAge.length - 1) : 1]))
+}
+
+/**
+ * Score every candidate file. Returns [{ file, score, reasons }] ordered
+ * most relevant first; ties go to the smaller file.
+ */
+export function rankFiles(scanResult, candidates) {
+  const entries = new Map(findEntryPoints(scanResult).map(e => [e.relPath, e.note]))
+  const recency = recencyRanks(candidates)
+
+  return candidates
+    .map(file => {
+      const relPath = toPosix(file.relPath)
+      const name = path.posix.basename(relPath)
+      const depth = relPath.split('/').length - 1
+      const reasons = []
+      let score = 0
+
+      if (entries.has(relPath)) {
+        score += 100
+        reasons.push(entries.get(relPath))
+      }
+      if (depth === 0 && PROJECT_FILES.has(name)) {
+        score += 70
+        reasons.push('project file')
+      } else if (KEY_FILE_NAMES.has(name)) {
+        score += 60
+        reasons.push('key file')
+      }
+      if (TEST_FILE_RE.test(name) || TEST_DIR_RE.test(relPath)) score -= 15
+
+      const fresh = recency.get(file.relPath)
+      score += Math.round(40 * fresh) - 2 * depth
+      if (fresh >= 0.9 && candidates.length >= 10) reasons.push('recently changed')
+
+      return { file, score, reasons }
+    })
+    .sort((a, b) => b.score - a.score || a.file.tokens - b.file.tokens || a.file.relPath.localeCompare(b.file.relPath))
+}
+
+/**
+ * Render the selected paths as an indented tree, directories first.
+ */
+export function renderFileTree(relPaths) {
+  const root = new Map()
+  for (const relPath of relPaths) {
+    let node = root
+    for (const part of toPosix(relPath).split('/')) {
+      if (!node.has(part)) node.set(part, new Map())
+      node = node.get(part)
+    }
+  }
+
+  const lines = []
+  const walk = (node, indent) => {
+    const entries = [...node.entries()].sort(([a, ac], [b, bc]) => (bc.size > 0) - (ac.size > 0) || a.localeCompare(b))
+    for (const [name, children] of entries) {
+      lines.push(`${indent}${name}${children.size > 0 ? '/' : ''}`)
+      walk(children, indent + '  ')
+    }
+  }
+  walk(root, '')
+  return lines.join('\n')
+}
+
+/**
+ * Cut text down to roughly `tokens`, at a line boundary.
+ * Returns { content, keptLines, totalLines }.
+ */
+function truncateText(text, tokens, fileTokens) {
+  const lines = text.split('\n')
+  const limit = Math.floor(text.length * (tokens / Math.max(fileTokens, 1)))
+  let length = 0
+  let keptLines = 0
+  while (keptLines < lines.length && length + lines[keptLines].length + 1 <= limit) {
+    length += lines[keptLines].length + 1
+    keptLines++
+  }
+  return { content: lines.slice(0, keptLines).join('\n'), keptLines, totalLines: lines.length }
+}
+
+function readFile(rootDir, file) {
+  try {
+    return fs.readFileSync(path.join(rootDir, file.relPath), 'utf8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Select and read the files for a pack.
+ * Options: maxTokens (no limit when unset), tokenizer (counts the headers
+ * and truncated files; defaults to the heuristic), exclude (relPaths to
+ * leave out, such as the output file), ranked (a rankFiles()-shaped list
+ * to pack instead of every clean file, as select does).
+ * Returns { rootDir, name, tokenizer, maxTokens, totalTokens, files, omitted,
+ * bloat } where files are [{ relPath, tokens, content, reasons, truncated? }]
+ * in relevance order (a truncated file last) and omitted are
+ * [{ relPath, tokens, reason }].
+ */
+export function buildPack(scanResult, analysis, options = {}) {
+  const { maxTokens = null, tokenizer = createHeuristicTokenizer(), exclude = new Set() } = options
+  const bloat = new Set(analysis.bloatFiles.map(f => f.relPath))
+  const ranked = (options.ranked ?? rankFiles(scanResult, scanResult.files.filter(f => !f.isBinary && !bloat.has(f.relPath))))
+    .filter(item => !exclude.has(item.file.relPath))
+
+  // Everything but the file bodies: the title and summary once, then per
+  // file its heading, note line, fences and line in the tree
+  const header = tokenizer.count(`# Context pack: ${path.basename(scanResult.rootDir)}\n\n${'x'.repeat(160)}\n\n## File tree\n\n\`\`\`\n\`\`\`\n\n## Files\n`)
+  const overhead = relPath => tokenizer.count(`### ${relPath}\n\n${'x'.repeat(60)}\n\n\`\`\`\`\n\`\`\`\`\n\n${relPath}\n`)
+  let remaining = maxTokens === null ? Infinity : maxTokens - header
+
+  const selected = []
+  const skipped = []
+  for (const item of ranked) {
+    const cost = item.file.tokens + overhead(item.file.relPath)
+    if (cost <= remaining) {
+      selected.push(item)
+      remaining -= cost
+    } else {
+      skipped.push(item)
+    }
+  }
+
+  const files = []
+  const omitted = []
+  for (const { file, reasons } of selected) {
+    const content = readFile(scanResult.rootDir, file)
+    if (content === null) {
+      omitted.push({ relPath: file.relPath, tokens: file.tokens, reason: 'could not be read' })
+      continue
+    }
+    files.push({ relPath: file.relPath, ext: file.ext, tokens: file.tokens, content, reasons })
+  }
+
+  // Spend what's left on the most relevant file that didn't fit whole
+  for (const { file, reasons } of skipped) {
+    const room = remaining - overhead(file.relPath)
+    const content = room >= TRUNCATE_MIN_TOKENS && files.every(f => !f.truncated) ? readFile(scanResult.rootDir, file) : null
+    if (content !== null) {
+      const cut = truncateText(content, room, file.tokens)
+      const tokens = tokenizer.count(cut.content, file)
+      if (cut.keptLines > 0 && tokens <= room) {
+        files.push({ relPath: file.relPath, ext: file.ext, tokens, content: cut.content, reasons, truncated: { keptLines: cut.keptLines, totalLines: cut.totalLines, fullTokens: file.tokens } })
+        remaining -= tokens + overhead(file.relPath)
+        continue
+      }
+    }
+    omitted.push({ relPath: file.relPath, tokens: file.tokens, reason: 'over the token budget' })
+  }
+
+  return {
+    rootDir: scanResult.rootDir,
+    name: path.basename(scanResult.rootDir),
+    tokenizer: scanResult.tokenizer,
+    maxTokens,
+    totalTokens: files.reduce((sum, f) => sum + f.tokens, 0),
+    files,
+    omitted,
+    bloat: { fileCount: analysis.bloatFiles.length, tokens: analysis.bloatTokens },
+  }
+}
+
+function plural(n, word) {
+  return `${n.toLocaleString()} ${word}${n === 1 ? '' : 's'}`
+}
+
+function summaryLine(pack) {
+  const parts = [`${plural(pack.files.length, 'file')}, ~${plural(pack.totalTokens, 'token')}`, `estimated with ${pack.tokenizer}`]
+  if (pack.maxTokens !== null) parts.push(`budget ${pack.maxTokens.toLocaleString()} tokens`)
+  if (pack.bloat.fileCount > 0) parts.push(`${plural(pack.bloat.fileCount, 'bloat file')} excluded`)
+  if (pack.omitted.length > 0) parts.push(`${plural(pack.omitted.length, 'file')} left out`)
+  return parts.join(' · ')
+}
+
+function fileNote(f) {
+  const notes = [`~${plural(f.tokens, 'token')}`, ...f.reasons]
+  if (f.truncated) notes.push(`truncated to ${f.truncated.keptLines} of ${f.truncated.totalLines} lines`)
+  return notes.join(' · ')
+}
+
+function renderMarkdown(pack) {
+  const lines = [`# Context pack: ${pack.name}`, '', summaryLine(pack), '', '## File tree', '', '```', renderFileTree(pack.files.map(f => f.relPath)), '```', '', '## Files', '']
+
+  for (const f of pack.files) {
+    // The fence must be longer than any backtick run inside the file
+    const longest = Math.max(2, ...(f.content.match(/`+/g) || []).map(run => run.length))
+    const fence = '`'.repeat(longest + 1)
+    lines.push(`### ${toPosix(f.relPath)}`, '', fileNote(f), '', fence + (FENCE_LANGUAGES[f.ext] || ''), f.content.replace(/\n$/, ''), fence, '')
+  }
+  return lines.join('\n')
+}
+
+function xmlAttr(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;')
+}
+
+/**
+ * Wrap text in CDATA, splitting any `]]>` it contains across two sections.
+ */
+function xmlCdata(text) {
+  return `<![CDATA[${text.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`
+}
+
+function renderXml(pack) {
+  const lines = [
+    `<context_pack project="${xmlAttr(pack.name)}" files="${pack.files.length}" tokens="${pack.totalTokens}" tokenizer="${xmlAttr(pack.tokenizer)}">`,
+    `<summary>${xmlAttr(summaryLine(pack))}</summary>`,
+    '<file_tree>',
+    xmlAttr(renderFileTree(pack.files.map(f => f.relPath))),
+    '</file_tree>',
+  ]
+
+  // File contents go in as CDATA, so markup in them stays text
+  for (const f of pack.files) {
+    const truncated = f.truncated ? ` truncated="${f.truncated.keptLines}/${f.truncated.totalLines} lines"` : ''
+    lines.push(`<file path="${xmlAttr(toPosix(f.relPath))}" tokens="${f.tokens}"${truncated}>`, xmlCdata(f.content.replace(/\n$/, '')), '</file>')
+  }
+  lines.push('</context_pack>', '')
+  return lines.join('\n')
+}
+
+/**
+ * Render a buildPack() result as `markdown` or `xml`.
+ */
+export function renderPack(pack, format = 'markdown') {
+  if (format === 'markdown') return renderMarkdown(pack)
+  if (format === 'xml') return renderXml(pack)
+  throw new Error(`Unknown pack format "${format}" (expected ${PACK_FORMATS.join(', ')})`)
+}
@@ -0,0 +1,165 @@
+/**
+ * cache.js — incremental scan cache
+ * Stores per-file sniff results, token counts and content signals in
+ * .contextpack-cache/, keyed by path and validated by size, mtime and inode.
+ * The whole cache is dropped when its fingerprint (tokenizer, scan options,
+ * rules) or any ignore file it was built with changes. Entries themselves don't depend
+ * on ignore rules, so a newly added ignore file only changes which files
+ * get visited.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+
+export const CACHE_DIR = '.contextpack-cache'
+
+// Bump when the entry shape or anything that feeds it changes
+const CACHE_VERSION = 4
+const CACHE_FILE = `scan-v${CACHE_VERSION}.json`
+
+/**
+ * Hash the settings that per-file results depend on: the tokenizer (and
+ * the custom module's mtime), the scan options and the rules. Budgets,
+ * report settings and which file the config came from are left out, so
+ * changing them keeps the cache. RegExps and functions (from JS configs
+ * and plugins) are hashed by their source.
+ */
+export function cacheFingerprint({ tokenizer, tokenizerModule = null, config = {}, rules = [] }) {
+  const parts = {
+    tokenizer,
+    tokenizerModule,
+    defaultIgnore: config.defaultIgnore,
+    respectGitignore: config.respectGitignore,
+    maxFileBytes: config.maxFileBytes,
+    rules,
+  }
+  const json = JSON.stringify(parts, (key, value) => value instanceof RegExp || typeof value === 'function' ? value.toString() : value)
+  return crypto.createHash('sha1').update(json).digest('hex')
+}
+
+function statStamp(stat) {
+  return { size: stat.size, mtimeMs: stat.mtimeMs, ino: stat.ino }
+}
+
+function sameStamp(a, b) {
+  return a.size === b.size && a.mtimeMs === b.mtimeMs && a.ino === b.ino
+}
+
+/**
+ * Stamp each ignore source so later runs can tell if any changed.
+ */
+function stampSources(sources) {
+  const stamps = {}
+  for (const source of sources) {
+    try {
+      stamps[source] = statStamp(fs.statSync(source))
+    } catch { /* vanished mid-scan */ }
+  }
+  return stamps
+}
+
+function sourcesUnchanged(stamps) {
+  for (const [source, stamp] of Object.entries(stamps)) {
+    try {
+      if (!sameStamp(statStamp(fs.statSync(source)), stamp)) return false
+    } catch {
+      return false
+    }
+  }
+  return true
+}
+
+/**
+ * Open the cache for rootDir. Entries are only reused when the stored
+ * fingerprint matches and no recorded ignore file has changed.
+ * Returns { get(relPath, stat), set(relPath, stat, data), save(ignoreSources), stats }.
+ */
+export function openCache(rootDir, fingerprint) {
+  const dir = path.join(rootDir, CACHE_DIR)
+  const filePath = path.join(dir, CACHE_FILE)
+
+  let previous = {}
+  try {
+    const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+    if (stored.fingerprint === fingerprint && sourcesUnchanged(stored.ignoreSources || {})) {
+      previous = stored.entries || {}
+    }
+  } catch { /* no cache yet, or unreadable — start fresh */ }
+
+  // Only entries seen this run are written back, which prunes deleted files
+  const current = {}
+  const stats = { hits: 0, misses: 0 }
+
+  return {
+    stats,
+
+    get(relPath, stat) {
+      const entry = previous[relPath]
+      if (entry && sameStamp(entry.stamp, statStamp(stat))) {
+        current[relPath] = entry
+        stats.hits++
+        return entry.data
+      }
+      stats.misses++
+      return null
+    },
+
+    set(relPath, stat, data) {
+      current[relPath] = { stamp: statStamp(stat), data }
+    },
+
+    save(ignoreSources = []) {
+      try {
+        fs.mkdirSync(dir, { recursive: true })
+        // Keep the cache out of git without touching the project's .gitignore
+        fs.writeFileSync(path.join(dir, '.gitignore'), '*\n', 'utf8')
+        fs.writeFileSync(filePath, JSON.stringify({
+          version: CACHE_VERSION,
+          fingerprint,
+          ignoreSources: stampSources(ignoreSources),
+          entries: current,
+        }), 'utf8')
+      } catch {
+        // read-only checkout — the cache is an optimization, not a requirement
+      }
+    },
+  }
+}
+
+/**
+ * In-memory cache with the same interface as openCache(), for long-running
+ * processes like `watch`. Each save() makes this run's entries the next
+ * run's baseline and resets the stats.
+ */
+export function createMemoryCache() {
+  let previous = {}
+  let current = {}
+  const stats = { hits: 0, misses: 0 }
+
+  return {
+    stats,
+
+    get(relPath, stat) {
+      const entry = previous[relPath]
+      if (entry && sameStamp(entry.stamp, statStamp(stat))) {
+        current[relPath] = entry
+        stats.hits++
+        return entry.data
+      }
+      stats.misses++
+      return null
+    },
+
+    set(relPath, stat, data) {
+      current[relPath] = { stamp: statStamp(stat), data }
+    },
+
+    save() {
+      previous = current
+      current = {}
+      stats.hits = 0
+      stats.misses = 0
+    },
+  }
+}
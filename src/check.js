@@ -0,0 +1,144 @@
+/**
+ * check.js — token budget enforcement for CI gating
+ */
+
+import { GRADES } from './analyzer.js'
+
+/**
+ * Sum tokens of every scanned file under a directory (relative, `/`-separated).
+ */
+function directoryTokens(files, dir) {
+  const prefix = dir.replace(/\\/g, '/').replace(/^\.\/|\/+$/g, '') + '/'
+  let total = 0
+  for (const f of files) {
+    if (f.relPath.replace(/\\/g, '/').startsWith(prefix)) total += f.tokens
+  }
+  return total
+}
+
+// Budgets given as token counts or percentages
+const NUMERIC_BUDGETS = ['maxTotalTokens', 'maxBloatPercent', 'maxFileTokens']
+
+function isBudgetNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0
+}
+
+/**
+ * Describe the first malformed budget, or return null when all are valid.
+ * Every limit must be a finite, non-negative number — a comparison with
+ * NaN or a string would never fail and let the check pass silently.
+ */
+export function findBudgetError(budgets) {
+  for (const key of NUMERIC_BUDGETS) {
+    if (budgets[key] != null && !isBudgetNumber(budgets[key])) {
+      return `"budgets.${key}" must be a non-negative number`
+    }
+  }
+  if (budgets.minGrade != null && !GRADES.includes(budgets.minGrade)) {
+    return `"budgets.minGrade" must be one of ${GRADES.join(', ')}`
+  }
+  const { directories } = budgets
+  if (directories == null) return null
+  if (typeof directories !== 'object' || Array.isArray(directories)) {
+    return '"budgets.directories" must map directories to token caps'
+  }
+  for (const [dir, limit] of Object.entries(directories)) {
+    if (!isBudgetNumber(limit)) return `"budgets.directories" cap for "${dir}" must be a non-negative number`
+  }
+  return null
+}
+
+/**
+ * Compare a scan + analysis against budgets. Sensitive files in context
+ * (security suggestions) always fail, budgets or not.
+ * Budgets: { maxTotalTokens, maxBloatPercent, minGrade, maxFileTokens,
+ *            directories: { [dir]: maxTokens } }
+ * Returns { passed, checked, violations: [{ rule, message, actual, limit, path? }] }
+ * where checked counts the budgets. Throws on malformed budgets.
+ */
+export function checkBudgets(scanResult, analysis, budgets = {}) {
+  const budgetError = findBudgetError(budgets)
+  if (budgetError) throw new Error(`Invalid budgets: ${budgetError}`)
+
+  const violations = []
+  let checked = 0
+
+  for (const f of analysis.bloatFiles) {
+    if (f.bloatCategory !== 'security') continue
+    violations.push({
+      rule: 'sensitiveFiles',
+      message: f.bloatReason,
+      path: f.relPath,
+      actual: f.tokens,
+      limit: 0,
+    })
+  }
+
+  if (budgets.maxTotalTokens != null) {
+    checked++
+    if (scanResult.totalTokens > budgets.maxTotalTokens) {
+      violations.push({
+        rule: 'maxTotalTokens',
+        message: 'total tokens exceed budget',
+        actual: scanResult.totalTokens,
+        limit: budgets.maxTotalTokens,
+      })
+    }
+  }
+
+  if (budgets.maxBloatPercent != null) {
+    checked++
+    if (analysis.reductionPercent > budgets.maxBloatPercent) {
+      violations.push({
+        rule: 'maxBloatPercent',
+        message: 'bloat percentage exceeds budget',
+        actual: analysis.reductionPercent,
+        limit: budgets.maxBloatPercent,
+      })
+    }
+  }
+
+  if (budgets.minGrade != null) {
+    checked++
+    const required = GRADES.indexOf(budgets.minGrade)
+    if (GRADES.indexOf(analysis.grade) > required) {
+      violations.push({
+        rule: 'minGrade',
+        message: 'context grade below minimum',
+        actual: analysis.grade,
+        limit: budgets.minGrade,
+      })
+    }
+  }
+
+  for (const [dir, limit] of Object.entries(budgets.directories || {})) {
+    checked++
+    const tokens = directoryTokens(scanResult.files, dir)
+    if (tokens > limit) {
+      violations.push({
+        rule: 'directories',
+        message: 'directory exceeds token cap',
+        path: dir,
+        actual: tokens,
+        limit,
+      })
+    }
+  }
+
+  if (budgets.maxFileTokens != null) {
+    checked++
+    for (const f of scanResult.files) {
+      if (f.tokens > budgets.maxFileTokens) {
+        violations.push({
+          rule: 'maxFileTokens',
+          message: 'file exceeds token cap',
+          path: f.relPath,
+          actual: f.tokens,
+          limit: budgets.maxFileTokens,
+        })
+      }
+    }
+  }
+
+  return { passed: violations.length === 0, checked, violations }
+}
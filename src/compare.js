@@ -0,0 +1,99 @@
+/**
+ * compare.js — sources for the compare command
+ * Loads saved JSON reports as scan results and exports git refs to a
+ * temporary directory so they can be scanned like a working tree.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawn } from 'child_process'
+import { SCHEMA_VERSION } from './export.js'
+import { findGitDir } from './git.js'
+
+/**
+ * Load a report written by `scan --format json` as a scan result.
+ * Only the fields diffScans() and printCompareReport() read are restored.
+ */
+export function loadSnapshot(filePath) {
+  let report
+  try {
+    report = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (err) {
+    throw new Error(`Cannot read snapshot ${filePath}: ${err.message}`)
+  }
+
+  if (report?.schema !== 'claude-context-pack/report') {
+    throw new Error(`${filePath} is not a claude-context-pack JSON report (save one with scan --format json)`)
+  }
+  if (report.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`${filePath} uses report schema v${report.schemaVersion}; this version reads up to v${SCHEMA_VERSION}`)
+  }
+
+  const { scan } = report
+  return {
+    files: scan.files.map(f => ({ ...f, name: path.basename(f.relPath) })),
+    totalTokens: scan.totalTokens,
+    totalBytes: scan.totalBytes,
+    ignoredCount: scan.ignoredCount,
+    binaryCount: scan.binaryCount,
+    rootDir: scan.rootDir,
+    tokenizer: scan.tokenizer,
+    generatedAt: report.generatedAt,
+  }
+}
+
+/**
+ * Wait for a child process, collecting stderr for error messages.
+ * Resolves to { code, stderr }.
+ */
+function settle(child, command) {
+  return new Promise((resolve, reject) => {
+    let stderr = ''
+    child.stderr.on('data', chunk => { stderr += chunk })
+    child.on('error', err => {
+      reject(err.code === 'ENOENT' ? new Error(`${command} not found on PATH`) : err)
+    })
+    child.on('close', code => resolve({ code, stderr: stderr.trim() }))
+  })
+}
+
+/**
+ * Pipe `git archive` into `tar -x` to write a tree-ish into dir.
+ */
+async function exportTree(repoDir, treeish, dir) {
+  const git = spawn('git', ['archive', '--format=tar', treeish], { cwd: repoDir, stdio: ['ignore', 'pipe', 'pipe'] })
+  const tar = spawn('tar', ['-x', '-f', '-', '-C', dir], { stdio: ['pipe', 'ignore', 'pipe'] })
+  git.stdout.pipe(tar.stdin)
+  // tar may exit early on a bad archive; git's error is the useful one
+  tar.stdin.on('error', () => {})
+
+  const [gitExit, tarExit] = await Promise.all([settle(git, 'git'), settle(tar, 'tar')])
+  if (gitExit.code !== 0) throw new Error(gitExit.stderr || `git archive exited with code ${gitExit.code}`)
+  if (tarExit.code !== 0) throw new Error(tarExit.stderr || `tar exited with code ${tarExit.code}`)
+}
+
+/**
+ * Export the tree of `ref` for rootDir into a temporary directory, call
+ * fn(dir) and remove the directory afterwards. rootDir may be a
+ * subdirectory of the repository; only that subtree is exported.
+ */
+export async function withGitRef(rootDir, ref, fn) {
+  const repo = findGitDir(rootDir)
+  if (!repo) throw new Error(`${rootDir} is not inside a git repository`)
+
+  const subPath = path.relative(repo.workTree, path.resolve(rootDir)).replace(/\\/g, '/')
+  const treeish = subPath ? `${ref}:${subPath}` : ref
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contextpack-ref-'))
+
+  try {
+    try {
+      await exportTree(repo.workTree, treeish, dir)
+    } catch (err) {
+      throw new Error(`Cannot read git ref "${ref}": ${err.message}`)
+    }
+    return await fn(dir)
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true })
+  }
+}
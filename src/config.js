@@ -0,0 +1,141 @@
+/**
+ * config.js — project configuration loader
+ * Reads .contextpackrc.json, contextpack.config.js or the "contextPack" key
+ * in package.json, fills in defaults and applies CLI overrides.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { pathToFileURL } from 'url'
+import { CHARS_PER_TOKEN } from './tokenizer.js'
+import { DEFAULT_IGNORE, MAX_FILE_BYTES, DEFAULT_CONCURRENCY } from './scanner.js'
+import { LARGE_FILE_THRESHOLD, LARGE_FILE_LIMIT, STALE_AFTER_DAYS } from './analyzer.js'
+import { KEY_FILES } from './generator.js'
+import { ARCHITECTURE_BUDGET } from './architecture.js'
+import { findBudgetError } from './check.js'
+
+// Config file names, in lookup order — the first one found wins
+export const CONFIG_FILES = ['.contextpackrc.json', 'contextpack.config.js']
+
+export const DEFAULT_CONFIG = {
+  tokenizer: 'heuristic',
+  tokenizerModule: null,
+  charsPerToken: CHARS_PER_TOKEN,
+  defaultIgnore: DEFAULT_IGNORE,
+  respectGitignore: true,
+  maxFileBytes: MAX_FILE_BYTES,
+  concurrency: DEFAULT_CONCURRENCY,
+  cache: true,
+  largeFileThreshold: LARGE_FILE_THRESHOLD,
+  largeFileLimit: LARGE_FILE_LIMIT,
+  history: true,
+  staleAfterDays: STALE_AFTER_DAYS,
+  keyFiles: KEY_FILES,
+  architectureBudget: ARCHITECTURE_BUDGET,
+  budgets: {},
+  rules: [],
+  disableRules: [],
+  plugins: [],
+  detectors: [],
+  categories: {},
+}
+
+const POSITIVE_NUMBERS = ['charsPerToken', 'largeFileThreshold', 'largeFileLimit', 'maxFileBytes', 'concurrency', 'architectureBudget', 'staleAfterDays']
+
+/**
+ * Read a config file by path. JSON files are parsed; JS modules are
+ * imported and their default export used.
+ */
+async function readConfigFile(filePath) {
+  if (filePath.endsWith('.js') || filePath.endsWith('.mjs')) {
+    const mod = await import(pathToFileURL(filePath).href)
+    return mod.default || {}
+  }
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (err) {
+    throw new Error(`Invalid ${path.basename(filePath)}: ${err.message}`)
+  }
+}
+
+/**
+ * Find and read the project config. Returns { config, source } where
+ * source is the file it came from (null when none exists).
+ */
+export async function readProjectConfig(rootDir, configPath) {
+  if (configPath) {
+    const resolved = path.resolve(configPath)
+    if (!fs.existsSync(resolved)) throw new Error(`Config file not found: ${configPath}`)
+    return { config: await readConfigFile(resolved), source: resolved }
+  }
+
+  for (const name of CONFIG_FILES) {
+    const candidate = path.join(rootDir, name)
+    if (fs.existsSync(candidate)) {
+      return { config: await readConfigFile(candidate), source: candidate }
+    }
+  }
+
+  const pkgPath = path.join(rootDir, 'package.json')
+  try {
+    const pkg = JSON.parse(fs.readFileSync(pkgPath, 'utf8'))
+    if (pkg.contextPack && typeof pkg.contextPack === 'object') {
+      return { config: pkg.contextPack, source: pkgPath }
+    }
+  } catch { /* no package.json */ }
+
+  return { config: {}, source: null }
+}
+
+/**
+ * Check the types of known keys. Unknown keys are left alone.
+ */
+function validateConfig(config, source) {
+  const where = source ? ` in ${path.basename(source)}` : ''
+
+  for (const key of POSITIVE_NUMBERS) {
+    if (config[key] !== undefined && !(typeof config[key] === 'number' && config[key] > 0)) {
+      throw new Error(`Invalid config${where}: "${key}" must be a positive number`)
+    }
+  }
+  if (config.defaultIgnore !== undefined && !(Array.isArray(config.defaultIgnore) && config.defaultIgnore.every(p => typeof p === 'string'))) {
+    throw new Error(`Invalid config${where}: "defaultIgnore" must be an array of patterns`)
+  }
+  if (config.keyFiles !== undefined && !Array.isArray(config.keyFiles)) {
+    throw new Error(`Invalid config${where}: "keyFiles" must be an array of { name, note }`)
+  }
+  for (const key of ['rules', 'disableRules', 'plugins', 'detectors']) {
+    if (config[key] !== undefined && !Array.isArray(config[key])) {
+      throw new Error(`Invalid config${where}: "${key}" must be an array`)
+    }
+  }
+  if (config.categories !== undefined && (typeof config.categories !== 'object' || config.categories === null)) {
+    throw new Error(`Invalid config${where}: "categories" must map category names to labels`)
+  }
+  if (config.budgets !== undefined && (typeof config.budgets !== 'object' || config.budgets === null)) {
+    throw new Error(`Invalid config${where}: "budgets" must be an object`)
+  }
+  const budgetError = config.budgets ? findBudgetError(config.budgets) : null
+  if (budgetError) throw new Error(`Invalid config${where}: ${budgetError}`)
+}
+
+/**
+ * Load the effective config for a project: defaults, then the config
+ * file, then CLI overrides (undefined overrides are skipped).
+ */
+export async function loadConfig(rootDir, options = {}) {
+  const { configPath, overrides = {} } = options
+  const { config, source } = await readProjectConfig(rootDir, configPath)
+
+  const defined = Object.fromEntries(Object.entries(overrides).filter(([, v]) => v !== undefined))
+  validateConfig(config, source)
+  validateConfig(defined, null)
+
+  return {
+    ...DEFAULT_CONFIG,
+    ...config,
+    ...defined,
+    budgets: { ...(config.budgets || {}), ...(defined.budgets || {}) },
+    source,
+  }
+}
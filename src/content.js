@@ -0,0 +1,150 @@
+/**
+ * content.js — content heuristics for generated and minified files
+ * Measures a file's text once during the scan; the analyzer turns the
+ * signals into bloat findings for files no path rule caught, and into
+ * security findings when the text holds secrets (see secrets.js).
+ */
+
+import { createSecretScanner } from './secrets.js'
+
+// Only the head and tail are inspected for markers
+const HEADER_BYTES = 1024
+const FOOTER_BYTES = 1024
+// Entropy is sampled from the start of the file
+const ENTROPY_SAMPLE = 64 * 1024
+
+// Markers only count inside a comment line, so code that merely mentions them doesn't.
+// Only the phrases generators write: `@generated`, `DO NOT EDIT` (as in Go's
+// `Code generated … DO NOT EDIT.`), `auto-generated by` and `autogenerated file`;
+// prose such as "the id is generated by the server" is not a marker
+const GENERATED_MARKER_RE = /^\s*(?:\/\/|\/?\*|#|<!--|--|;).*?(?:@generated\b|\bDO NOT EDIT\b|\b(?:[Aa]uto-?generated|AUTO-?GENERATED) (?:by|file|BY|FILE)\b)/m
+const SOURCE_MAP_RE = /[#@]\s*sourceMappingURL=/
+const BASE64_MIN_RUN = 200
+
+/**
+ * Content rules, checked in order. Ids can be listed in `disableRules`.
+ */
+export const CONTENT_RULES = [
+  {
+    id: 'generated-header',
+    priority: 'high',
+    test: s => s.generatedMarker,
+    reason: () => 'generated file — header says not to edit it',
+  },
+  {
+    id: 'base64-blob',
+    priority: 'medium',
+    test: s => s.size > 1024 && s.base64Ratio > 0.3,
+    reason: s => `embedded base64 data — ${Math.round(s.base64Ratio * 100)}% of the file`,
+  },
+  {
+    id: 'minified',
+    priority: 'high',
+    test: s => s.size > 1024 && s.avgLineLength > 200,
+    reason: s => `minified code — ${s.avgLineLength} chars per line on average`,
+  },
+  {
+    id: 'source-map',
+    priority: 'high',
+    test: s => s.sourceMap,
+    reason: () => 'bundled or transpiled output — has a sourceMappingURL comment',
+  },
+  {
+    id: 'high-entropy',
+    priority: 'medium',
+    test: s => s.size > 4096 && s.entropy > 5.5,
+    reason: s => `high-entropy data (${s.entropy.toFixed(1)} bits/char) — likely encoded or compressed`,
+  },
+]
+
+function isBase64Char(c) {
+  return (c >= 65 && c <= 90) || (c >= 97 && c <= 122) || (c >= 48 && c <= 57) || c === 43 || c === 47
+}
+
+/**
+ * Incremental version of inspectContent for streamed reads: push() text
+ * chunks in order, then finish() returns the signals.
+ */
+export function createContentInspector() {
+  let size = 0
+  let lines = 1
+  let head = ''
+  let tail = ''
+  let run = 0
+  let base64Chars = 0
+  let sampled = 0
+  const counts = new Map()
+  const secrets = createSecretScanner()
+
+  return {
+    push(chunk) {
+      secrets.push(chunk)
+      size += chunk.length
+      if (head.length < HEADER_BYTES) head += chunk.slice(0, HEADER_BYTES - head.length)
+      tail = chunk.length >= FOOTER_BYTES ? chunk.slice(-FOOTER_BYTES) : (tail + chunk).slice(-FOOTER_BYTES)
+
+      for (let i = 0; i < chunk.length; i++) {
+        const c = chunk.charCodeAt(i)
+        if (c === 10) lines++
+
+        // Long runs of base64 alphabet characters are embedded data
+        if (isBase64Char(c)) {
+          run++
+        } else {
+          if (run >= BASE64_MIN_RUN) base64Chars += run
+          run = 0
+        }
+
+        if (sampled < ENTROPY_SAMPLE) {
+          counts.set(c, (counts.get(c) || 0) + 1)
+          sampled++
+        }
+      }
+    },
+
+    finish() {
+      if (run >= BASE64_MIN_RUN) base64Chars += run
+
+      // Shannon entropy of the sample, in bits per character
+      let entropy = 0
+      for (const n of counts.values()) {
+        const p = n / sampled
+        entropy -= p * Math.log2(p)
+      }
+
+      return {
+        size,
+        avgLineLength: Math.round(size / lines),
+        generatedMarker: GENERATED_MARKER_RE.test(head),
+        sourceMap: SOURCE_MAP_RE.test(tail),
+        base64Ratio: size > 0 ? base64Chars / size : 0,
+        entropy: Math.round(entropy * 100) / 100,
+        secrets: secrets.finish(),
+      }
+    },
+  }
+}
+
+/**
+ * Measure the signals the content rules look at.
+ */
+export function inspectContent(text) {
+  const inspector = createContentInspector()
+  inspector.push(text)
+  return inspector.finish()
+}
+
+/**
+ * Return the first content rule that fires for these signals as
+ * { id, priority, reason }, or null.
+ */
+export function classifyContent(signals, disabled = new Set()) {
+  if (!signals) return null
+  for (const rule of CONTENT_RULES) {
+    if (disabled.has(rule.id)) continue
+    if (rule.test(signals)) {
+      return { id: rule.id, priority: rule.priority, reason: rule.reason(signals) }
+    }
+  }
+  return null
+}
@@ -0,0 +1,568 @@
+/**
+ * detectors.js — stack and command detector registry
+ * Each detector inspects one ecosystem's manifests and reports the
+ * technologies and dev commands CLAUDE.md should mention. Built-ins run
+ * in order, then detectors from plugins; results are deduplicated.
+ *
+ * Detector shape:
+ *   { id, detect(project) → { stack?, commands? } | null }
+ *   stack     — [{ name, note }], first detector to name a technology wins
+ *   commands  — [{ command, note }], first detector to list a command wins
+ *
+ * `project` is what detect() gets to look at (detect must be synchronous):
+ *   rootDir, files, packageManager ('npm' | 'pnpm' | 'yarn' | 'bun')
+ *   has(name)        — a scanned file with this name exists at any depth
+ *   hasPath(relPath) — this scanned file exists (posix path from the root)
+ *   hasExt(ext)      — a scanned file has this extension ('.ts')
+ *   exists(relPath)  — the path exists on disk, scanned or not (lockfiles
+ *                      are often excluded by .claudeignore)
+ *   read(relPath)    — root-relative file contents, or null
+ *   readJson(relPath)
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { readText, readJson, parseJsonc, tomlSection, tomlSections, tomlKeys, tomlArray } from './manifest.js'
+
+// Lockfiles that pin the package manager, in precedence order
+const LOCKFILES = [
+  ['pnpm-lock.yaml', 'pnpm'],
+  ['bun.lock', 'bun'],
+  ['bun.lockb', 'bun'],
+  ['yarn.lock', 'yarn'],
+  ['package-lock.json', 'npm'],
+  ['npm-shrinkwrap.json', 'npm'],
+]
+
+// package.json scripts worth listing, in the order they are listed
+const SCRIPT_NOTES = {
+  dev: 'start dev server',
+  start: 'start the app',
+  build: 'production build',
+  test: 'run tests',
+  lint: 'lint code',
+  typecheck: 'type-check',
+  format: 'format code',
+}
+
+// npm packages that identify a framework or tool
+const NODE_PACKAGES = [
+  { deps: ['next'], name: 'Next.js', note: 'React framework' },
+  { deps: ['@remix-run/react', '@remix-run/node'], name: 'Remix', note: 'React framework' },
+  { deps: ['react'], name: 'React', note: 'UI library', unless: ['next', '@remix-run/react'] },
+  { deps: ['vue', 'nuxt'], name: 'Vue/Nuxt', note: 'Vue framework' },
+  { deps: ['svelte', '@sveltejs/kit'], name: 'SvelteKit', note: 'Svelte framework' },
+  { deps: ['astro'], name: 'Astro', note: 'content-focused web framework' },
+  { deps: ['@angular/core'], name: 'Angular', note: 'web framework' },
+  { deps: ['@nestjs/core'], name: 'NestJS', note: 'Node.js server framework' },
+  { deps: ['express'], name: 'Express', note: 'Node.js web server' },
+  { deps: ['fastify'], name: 'Fastify', note: 'Node.js web server' },
+  { deps: ['hono'], name: 'Hono', note: 'edge web framework' },
+  { deps: ['koa'], name: 'Koa', note: 'Node.js web server' },
+  { deps: ['electron'], name: 'Electron', note: 'desktop apps' },
+  { deps: ['typescript'], name: 'TypeScript', note: 'typed JavaScript' },
+  { deps: ['tailwindcss'], name: 'Tailwind CSS', note: 'utility-first CSS' },
+  { deps: ['prisma', '@prisma/client'], name: 'Prisma', note: 'ORM + database' },
+  { deps: ['drizzle-orm'], name: 'Drizzle', note: 'TypeScript ORM' },
+  { deps: ['stripe'], name: 'Stripe', note: 'payments' },
+  { deps: ['openai', '@anthropic-ai/sdk'], name: 'AI SDK', note: 'LLM integration' },
+  { deps: ['vite'], name: 'Vite', note: 'dev server + bundler' },
+  { deps: ['vitest'], name: 'Vitest', note: 'test runner' },
+  { deps: ['jest'], name: 'Jest', note: 'test runner' },
+  { deps: ['mocha'], name: 'Mocha', note: 'test runner' },
+  { deps: ['@playwright/test'], name: 'Playwright', note: 'end-to-end tests' },
+  { deps: ['cypress'], name: 'Cypress', note: 'end-to-end tests' },
+]
+
+// Python distributions that identify a framework or tool
+const PYTHON_PACKAGES = [
+  { deps: ['django'], name: 'Django', note: 'web framework' },
+  { deps: ['flask'], name: 'Flask', note: 'web framework' },
+  { deps: ['fastapi'], name: 'FastAPI', note: 'async web framework' },
+  { deps: ['sqlalchemy'], name: 'SQLAlchemy', note: 'ORM' },
+  { deps: ['celery'], name: 'Celery', note: 'task queue' },
+  { deps: ['streamlit'], name: 'Streamlit', note: 'data apps' },
+  { deps: ['torch', 'tensorflow', 'jax'], name: 'ML framework', note: 'model training' },
+  { deps: ['pytest'], name: 'Pytest', note: 'test runner' },
+]
+
+// Cargo crates that identify a framework
+const CARGO_PACKAGES = [
+  { deps: ['axum'], name: 'Axum', note: 'web framework' },
+  { deps: ['actix-web'], name: 'Actix Web', note: 'web framework' },
+  { deps: ['rocket'], name: 'Rocket', note: 'web framework' },
+  { deps: ['tauri'], name: 'Tauri', note: 'desktop apps' },
+  { deps: ['bevy'], name: 'Bevy', note: 'game engine' },
+  { deps: ['tokio'], name: 'Tokio', note: 'async runtime' },
+]
+
+// Go modules that identify a framework
+const GO_PACKAGES = [
+  { deps: ['github.com/gin-gonic/gin'], name: 'Gin', note: 'web framework' },
+  { deps: ['github.com/labstack/echo/v4', 'github.com/labstack/echo'], name: 'Echo', note: 'web framework' },
+  { deps: ['github.com/gofiber/fiber/v2', 'github.com/gofiber/fiber'], name: 'Fiber', note: 'web framework' },
+  { deps: ['github.com/go-chi/chi/v5', 'github.com/go-chi/chi'], name: 'chi', note: 'HTTP router' },
+  { deps: ['github.com/spf13/cobra'], name: 'Cobra', note: 'CLI framework' },
+]
+
+const MAKEFILES = ['GNUmakefile', 'makefile', 'Makefile']
+const JUSTFILES = ['justfile', 'Justfile', '.justfile']
+const COMPOSE_FILES = ['compose.yaml', 'compose.yml', 'docker-compose.yml', 'docker-compose.yaml']
+
+// How many Makefile targets / just recipes / project scripts to list
+const TASK_LIMIT = 5
+
+/**
+ * Stack entries for every known package present in `deps`.
+ */
+function matchPackages(table, deps) {
+  return table
+    .filter(entry => entry.deps.some(d => deps.has(d)) && !(entry.unless || []).some(d => deps.has(d)))
+    .map(({ name, note }) => ({ name, note }))
+}
+
+/**
+ * The package manager for a directory: the `packageManager` field of its
+ * package.json, else the first lockfile found, else null.
+ */
+export function detectPackageManager(dir) {
+  const declared = readJson(path.join(dir, 'package.json'))?.packageManager
+  const name = typeof declared === 'string' ? declared.match(/^(npm|pnpm|yarn|bun)@/)?.[1] : null
+  if (name) return name
+  for (const [file, manager] of LOCKFILES) {
+    if (fs.existsSync(path.join(dir, file))) return manager
+  }
+  return null
+}
+
+/**
+ * The command that runs a package.json script with a package manager.
+ */
+function runScript(manager, script) {
+  if (manager === 'npm') return script === 'test' || script === 'start' ? `npm ${script}` : `npm run ${script}`
+  if (manager === 'bun') return `bun run ${script}`
+  return `${manager} ${script}`
+}
+
+/**
+ * Parse Makefile targets with their descriptions, taken from a trailing
+ * `## comment` or a `#` comment on the line above. Special targets
+ * (`.PHONY`), pattern rules and variable assignments are skipped.
+ */
+export function parseMakeTargets(content) {
+  const targets = []
+  const lines = content.split(/\r?\n/)
+  for (let i = 0; i < lines.length; i++) {
+    const name = lines[i].match(/^([A-Za-z0-9][\w.-]*)\s*:(?![=:])/)?.[1]
+    if (!name || targets.some(t => t.name === name)) continue
+    const note = lines[i].match(/##\s*(.+)$/)?.[1] || lines[i - 1]?.match(/^#+\s*(.+)/)?.[1]
+    targets.push({ name, note: note?.trim() || null })
+  }
+  return targets
+}
+
+/**
+ * Parse justfile recipes with the doc comment above each. Private recipes
+ * (leading `_` or a `[private]` attribute), settings and aliases are skipped.
+ */
+export function parseJustRecipes(content) {
+  const recipes = []
+  const lines = content.split(/\r?\n/)
+  for (let i = 0; i < lines.length; i++) {
+    const name = lines[i].match(/^@?([A-Za-z][\w-]*)(?:\s+[^:]*)?:(?!=)/)?.[1]
+    if (!name || /^(?:set|alias|export|import|mod)\b/.test(lines[i])) continue
+
+    // Attributes sit between the doc comment and the recipe
+    let j = i - 1
+    let hidden = false
+    while (j >= 0 && /^\[.*\]\s*$/.test(lines[j])) {
+      if (/\bprivate\b/.test(lines[j])) hidden = true
+      j--
+    }
+    if (hidden) continue
+    recipes.push({ name, note: lines[j]?.match(/^#\s*(.+)/)?.[1].trim() || null })
+  }
+  return recipes
+}
+
+/**
+ * Names of the services in a Compose file, read by indentation.
+ */
+export function parseComposeServices(content) {
+  const services = []
+  let indent = null
+  let inServices = false
+  for (const line of content.split(/\r?\n/)) {
+    if (!line.trim() || /^\s*#/.test(line)) continue
+    if (/^services\s*:\s*(?:#.*)?$/.test(line)) {
+      inServices = true
+      continue
+    }
+    if (!inServices) continue
+    if (/^\S/.test(line)) break
+    const match = line.match(/^(\s+)(["']?)([\w.-]+)\2\s*:/)
+    if (!match) continue
+    if (indent === null) indent = match[1].length
+    if (match[1].length === indent) services.push(match[3])
+  }
+  return services
+}
+
+/**
+ * Dependency names declared in pyproject.toml (PEP 621, dependency groups,
+ * Poetry) and requirements.txt, lowercased without extras or versions.
+ */
+function pythonDeps(pyproject, requirements) {
+  const specs = [
+    ...tomlArray(pyproject, 'project', 'dependencies'),
+    ...tomlSections(pyproject)
+      .filter(s => s === 'project.optional-dependencies' || s === 'dependency-groups')
+      .flatMap(s => tomlKeys(pyproject, s).flatMap(key => tomlArray(pyproject, s, key))),
+    ...tomlSections(pyproject)
+      .filter(s => s === 'tool.poetry.dependencies' || /^tool\.poetry\.group\.[\w-]+\.dependencies$/.test(s))
+      .flatMap(s => tomlKeys(pyproject, s)),
+    ...(requirements || '').split(/\r?\n/).filter(line => !/^\s*(?:#|-)/.test(line)),
+  ]
+  return new Set(specs.map(spec => spec.trim().match(/^[A-Za-z0-9][\w.-]*/)?.[0]?.toLowerCase()).filter(Boolean))
+}
+
+const nodeDetector = {
+  id: 'node',
+  detect(project) {
+    const pkg = project.readJson('package.json')
+    const deps = new Set(Object.keys({ ...(pkg?.dependencies || {}), ...(pkg?.devDependencies || {}) }))
+    const stack = matchPackages(NODE_PACKAGES, deps)
+    if (!deps.has('typescript') && (project.hasExt('.ts') || project.hasExt('.tsx'))) {
+      stack.push({ name: 'TypeScript', note: 'typed JavaScript' })
+    }
+    if (project.has('package.json') && stack.length === 0) stack.push({ name: 'Node.js', note: 'JavaScript runtime' })
+
+    const commands = []
+    if (pkg) {
+      const manager = project.packageManager
+      const scripts = pkg.scripts || {}
+      commands.push({ command: `${manager} install`, note: 'install deps' })
+      for (const [script, note] of Object.entries(SCRIPT_NOTES)) {
+        if (scripts[script]) commands.push({ command: runScript(manager, script), note })
+      }
+    }
+    return { stack, commands }
+  },
+}
+
+const denoDetector = {
+  id: 'deno',
+  detect(project) {
+    const file = ['deno.json', 'deno.jsonc'].find(name => project.has(name))
+    if (!file) return null
+    const config = parseJsonc(project.read(file))
+    const tasks = Object.keys(config?.tasks || {})
+    const commands = tasks.slice(0, TASK_LIMIT).map(task => ({ command: `deno task ${task}`, note: SCRIPT_NOTES[task] || `${task} task` }))
+    if (config && !tasks.includes('test')) commands.push({ command: 'deno test', note: 'run tests' })
+    return { stack: [{ name: 'Deno', note: `TypeScript runtime, see ${file}` }], commands }
+  },
+}
+
+const bunDetector = {
+  id: 'bun',
+  detect(project) {
+    if (!project.has('bunfig.toml') && !(project.has('package.json') && project.packageManager === 'bun')) return null
+    return { stack: [{ name: 'Bun', note: 'JavaScript runtime + package manager' }] }
+  },
+}
+
+const pythonDetector = {
+  id: 'python',
+  detect(project) {
+    if (!['pyproject.toml', 'requirements.txt', 'setup.py'].some(name => project.has(name))) return null
+    const pyproject = project.read('pyproject.toml')
+    const requirements = project.read('requirements.txt')
+
+    let tool = null
+    if (tomlSection(pyproject, 'tool.poetry') !== null || project.exists('poetry.lock')) tool = 'poetry'
+    else if (project.exists('uv.lock') || tomlSection(pyproject, 'tool.uv') !== null) tool = 'uv'
+    else if (project.exists('pdm.lock') || tomlSection(pyproject, 'tool.pdm') !== null) tool = 'pdm'
+
+    let note = 'check requirements.txt for deps'
+    if (tool) note = `${tool} for deps`
+    else if (pyproject !== null) note = 'pyproject.toml for deps'
+    const deps = pythonDeps(pyproject, requirements)
+    const stack = [{ name: 'Python', note }, ...matchPackages(PYTHON_PACKAGES, deps)]
+
+    const run = tool ? `${tool} run ` : ''
+    const commands = []
+    if (tool === 'uv') commands.push({ command: 'uv sync', note: 'install deps' })
+    else if (tool) commands.push({ command: `${tool} install`, note: 'install deps' })
+    else if (requirements !== null) commands.push({ command: 'pip install -r requirements.txt', note: 'install deps' })
+    else if (pyproject !== null) commands.push({ command: 'pip install -e .', note: 'install in editable mode' })
+
+    const scripts = [...tomlKeys(pyproject, 'project.scripts'), ...tomlKeys(pyproject, 'tool.poetry.scripts')]
+    for (const script of [...new Set(scripts)].slice(0, TASK_LIMIT)) {
+      commands.push({ command: `${run}${script}`, note: 'project script' })
+    }
+    if (project.hasPath('manage.py')) {
+      commands.push({ command: `${run}python manage.py runserver`, note: 'start Django dev server' })
+    } else if (project.hasPath('main.py')) {
+      commands.push({ command: `${run}python main.py`, note: 'run app' })
+    }
+    const hasPytest = deps.has('pytest') || project.has('pytest.ini') || project.has('conftest.py') ||
+      tomlSection(pyproject, 'tool.pytest.ini_options') !== null
+    if (hasPytest) {
+      commands.push({ command: `${run}pytest`, note: 'run tests' })
+      if (!deps.has('pytest')) stack.push({ name: 'Pytest', note: 'test runner' })
+    }
+    return { stack, commands }
+  },
+}
+
+const rustDetector = {
+  id: 'rust',
+  detect(project) {
+    if (!project.has('Cargo.toml')) return null
+    const cargo = project.read('Cargo.toml')
+    const deps = new Set([...tomlKeys(cargo, 'dependencies'), ...tomlKeys(cargo, 'workspace.dependencies')])
+    const stack = [{ name: 'Rust', note: 'Cargo.toml for deps' }, ...matchPackages(CARGO_PACKAGES, deps)]
+    if (cargo === null) return { stack }
+
+    const workspace = tomlSection(cargo, 'workspace') !== null ? ' --workspace' : ''
+    const commands = [
+      { command: `cargo build${workspace}`, note: 'build' },
+      { command: `cargo test${workspace}`, note: 'run tests' },
+    ]
+    if (project.hasPath('src/main.rs')) commands.push({ command: 'cargo run', note: 'run the binary' })
+    return { stack, commands }
+  },
+}
+
+const goDetector = {
+  id: 'go',
+  detect(project) {
+    if (!project.has('go.mod')) return null
+    const mod = project.read('go.mod')
+    const module = mod?.match(/^module\s+(\S+)/m)?.[1]
+    const deps = new Set([...(mod || '').matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w./-]+)\s+v\d/gm)].map(m => m[1]))
+    const stack = [{ name: 'Go', note: module ? `module ${module}` : 'go.mod for deps' }, ...matchPackages(GO_PACKAGES, deps)]
+    if (mod === null) return { stack }
+
+    const commands = [
+      { command: 'go build ./...', note: 'build all packages' },
+      { command: 'go test ./...', note: 'run tests' },
+    ]
+    if (project.hasPath('main.go')) commands.push({ command: 'go run .', note: 'run the app' })
+    return { stack, commands }
+  },
+}
+
+const jvmDetector = {
+  id: 'jvm',
+  detect(project) {
+    const gradleFile = ['build.gradle.kts', 'build.gradle'].find(name => project.hasPath(name))
+    const pom = project.hasPath('pom.xml') ? project.read('pom.xml') : null
+    if (!gradleFile && pom === null) return null
+
+    const stack = []
+    const commands = []
+    if (project.hasExt('.kt') || gradleFile === 'build.gradle.kts') stack.push({ name: 'Kotlin', note: 'JVM language' })
+    if (project.hasExt('.java')) stack.push({ name: 'Java', note: 'JVM language' })
+
+    if (gradleFile) {
+      const build = project.read(gradleFile) || ''
+      const gradle = project.exists('gradlew') ? './gradlew' : 'gradle'
+      stack.push({ name: 'Gradle', note: `see ${gradleFile}` })
+      if (/com\.android\./.test(build)) stack.push({ name: 'Android', note: 'Android app' })
+      commands.push({ command: `${gradle} build`, note: 'build' }, { command: `${gradle} test`, note: 'run tests' })
+      if (/org\.springframework\.boot/.test(build)) {
+        stack.push({ name: 'Spring Boot', note: 'Java web framework' })
+        commands.push({ command: `${gradle} bootRun`, note: 'start the app' })
+      }
+    }
+    if (pom !== null) {
+      const maven = project.exists('mvnw') ? './mvnw' : 'mvn'
+      stack.push({ name: 'Maven', note: 'see pom.xml' })
+      commands.push({ command: `${maven} package`, note: 'build' }, { command: `${maven} test`, note: 'run tests' })
+      if (/spring-boot/.test(pom)) {
+        stack.push({ name: 'Spring Boot', note: 'Java web framework' })
+        commands.push({ command: `${maven} spring-boot:run`, note: 'start the app' })
+      }
+    }
+    return { stack, commands }
+  },
+}
+
+const phpDetector = {
+  id: 'php',
+  detect(project) {
+    if (!project.has('composer.json')) return null
+    const stack = [{ name: 'PHP/Composer', note: 'see composer.json' }]
+    const commands = [{ command: 'composer install', note: 'install deps' }]
+    if (project.hasPath('artisan')) {
+      stack.push({ name: 'Laravel', note: 'PHP web framework' })
+      commands.push({ command: 'php artisan serve', note: 'start dev server' })
+    }
+    return { stack, commands }
+  },
+}
+
+const rubyDetector = {
+  id: 'ruby',
+  detect(project) {
+    if (!project.has('Gemfile')) return null
+    const gemfile = project.read('Gemfile') || ''
+    const stack = [{ name: 'Ruby', note: 'Gemfile for deps' }]
+    const commands = [{ command: 'bundle install', note: 'install deps' }]
+    if (/^\s*gem\s+["']rails["']/m.test(gemfile)) {
+      stack.push({ name: 'Rails', note: 'Ruby web framework' })
+      commands.push({ command: 'bin/rails server', note: 'start dev server' })
+    }
+    if (/^\s*gem\s+["']rspec(?:-rails)?["']/m.test(gemfile)) {
+      stack.push({ name: 'RSpec', note: 'test runner' })
+      commands.push({ command: 'bundle exec rspec', note: 'run tests' })
+    }
+    return { stack, commands }
+  },
+}
+
+const dartDetector = {
+  id: 'dart',
+  detect(project) {
+    if (!project.has('pubspec.yaml')) return null
+    const pubspec = project.read('pubspec.yaml') || ''
+    const tool = /^\s+(?:flutter|sdk:\s*flutter)\b/m.test(pubspec) ? 'flutter' : 'dart'
+    return {
+      stack: [{ name: 'Flutter/Dart', note: 'see pubspec.yaml' }],
+      commands: [
+        { command: `${tool} pub get`, note: 'install deps' },
+        { command: `${tool} test`, note: 'run tests' },
+      ],
+    }
+  },
+}
+
+const makeDetector = {
+  id: 'make',
+  detect(project) {
+    const file = MAKEFILES.find(name => project.hasPath(name))
+    if (!file) return null
+    const targets = parseMakeTargets(project.read(file) || '')
+    if (targets.length === 0) return { commands: [{ command: 'make help', note: 'see available make targets' }] }
+    return {
+      commands: targets.slice(0, TASK_LIMIT).map(t => ({ command: `make ${t.name}`, note: t.note || 'make target' })),
+    }
+  },
+}
+
+const justDetector = {
+  id: 'just',
+  detect(project) {
+    const file = JUSTFILES.find(name => project.hasPath(name))
+    if (!file) return null
+    const recipes = parseJustRecipes(project.read(file) || '')
+    return {
+      commands: recipes.slice(0, TASK_LIMIT).map(r => ({ command: `just ${r.name}`, note: r.note || 'just recipe' })),
+    }
+  },
+}
+
+const composeDetector = {
+  id: 'docker-compose',
+  detect(project) {
+    const file = COMPOSE_FILES.find(name => project.hasPath(name))
+    if (!file) return null
+    const services = parseComposeServices(project.read(file) || '')
+    const listed = services.length > 6 ? [...services.slice(0, 6), '…'] : services
+    return {
+      stack: services.length > 0 ? [{ name: 'Docker Compose', note: `services: ${listed.join(', ')}` }] : [],
+      commands: [{ command: 'docker compose up', note: services.length > 0 ? `start ${listed.join(', ')}` : 'start all services' }],
+    }
+  },
+}
+
+// Built-in detectors, language ecosystems first, then task runners
+export const BUILTIN_DETECTORS = [
+  nodeDetector,
+  denoDetector,
+  bunDetector,
+  pythonDetector,
+  rustDetector,
+  goDetector,
+  jvmDetector,
+  phpDetector,
+  rubyDetector,
+  dartDetector,
+  makeDetector,
+  justDetector,
+  composeDetector,
+]
+
+/**
+ * Validate a detector. `source` names where it came from for error messages.
+ */
+export function defineDetector(detector, source = 'config') {
+  if (!detector || typeof detector !== 'object') {
+    throw new Error(`Invalid detector from ${source}: expected an object`)
+  }
+  if (typeof detector.id !== 'string' || !detector.id) {
+    throw new Error(`Invalid detector from ${source}: "id" is required`)
+  }
+  if (typeof detector.detect !== 'function') {
+    throw new Error(`Invalid detector "${detector.id}" from ${source}: "detect" must be a function`)
+  }
+  return detector
+}
+
+/**
+ * Run detectors against a scan result (or a scopeScan() of one package).
+ * A detector that throws aborts the run, unless `onError` is given: then
+ * it receives the error and the remaining detectors still run.
+ * Returns { stack, commands, packageManager }.
+ */
+export function runDetectors(scanResult, detectors = BUILTIN_DETECTORS, options = {}) {
+  const { onError } = options
+  const { rootDir, files } = scanResult
+  const names = new Set(files.map(f => f.name))
+  const paths = new Set(files.map(f => f.relPath.replace(/\\/g, '/')))
+  const exts = new Set(files.map(f => f.ext))
+  const reads = new Map()
+
+  // A workspace package inherits the package manager of the workspace root
+  const packageManager = detectPackageManager(rootDir) ||
+    (scanResult.workspaceRoot ? detectPackageManager(scanResult.workspaceRoot) : null) ||
+    'npm'
+
+  const project = {
+    rootDir,
+    files,
+    packageManager,
+    has: name => names.has(name),
+    hasPath: relPath => paths.has(relPath),
+    hasExt: ext => exts.has(ext),
+    exists: relPath => fs.existsSync(path.join(rootDir, relPath)),
+    read(relPath) {
+      if (!reads.has(relPath)) reads.set(relPath, readText(path.join(rootDir, relPath)))
+      return reads.get(relPath)
+    },
+    readJson: relPath => parseJsonc(project.read(relPath)),
+  }
+
+  const stack = new Map()
+  const commands = new Map()
+  for (const detector of detectors) {
+    let found
+    try {
+      found = detector.detect(project)
+    } catch (err) {
+      const error = new Error(`Detector "${detector.id}" failed: ${err.message}`)
+      if (!onError) throw error
+      onError(error)
+      continue
+    }
+    for (const item of found?.stack || []) {
+      if (!stack.has(item.name)) stack.set(item.name, item)
+    }
+    for (const item of found?.commands || []) {
+      if (!commands.has(item.command)) commands.set(item.command, item)
+    }
+  }
+
+  return { stack: [...stack.values()], commands: [...commands.values()], packageManager }
+}
@@ -0,0 +1,64 @@
+/**
+ * diff.js — compare two scan results
+ * Pairs files by relative path and reports what was added, removed or
+ * changed, largest token swing first, plus per-directory totals.
+ */
+
+/**
+ * Directory a file is grouped under: its first `depth` path segments, or
+ * '.' for files at the root.
+ */
+function directoryOf(relPath, depth) {
+  const segments = relPath.split(/[\\/]/)
+  return segments.slice(0, Math.min(depth, segments.length - 1)).join('/') || '.'
+}
+
+/**
+ * Diff two scan() results (or snapshots with the same `files` shape).
+ * Returns { tokenDelta, byteDelta, fileDelta, changes, directories } where
+ * each change is { relPath, status: 'added'|'removed'|'changed', before,
+ * after, delta } in tokens, and each directory is { dir, before, after,
+ * delta } summed over files `depth` segments deep.
+ */
+export function diffScans(before, after, { depth = 1 } = {}) {
+  const previous = new Map(before.files.map(f => [f.relPath, f]))
+  const directories = new Map()
+  const changes = []
+
+  function tally(relPath, side, tokens) {
+    const dir = directoryOf(relPath, depth)
+    if (!directories.has(dir)) directories.set(dir, { dir, before: 0, after: 0, delta: 0 })
+    directories.get(dir)[side] += tokens
+  }
+
+  for (const f of before.files) tally(f.relPath, 'before', f.tokens)
+
+  for (const f of after.files) {
+    tally(f.relPath, 'after', f.tokens)
+    const prev = previous.get(f.relPath)
+    previous.delete(f.relPath)
+
+    if (!prev) {
+      changes.push({ relPath: f.relPath, status: 'added', before: 0, after: f.tokens, delta: f.tokens })
+    } else if (prev.tokens !== f.tokens || prev.size !== f.size) {
+      changes.push({ relPath: f.relPath, status: 'changed', before: prev.tokens, after: f.tokens, delta: f.tokens - prev.tokens })
+    }
+  }
+
+  for (const prev of previous.values()) {
+    changes.push({ relPath: prev.relPath, status: 'removed', before: prev.tokens, after: 0, delta: -prev.tokens })
+  }
+
+  const bySwing = (a, b) => Math.abs(b.delta) - Math.abs(a.delta)
+  changes.sort((a, b) => bySwing(a, b) || a.relPath.localeCompare(b.relPath))
+
+  for (const d of directories.values()) d.delta = d.after - d.before
+
+  return {
+    tokenDelta: after.totalTokens - before.totalTokens,
+    byteDelta: after.totalBytes - before.totalBytes,
+    fileDelta: after.files.length - before.files.length,
+    changes,
+    directories: [...directories.values()].sort((a, b) => bySwing(a, b) || a.dir.localeCompare(b.dir)),
+  }
+}
@@ -0,0 +1,297 @@
+/**
+ * export.js — machine-readable reports (json, csv, markdown, sarif)
+ * Serializes scan() + analyze() results under a versioned schema.
+ */
+
+import fs from 'fs'
+import { toPosix } from './files.js'
+
+// Bump on any breaking change to the JSON report shape
+export const SCHEMA_VERSION = 1
+
+export const FORMATS = ['text', 'json', 'csv', 'markdown', 'sarif']
+
+const pkg = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8'))
+
+const SARIF_LEVELS = { critical: 'error', high: 'warning', medium: 'note', low: 'note' }
+
+/**
+ * A bloat or advisory file as it appears in the report.
+ */
+function exportBloatFile(f) {
+  return {
+    relPath: toPosix(f.relPath),
+    tokens: f.tokens,
+    size: f.size,
+    category: f.bloatCategory,
+    reason: f.bloatReason,
+    pattern: f.bloatPattern,
+  }
+}
+
+/**
+ * Build the versioned report object shared by every format.
+ */
+export function buildReport(command, scanResult, analysis) {
+  return {
+    schema: 'claude-context-pack/report',
+    schemaVersion: SCHEMA_VERSION,
+    tool: { name: pkg.name, version: pkg.version },
+    command,
+    generatedAt: new Date().toISOString(),
+    scan: {
+      rootDir: scanResult.rootDir,
+      tokenizer: scanResult.tokenizer,
+      totalTokens: scanResult.totalTokens,
+      totalBytes: scanResult.totalBytes,
+      fileCount: scanResult.files.length,
+      ignoredCount: scanResult.ignoredCount,
+      binaryCount: scanResult.binaryCount,
+      misclassified: (scanResult.misclassified || []).map(m => ({ ...m, relPath: toPosix(m.relPath) })),
+      hasClaudeignore: scanResult.hasClaudeignore,
+      hasGitignore: scanResult.hasGitignore,
+      ignoreSources: scanResult.ignoreSources || [],
+      files: scanResult.files.map(f => ({
+        relPath: toPosix(f.relPath),
+        ext: f.ext,
+        size: f.size,
+        tokens: f.tokens,
+        isBinary: f.isBinary,
+        ...(f.churn !== undefined && {
+          lastCommit: f.lastCommitMs ? new Date(f.lastCommitMs).toISOString() : null,
+          churn: f.churn,
+        }),
+      })),
+    },
+    analysis: {
+      totalTokens: analysis.totalTokens,
+      cleanTokens: analysis.cleanTokens,
+      bloatTokens: analysis.bloatTokens,
+      reductionPercent: analysis.reductionPercent,
+      grade: analysis.grade,
+      suggestions: analysis.suggestions.map(s => ({
+        pattern: s.pattern,
+        category: s.category,
+        priority: s.priority,
+        reason: s.reason,
+        tokenSavings: s.tokenSavings,
+        fileCount: s.fileCount,
+        ...(s.confidence && { confidence: s.confidence }),
+      })),
+      bloatFiles: analysis.bloatFiles.map(exportBloatFile),
+      advisoryFiles: (analysis.advisoryFiles || []).map(exportBloatFile),
+      largeFiles: analysis.largeFiles.map(f => ({
+        relPath: toPosix(f.relPath),
+        tokens: f.tokens,
+        size: f.size,
+      })),
+      workspaces: analysis.workspaces || null,
+    },
+  }
+}
+
+/**
+ * Build the JSON document for `compare --format json`: both sides'
+ * totals plus the per-directory and per-file breakdown from diffScans().
+ */
+export function buildCompareReport(before, after, diff, labels = {}) {
+  const side = (result, label) => ({
+    label: label || result.rootDir,
+    tokenizer: result.tokenizer,
+    totalTokens: result.totalTokens,
+    totalBytes: result.totalBytes,
+    fileCount: result.files.length,
+  })
+
+  return {
+    schema: 'claude-context-pack/compare',
+    schemaVersion: SCHEMA_VERSION,
+    tool: { name: pkg.name, version: pkg.version },
+    generatedAt: new Date().toISOString(),
+    before: side(before, labels.before),
+    after: side(after, labels.after),
+    tokenDelta: diff.tokenDelta,
+    byteDelta: diff.byteDelta,
+    fileDelta: diff.fileDelta,
+    directories: diff.directories,
+    changes: diff.changes.map(c => ({ ...c, relPath: toPosix(c.relPath) })),
+  }
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline.
+ */
+function csvField(value) {
+  const str = value === undefined || value === null ? '' : String(value)
+  return /[",\n\r]/.test(str) ? '"' + str.replace(/"/g, '""') + '"' : str
+}
+
+function csvRows(header, rows) {
+  return [header, ...rows].map(row => row.map(csvField).join(',')).join('\n') + '\n'
+}
+
+/**
+ * CSV: one row per file for `scan`, one row per suggestion for `suggest`.
+ */
+export function toCsv(report) {
+  if (report.command === 'suggest') {
+    return csvRows(
+      ['pattern', 'category', 'priority', 'tokenSavings', 'fileCount', 'reason', 'confidence'],
+      report.analysis.suggestions.map(s => [s.pattern, s.category, s.priority, s.tokenSavings, s.fileCount, s.reason, s.confidence ?? ''])
+    )
+  }
+
+  const bloat = new Map(report.analysis.bloatFiles.map(f => [f.relPath, f]))
+  return csvRows(
+    ['relPath', 'ext', 'size', 'tokens', 'isBinary', 'bloatCategory', 'bloatReason'],
+    report.scan.files.map(f => {
+      const b = bloat.get(f.relPath)
+      return [f.relPath, f.ext, f.size, f.tokens, f.isBinary, b?.category, b?.reason]
+    })
+  )
+}
+
+function mdCell(value) {
+  return String(value).replace(/\|/g, '\\|')
+}
+
+/**
+ * Markdown: summary plus suggestion and largest-file tables.
+ */
+export function toMarkdown(report) {
+  const { scan, analysis } = report
+  const lines = [
+    '# Context report',
+    '',
+    `- **Root:** \`${scan.rootDir}\``,
+    `- **Estimator:** ${scan.tokenizer}`,
+    `- **Files scanned:** ${scan.fileCount.toLocaleString()} (${scan.ignoredCount.toLocaleString()} ignored, ${scan.binaryCount.toLocaleString()} binary)`,
+    `- **Total tokens:** ${scan.totalTokens.toLocaleString()}`,
+    `- **Bloat:** ${analysis.bloatTokens.toLocaleString()} tokens (${analysis.reductionPercent}%)`,
+    `- **Grade:** ${analysis.grade}`,
+    '',
+  ]
+
+  if (analysis.suggestions.length > 0) {
+    lines.push('## Suggestions', '')
+    lines.push('| Pattern | Priority | Category | Tokens saved | Files | Reason |')
+    lines.push('|---------|----------|----------|--------------|-------|--------|')
+    for (const s of analysis.suggestions) {
+      const reason = s.confidence ? `${s.reason} (${s.confidence} confidence)` : s.reason
+      lines.push(`| \`${mdCell(s.pattern)}\` | ${s.priority} | ${s.category} | ${s.tokenSavings.toLocaleString()} | ${s.fileCount} | ${mdCell(reason)} |`)
+    }
+    lines.push('')
+  }
+
+  if (analysis.workspaces) {
+    lines.push(`## Packages (${analysis.workspaces.tools.join(' + ')})`, '')
+    lines.push('| Package | Directory | Tokens | Bloat | Grade |')
+    lines.push('|---------|-----------|--------|-------|-------|')
+    for (const p of analysis.workspaces.packages) {
+      lines.push(`| ${mdCell(p.name)} | \`${mdCell(p.dir)}\` | ${p.totalTokens.toLocaleString()} | ${p.reductionPercent}% | ${p.grade} |`)
+    }
+    lines.push('')
+  }
+
+  if (report.command === 'scan') {
+    const top = scan.files.filter(f => !f.isBinary && f.tokens > 0).slice(0, 15)
+    if (top.length > 0) {
+      lines.push('## Largest files', '')
+      lines.push('| File | Tokens |')
+      lines.push('|------|--------|')
+      for (const f of top) lines.push(`| \`${mdCell(f.relPath)}\` | ${f.tokens.toLocaleString()} |`)
+      lines.push('')
+    }
+  }
+
+  if (analysis.largeFiles.length > 0) {
+    lines.push('## Large files (review manually)', '')
+    for (const f of analysis.largeFiles) lines.push(`- \`${mdCell(f.relPath)}\` — ${f.tokens.toLocaleString()} tokens`)
+    lines.push('')
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * SARIF 2.1.0: one result per suggestion (located at its largest file)
+ * and one per large file, so findings surface as code-scanning alerts.
+ */
+export function toSarif(report) {
+  const rules = new Map()
+  const results = []
+
+  for (const s of report.analysis.suggestions) {
+    const ruleId = `bloat/${s.category}`
+    if (!rules.has(ruleId)) {
+      rules.set(ruleId, {
+        id: ruleId,
+        name: `ContextBloat${s.category[0].toUpperCase()}${s.category.slice(1)}`,
+        shortDescription: { text: `Context bloat: ${s.category}` },
+        defaultConfiguration: { level: SARIF_LEVELS[s.priority] || 'note' },
+      })
+    }
+
+    const sample = [...report.analysis.bloatFiles, ...report.analysis.advisoryFiles].find(f => f.pattern === s.pattern)
+    results.push({
+      ruleId,
+      level: SARIF_LEVELS[s.priority] || 'note',
+      message: { text: `Add \`${s.pattern}\` to .claudeignore — ${s.reason} (~${s.tokenSavings.toLocaleString()} tokens, ${s.fileCount} files)` },
+      locations: sample ? [location(sample.relPath)] : [],
+      properties: { pattern: s.pattern, priority: s.priority, tokenSavings: s.tokenSavings, fileCount: s.fileCount, ...(s.confidence && { confidence: s.confidence }) },
+    })
+  }
+
+  if (report.analysis.largeFiles.length > 0) {
+    rules.set('large-file', {
+      id: 'large-file',
+      name: 'LargeContextFile',
+      shortDescription: { text: 'Large file not covered by a known bloat pattern' },
+      defaultConfiguration: { level: 'note' },
+    })
+    for (const f of report.analysis.largeFiles) {
+      results.push({
+        ruleId: 'large-file',
+        level: 'note',
+        message: { text: `Large file (~${f.tokens.toLocaleString()} tokens) — review whether Claude needs it` },
+        locations: [location(f.relPath)],
+        properties: { tokens: f.tokens, size: f.size },
+      })
+    }
+  }
+
+  return {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: report.tool.name,
+          version: report.tool.version,
+          informationUri: pkg.homepage,
+          rules: [...rules.values()],
+        },
+      },
+      results,
+    }],
+  }
+}
+
+function location(relPath) {
+  return { physicalLocation: { artifactLocation: { uri: relPath } } }
+}
+
+/**
+ * Render a report in the requested machine-readable format.
+ */
+export function renderReport(format, command, scanResult, analysis) {
+  const report = buildReport(command, scanResult, analysis)
+  switch (format) {
+    case 'json': return JSON.stringify(report, null, 2) + '\n'
+    case 'csv': return toCsv(report)
+    case 'markdown': return toMarkdown(report)
+    case 'sarif': return JSON.stringify(toSarif(report), null, 2) + '\n'
+    default:
+      throw new Error(`Unknown format "${format}" (expected ${FORMATS.join(', ')})`)
+  }
+}
@@ -0,0 +1,21 @@
+/**
+ * files.js — path and file-name helpers shared across analyses
+ */
+
+// Extensions of hand-written code Claude usually needs to see
+export const SOURCE_EXTENSIONS = new Set([
+  '.js', '.mjs', '.cjs', '.jsx', '.ts', '.mts', '.cts', '.tsx', '.vue', '.svelte', '.astro',
+  '.py', '.rb', '.go', '.rs', '.java', '.kt', '.kts', '.scala', '.swift', '.m', '.mm',
+  '.c', '.h', '.cc', '.cpp', '.hpp', '.cs', '.fs', '.php', '.ex', '.exs', '.erl', '.clj',
+  '.dart', '.lua', '.zig', '.sh', '.sql', '.graphql', '.proto',
+])
+
+// Test files by name: foo.test.js, foo.spec.ts, test_foo.py, foo_test.go
+export const TEST_FILE_RE = /\.(?:test|spec)\.[^.]+$|^test_.*\.py$|_test\.(?:go|py)$/
+
+/**
+ * Normalize a path to `/` separators.
+ */
+export function toPosix(p) {
+  return p.replace(/\\/g, '/')
+}
@@ -3,6 +3,7 @@
  */
 
 import chalk from 'chalk'
+import { gradeContext } from './analyzer.js'
 
 const BAR_WIDTH = 30
 
@@ -46,6 +47,27 @@ function priorityColor(priority) {
   }
 }
 
+/**
+ * Live progress line for long scans, drawn on stderr only when it is a TTY.
+ * Returns { update(counts), done() }; both are no-ops elsewhere.
+ */
+export function createProgress(stream = process.stderr) {
+  if (!stream.isTTY) return { update() {}, done() {} }
+
+  let lastDraw = 0
+  return {
+    update({ files, dirs, bytes }) {
+      const now = Date.now()
+      if (now - lastDraw < 100) return
+      lastDraw = now
+      stream.write(`\r  ${chalk.gray('Scanning…')} ${files.toLocaleString()} files in ${dirs.toLocaleString()} dirs ${chalk.gray('(' + fmtBytes(bytes) + ')')}\x1b[K`)
+    },
+    done() {
+      if (lastDraw > 0) stream.write('\r\x1b[K')
+    },
+  }
+}
+
 /**
  * Print the scan report (used by `scan` command).
  */
@@ -62,14 +84,23 @@ export function printScanReport(scanResult, analysis) {
   console.log(`  ${chalk.gray('Root:')}         ${chalk.white(scanResult.rootDir)}`)
   console.log(`  ${chalk.gray('Files scanned:')} ${chalk.white(files.length.toLocaleString())}`)
   console.log(`  ${chalk.gray('Ignored:')}      ${chalk.white(ignoredCount.toLocaleString())}`)
-  console.log(`  ${chalk.gray('Binary:')}       ${chalk.white(binaryCount.toLocaleString())} ${chalk.gray('(excluded from tokens)')}`)
+  console.log(`  ${chalk.gray('Binary:')}       ${chalk.white(binaryCount.toLocaleString())} ${chalk.gray('(detected by content, excluded from tokens)')}`)
   console.log(`  ${chalk.gray('.claudeignore:')} ${hasClaudeignore ? chalk.green('found') : chalk.yellow('not found')}`)
   console.log(`  ${chalk.gray('.gitignore:')}   ${hasGitignore ? chalk.green('found') : chalk.gray('not found')}`)
+  if (scanResult.cacheStats) {
+    const { hits, misses } = scanResult.cacheStats
+    const reused = hits + misses > 0 ? Math.round((hits / (hits + misses)) * 100) : 0
+    console.log(`  ${chalk.gray('Cache:')}        ${chalk.white(reused + '% reused')} ${chalk.gray('(' + hits.toLocaleString() + ' of ' + (hits + misses).toLocaleString() + ' files unchanged)')}`)
+  }
+  if (scanResult.ignoreSources?.length > 0) {
+    console.log(`  ${chalk.gray('Ignore files:')} ${chalk.white(scanResult.ignoreSources.length.toLocaleString())} ${chalk.gray('(nested + git excludes)')}`)
+  }
   console.log('')
 
   // Token totals
   console.log(chalk.bold('  Context Size'))
   console.log(`  Total tokens:  ${fmtTokens(totalTokens)} ${chalk.gray('(~' + fmtBytes(totalBytes) + ')')}`)
+  console.log(`  ${chalk.gray('Estimator:')}     ${chalk.white(scanResult.tokenizer)}`)
 
   if (analysis.bloatTokens > 0) {
     const cleanFraction = analysis.cleanTokens / totalTokens
@@ -82,7 +113,7 @@ export function printScanReport(scanResult, analysis) {
     console.log('')
 
     const grade = gradeContext(analysis.reductionPercent)
-    console.log(`  Context grade: ${grade.color(grade.label)}  ${chalk.gray(grade.note)}`)
+    console.log(`  Context grade: ${gradeColor(grade.label)(grade.label)}  ${chalk.gray(grade.note)}`)
   } else {
     console.log('')
     console.log(`  Context grade: ${chalk.green('A+')}  ${chalk.gray('No bloat detected — great shape!')}`)
@@ -92,6 +123,22 @@ export function printScanReport(scanResult, analysis) {
   console.log(chalk.gray('  ─────────────────────────────────────────────'))
   console.log('')
 
+  // Per-package breakdown for monorepos
+  if (analysis.workspaces) {
+    const { tools, packages } = analysis.workspaces
+    console.log(chalk.bold('  Packages') + chalk.gray(`  ${tools.join(' + ')} workspace`))
+    console.log('')
+    const maxTokens = Math.max(...packages.map(p => p.totalTokens), 1)
+    for (const p of packages.slice(0, 20)) {
+      const label = p.dir.length > 30 ? '...' + p.dir.slice(-27) : p.dir.padEnd(30)
+      console.log(`  ${chalk.white(label)}  ${fmtTokens(p.totalTokens).padStart(8)} ${bar(p.totalTokens / maxTokens, 15)}  ${gradeColor(p.grade)(p.grade.padEnd(2))} ${chalk.gray(p.name === p.dir ? '' : p.name)}`)
+    }
+    if (packages.length > 20) {
+      console.log(chalk.gray(`  … and ${packages.length - 20} more`))
+    }
+    console.log('')
+  }
+
   // Top files by token count
   const topFiles = files.filter(f => !f.isBinary && f.tokens > 0).slice(0, 15)
   if (topFiles.length > 0) {
@@ -112,6 +159,21 @@ export function printScanReport(scanResult, analysis) {
     console.log('')
   }
 
+  // Files whose content disagrees with their extension
+  const misclassified = scanResult.misclassified || []
+  if (misclassified.length > 0) {
+    console.log(chalk.bold('  Misclassified by Extension'))
+    console.log('')
+    for (const m of misclassified.slice(0, 10)) {
+      const label = m.relPath.length > 40 ? '...' + m.relPath.slice(-37) : m.relPath.padEnd(40)
+      console.log(`  ${chalk.cyan(label)}  ${chalk.gray(m.expected + ' by name →')} ${chalk.white(m.detected)} ${chalk.gray('(' + m.kind + ')')}`)
+    }
+    if (misclassified.length > 10) {
+      console.log(chalk.gray(`  … and ${misclassified.length - 10} more`))
+    }
+    console.log('')
+  }
+
   // Quick hint
   if (analysis.suggestions.length > 0) {
     console.log(chalk.gray(`  Run ${chalk.white('npx claude-context-pack suggest')} to see what to ignore.`))
@@ -138,22 +200,25 @@ export function printSuggestReport(analysis) {
 
   console.log(`  ${chalk.bold(analysis.suggestions.length)} patterns to add to .claudeignore:`)
   console.log(`  Potential savings: ${fmtTokens(analysis.bloatTokens)} tokens (${analysis.reductionPercent}% reduction)`)
+  console.log(chalk.gray(`  Estimator: ${analysis.tokenizer}`))
   console.log('')
 
   for (const s of analysis.suggestions) {
     const savings = s.tokenSavings > 0
       ? chalk.gray(' saves ~' + fmtTokens(s.tokenSavings) + ' tokens')
       : ''
+    const pattern = s.category === 'security' ? chalk.red('✗ ' + s.pattern.padEnd(33)) : chalk.yellow(s.pattern.padEnd(35))
     console.log(
-      `  ${chalk.yellow(s.pattern.padEnd(35))} ${priorityColor(s.priority).padEnd(6)} ${savings}`
+      `  ${pattern} ${priorityColor(s.priority).padEnd(6)} ${savings}`
     )
-    console.log(`  ${chalk.gray('└─ ' + s.reason)}`)
+    const confidence = s.confidence ? ` (${s.confidence} confidence)` : ''
+    console.log(`  ${chalk.gray('└─ ' + s.reason + confidence)}`)
     console.log('')
   }
 
   // Large files not yet flagged
   if (analysis.largeFiles.length > 0) {
-    console.log(chalk.bold('  Large files (>10KB, review manually):'))
+    console.log(chalk.bold(`  Large files (>${fmtBytes(analysis.largeFileThreshold)}, review manually):`))
     console.log('')
     for (const f of analysis.largeFiles.slice(0, 10)) {
       console.log(`  ${chalk.cyan(f.relPath.padEnd(45))} ${fmtTokens(f.tokens)}`)
@@ -165,10 +230,22 @@ export function printSuggestReport(analysis) {
   console.log('')
 }
 
+/**
+ * Format a signed token delta: growth in red, shrinkage in green.
+ */
+function fmtDelta(n) {
+  if (n === 0) return chalk.gray('±0')
+  return n > 0 ? chalk.red('+' + fmtTokens(n)) : chalk.green('-' + fmtTokens(-n))
+}
+
+const CHANGE_GLYPHS = { added: '+', removed: '-', changed: '~' }
+
 /**
  * Print the compare report (before vs after).
+ * Pass a diffScans() result as `diff` to break the change down per directory
+ * and per file; `labels` names each side (snapshot path, git ref, ...).
  */
-export function printCompareReport(before, after) {
+export function printCompareReport(before, after, { diff, labels = {} } = {}) {
   console.log('')
   console.log(chalk.bold.white('  Before vs After'))
   console.log(chalk.gray('  ─────────────────────────────────────────────'))
@@ -176,11 +253,17 @@ export function printCompareReport(before, after) {
 
   const saved = before.totalTokens - after.totalTokens
   const pct = before.totalTokens > 0 ? Math.round((saved / before.totalTokens) * 100) : 0
+  const label = side => labels[side] ? chalk.gray('  ' + labels[side]) : ''
 
-  console.log(`  ${chalk.gray('Before:')}  ${fmtTokens(before.totalTokens)} tokens  (${before.files.length} files)`)
-  console.log(`  ${chalk.gray('After:')}   ${fmtTokens(after.totalTokens)} tokens  (${after.files.length} files)`)
+  console.log(`  ${chalk.gray('Before:')}  ${fmtTokens(before.totalTokens)} tokens  (${before.files.length} files)${label('before')}`)
+  console.log(`  ${chalk.gray('After:')}   ${fmtTokens(after.totalTokens)} tokens  (${after.files.length} files)${label('after')}`)
   console.log('')
 
+  if (before.tokenizer && after.tokenizer && before.tokenizer !== after.tokenizer) {
+    console.log(chalk.yellow(`  ⊘ Estimators differ (${before.tokenizer} vs ${after.tokenizer}) — deltas mix both`))
+    console.log('')
+  }
+
   if (saved > 0) {
     console.log(`  ${chalk.green('Saved:')}   ${fmtTokens(saved)} tokens  (${pct}% reduction)`)
 
@@ -198,16 +281,309 @@ export function printCompareReport(before, after) {
   }
 
   console.log('')
+
+  if (!diff) return
+
+  const directories = diff.directories.filter(d => d.delta !== 0)
+  if (directories.length > 0) {
+    console.log(chalk.gray('  ─────────────────────────────────────────────'))
+    console.log('')
+    console.log(chalk.bold('  By Directory'))
+    console.log('')
+    for (const d of directories.slice(0, 15)) {
+      const name = d.dir.length > 30 ? '...' + d.dir.slice(-27) : d.dir.padEnd(30)
+      console.log(`  ${chalk.white(name)}  ${fmtTokens(d.before).padStart(8)} → ${fmtTokens(d.after).padStart(8)}  ${fmtDelta(d.delta)}`)
+    }
+    if (directories.length > 15) {
+      console.log(chalk.gray(`  … and ${directories.length - 15} more`))
+    }
+    console.log('')
+  }
+
+  if (diff.changes.length > 0) {
+    const counts = { added: 0, removed: 0, changed: 0 }
+    for (const c of diff.changes) counts[c.status]++
+
+    console.log(chalk.bold('  By File') + chalk.gray(`  ${counts.added} added, ${counts.removed} removed, ${counts.changed} changed`))
+    console.log('')
+    for (const c of diff.changes.slice(0, 20)) {
+      const name = c.relPath.length > 40 ? '...' + c.relPath.slice(-37) : c.relPath.padEnd(40)
+      console.log(`  ${chalk.gray(CHANGE_GLYPHS[c.status])} ${chalk.white(name)} ${fmtDelta(c.delta)}`)
+    }
+    if (diff.changes.length > 20) {
+      console.log(chalk.gray(`  … and ${diff.changes.length - 20} more`))
+    }
+    console.log('')
+  }
+}
+
+/**
+ * Print the effect of a candidate .claudeignore (used by `simulate` and
+ * `generate --dry-run`).
+ */
+export function printSimulationReport(sim, { label = '.claudeignore' } = {}) {
+  const { before, after, beforeAnalysis, analysis } = sim
+
+  console.log('')
+  console.log(chalk.bold.white('  Simulated .claudeignore') + chalk.gray('  — ' + label))
+  console.log(chalk.gray('  ─────────────────────────────────────────────'))
+  console.log('')
+
+  const saved = before.totalTokens - after.totalTokens
+  const pct = before.totalTokens > 0 ? Math.round((saved / before.totalTokens) * 100) : 0
+  console.log(`  ${chalk.gray('Now:')}     ${fmtTokens(before.totalTokens)} tokens  (${before.files.length} files)  grade ${gradeColor(beforeAnalysis.grade)(beforeAnalysis.grade)}`)
+  console.log(`  ${chalk.gray('With it:')} ${fmtTokens(after.totalTokens)} tokens  (${after.files.length} files)  grade ${gradeColor(analysis.grade)(analysis.grade)}`)
+  if (saved > 0) {
+    console.log(`  ${chalk.green('Saves:')}   ${fmtTokens(saved)} tokens  (${pct}% reduction)`)
+  } else if (saved < 0) {
+    console.log(chalk.yellow(`  Context grows by ${fmtTokens(-saved)} tokens.`))
+  }
+  console.log('')
+
+  const effective = sim.patterns.filter(p => p.files.length > 0)
+  if (effective.length > 0) {
+    console.log(chalk.bold('  Newly Excluded'))
+    console.log('')
+    for (const p of effective.sort((a, b) => b.tokens - a.tokens)) {
+      console.log(`  ${chalk.yellow(p.pattern.padEnd(35))} ${fmtDelta(-p.tokens).padStart(8)} ${chalk.gray(p.files.length + ' file' + (p.files.length === 1 ? '' : 's'))}`)
+      for (const f of p.files.slice(0, 3)) {
+        console.log(chalk.gray(`  └─ ${f.relPath}`))
+      }
+      if (p.files.length > 3) console.log(chalk.gray(`     … and ${p.files.length - 3} more`))
+    }
+    console.log('')
+  }
+
+  if (sim.hidesSource.length > 0) {
+    console.log(chalk.bold.red('  Hides Source Files'))
+    console.log('')
+    for (const p of sim.hidesSource) {
+      const sample = p.sourceFiles.slice(0, 3).map(f => f.relPath).join(', ')
+      const more = p.sourceFiles.length > 3 ? `, … ${p.sourceFiles.length - 3} more` : ''
+      console.log(`  ${chalk.red('✗')} ${chalk.yellow(p.pattern)} ${chalk.gray('hides ' + p.sourceFiles.length + ' source file' + (p.sourceFiles.length === 1 ? '' : 's') + ' Claude probably needs (' + sample + more + ')')}`)
+    }
+    console.log('')
+  }
+
+  if (sim.unmatched.length > 0) {
+    console.log(chalk.bold('  No Effect'))
+    console.log('')
+    for (const p of sim.unmatched) {
+      console.log(`  ${chalk.yellow('⊘')} ${chalk.gray(p.pattern)} ${chalk.gray('— matches nothing')}`)
+    }
+    console.log('')
+  }
+
+  if (sim.alreadyExcluded?.length > 0) {
+    console.log(chalk.bold('  Already Excluded'))
+    console.log('')
+    for (const p of sim.alreadyExcluded) {
+      console.log(`  ${chalk.gray('⊘')} ${chalk.gray(p.pattern)} ${chalk.gray('— ' + p.files.length + ' file' + (p.files.length === 1 ? '' : 's') + ' the current .claudeignore already excludes')}`)
+    }
+    console.log('')
+  }
+
+  if (sim.reincluded.length > 0) {
+    const tokens = sim.reincluded.reduce((sum, f) => sum + f.tokens, 0)
+    console.log(chalk.yellow(`  ⊘ ${sim.reincluded.length} file${sim.reincluded.length === 1 ? '' : 's'} (${fmtTokens(tokens)} tokens) excluded today would come back — the current .claudeignore covers them, the candidate doesn't`))
+    console.log('')
+  }
 }
 
 /**
- * Grade the context health.
+ * Print what changed since the previous scan (used by `watch` command).
+ * Takes a watchProject() update; on the first run there is nothing to compare.
  */
-function gradeContext(bloatPercent) {
-  if (bloatPercent === 0) return { label: 'A+', color: chalk.green, note: 'Perfect' }
-  if (bloatPercent < 5) return { label: 'A', color: chalk.green, note: 'Very clean' }
-  if (bloatPercent < 15) return { label: 'B', color: chalk.cyan, note: 'Some bloat' }
-  if (bloatPercent < 30) return { label: 'C', color: chalk.yellow, note: 'Notable bloat' }
-  if (bloatPercent < 50) return { label: 'D', color: chalk.red, note: 'Significant bloat' }
-  return { label: 'F', color: chalk.bold.red, note: 'Critical bloat — fix immediately' }
+export function printWatchDelta({ analysis, previous, diff, changedPaths }) {
+  console.log(chalk.bold('  Since Last Change') + chalk.gray('  ' + new Date().toLocaleTimeString()))
+  console.log('')
+
+  if (diff) {
+    const bloatDelta = analysis.bloatTokens - previous.analysis.bloatTokens
+    const fileDelta = diff.fileDelta === 0 ? '' : chalk.gray(` (${diff.fileDelta > 0 ? '+' : ''}${diff.fileDelta} files)`)
+    console.log(`  Total tokens:  ${fmtDelta(diff.tokenDelta)}${fileDelta}`)
+    console.log(`  Bloat:         ${fmtDelta(bloatDelta)}`)
+    if (analysis.grade !== previous.analysis.grade) {
+      console.log(`  Context grade: ${gradeColor(previous.analysis.grade)(previous.analysis.grade)} → ${gradeColor(analysis.grade)(analysis.grade)}`)
+    }
+    console.log('')
+
+    // Patterns that weren't needed before — a build dir or fixture leaking in
+    const known = new Set(previous.analysis.suggestions.map(s => s.pattern))
+    const leaks = analysis.suggestions.filter(s => !known.has(s.pattern))
+    for (const s of leaks) {
+      console.log(`  ${chalk.red('✗ New bloat:')} ${chalk.yellow(s.pattern)} ${chalk.gray('~' + fmtTokens(s.tokenSavings) + ' tokens — ' + s.reason)}`)
+    }
+    if (leaks.length > 0) console.log('')
+
+    if (diff.changes.length === 0) {
+      console.log(chalk.gray(`  No token changes (${changedPaths.length} path${changedPaths.length === 1 ? '' : 's'} touched)`))
+    } else {
+      const bloat = new Set(analysis.bloatFiles.map(f => f.relPath))
+      for (const c of diff.changes.slice(0, 10)) {
+        const label = c.relPath.length > 40 ? '...' + c.relPath.slice(-37) : c.relPath.padEnd(40)
+        const fileColor = bloat.has(c.relPath) ? chalk.red : chalk.white
+        console.log(`  ${chalk.gray(CHANGE_GLYPHS[c.status])} ${fileColor(label)} ${fmtDelta(c.delta)}`)
+      }
+      if (diff.changes.length > 10) {
+        console.log(chalk.gray(`  … and ${diff.changes.length - 10} more`))
+      }
+    }
+    console.log('')
+  }
+
+  console.log(chalk.gray('  Watching for changes… (Ctrl+C to stop)'))
+  console.log('')
+}
+
+/**
+ * Print which auto-detected CLAUDE.md sections are stale (used by
+ * `generate --check`). Takes an updateClaudeMd() result.
+ */
+export function printClaudeMdCheck({ stale, current, unmarked }, { file = 'CLAUDE.md' } = {}) {
+  console.log('')
+  if (file !== 'CLAUDE.md') console.log(chalk.bold(`  ${file}`))
+
+  if (stale.length === 0 && current.length === 0) {
+    console.log(chalk.yellow(`  ⊘ ${file} has no context-pack markers — nothing to check`))
+    console.log('')
+    return
+  }
+
+  for (const id of current) console.log(chalk.green(`  ✓ ${id}`) + chalk.gray('  up to date'))
+  for (const id of stale) console.log(chalk.red(`  ✗ ${id}`) + chalk.gray('  stale'))
+  for (const id of unmarked) console.log(chalk.gray(`  ⊘ ${id}  not marked, not checked`))
+  console.log('')
+
+  if (stale.length > 0) {
+    console.log(chalk.gray(`  Run ${chalk.white('npx claude-context-pack generate --update')} to refresh ${stale.length === 1 ? 'it' : 'them'}.`))
+    console.log('')
+  }
+}
+
+/**
+ * Format a budget value according to the rule it belongs to.
+ */
+function fmtBudgetValue(violation, value) {
+  if (violation.rule === 'maxBloatPercent') return chalk.bold(value + '%')
+  if (violation.rule === 'minGrade') return chalk.bold(value)
+  return fmtTokens(value)
+}
+
+/**
+ * Print the budget check result (used by `check` command).
+ */
+export function printCheckReport(result, analysis) {
+  console.log('')
+
+  const exposed = result.violations.filter(v => v.rule === 'sensitiveFiles')
+  const violations = result.violations.filter(v => v.rule !== 'sensitiveFiles')
+
+  if (exposed.length > 0) {
+    console.log(chalk.red(`  ✗ ${exposed.length} sensitive file${exposed.length === 1 ? '' : 's'} in context`) + chalk.gray('  — add them to .claudeignore (run generate)'))
+    console.log('')
+    for (const v of exposed.slice(0, 25)) {
+      console.log(`  ${chalk.red('✗')} ${chalk.cyan(v.path)} ${chalk.gray(v.message)}`)
+    }
+    if (exposed.length > 25) {
+      console.log(chalk.gray(`  … and ${exposed.length - 25} more`))
+    }
+    console.log('')
+  }
+
+  if (result.checked === 0) {
+    console.log(chalk.yellow('  No budgets configured — add "budgets" to .contextpackrc.json or pass limits as flags.'))
+    console.log('')
+    return
+  }
+
+  if (violations.length === 0) {
+    console.log(chalk.green(`  ✓ All ${result.checked} budgets met`) + chalk.gray(`  (${fmtTokens(analysis.totalTokens)} tokens, grade ${analysis.grade})`))
+    console.log('')
+    return
+  }
+
+  console.log(chalk.red(`  ✗ ${violations.length} budget violation${violations.length === 1 ? '' : 's'}`))
+  console.log('')
+
+  for (const v of violations.slice(0, 25)) {
+    const where = v.path ? chalk.cyan(v.path) + ' ' : ''
+    console.log(`  ${chalk.red('✗')} ${where}${v.message}: ${fmtBudgetValue(v, v.actual)} ${chalk.gray('(limit')} ${fmtBudgetValue(v, v.limit)}${chalk.gray(')')}`)
+  }
+  if (violations.length > 25) {
+    console.log(chalk.gray(`  … and ${violations.length - 25} more`))
+  }
+  console.log('')
+}
+
+/**
+ * Grade color.
+ */
+function gradeColor(label) {
+  switch (label) {
+    case 'A+':
+    case 'A': return chalk.green
+    case 'B': return chalk.cyan
+    case 'C': return chalk.yellow
+    case 'D': return chalk.red
+    default: return chalk.bold.red
+  }
+}
+
+/**
+ * Print what `pack` bundled and what it left out. Pass `log: console.error`
+ * when the pack itself goes to stdout.
+ */
+export function printPackReport(pack, { output = null, log = console.log } = {}) {
+  const truncated = pack.files.filter(f => f.truncated)
+  const budget = pack.maxTokens !== null ? chalk.gray(` of ${fmtTokens(pack.maxTokens)} budget`) : ''
+
+  log('')
+  log(chalk.green(`  ✓ Packed ${pack.files.length} file${pack.files.length === 1 ? '' : 's'}, ~${fmtTokens(pack.totalTokens)} tokens`) + budget + (output ? chalk.gray(' → ') + chalk.white(output) : ''))
+  if (pack.bloat.fileCount > 0) {
+    log(chalk.gray(`  ⊘ ${pack.bloat.fileCount} bloat file${pack.bloat.fileCount === 1 ? '' : 's'} excluded (~${fmtTokens(pack.bloat.tokens)} tokens)`))
+  }
+  for (const f of truncated) {
+    log(chalk.yellow(`  ⊘ ${f.relPath} truncated`) + chalk.gray(` — ${f.truncated.keptLines} of ${f.truncated.totalLines} lines, ~${fmtTokens(f.tokens)} of ${fmtTokens(f.truncated.fullTokens)} tokens`))
+  }
+
+  if (pack.omitted.length > 0) {
+    const tokens = pack.omitted.reduce((sum, o) => sum + o.tokens, 0)
+    log('')
+    log(chalk.red(`  ✗ Left out ${pack.omitted.length} file${pack.omitted.length === 1 ? '' : 's'}`) + chalk.gray(` (~${fmtTokens(tokens)} tokens)`))
+    for (const o of pack.omitted.slice(0, 15)) {
+      log(`    ${chalk.cyan(o.relPath.padEnd(45))} ${fmtTokens(o.tokens).padStart(7)} ${chalk.gray(o.reason)}`)
+    }
+    if (pack.omitted.length > 15) log(chalk.gray(`    … and ${pack.omitted.length - 15} more`))
+  }
+  log('')
+}
+
+/**
+ * Print a select result: the chosen files with their score and why, then
+ * how much relevant context didn't fit.
+ */
+export function printSelectionReport(selection, { output = null, log = console.log } = {}) {
+  const target = [...selection.seeds, ...selection.keywords.map(k => `"${k}"`)].join(', ')
+  log('')
+  log(chalk.bold.white(`  Context for ${target}`))
+  log(chalk.gray('  ─────────────────────────────────────────────'))
+  log('')
+
+  if (selection.files.length === 0) {
+    log(chalk.yellow('  ⊘ Nothing relevant fits the budget.'))
+    log('')
+    return
+  }
+
+  for (const { file, score, reasons } of selection.files) {
+    log(`  ${chalk.cyan(file.relPath.padEnd(45))} ${fmtTokens(file.tokens).padStart(7)} ${chalk.gray(score.toFixed(2))} ${chalk.gray(reasons.join(', '))}`)
+  }
+  log('')
+  log(chalk.green(`  ✓ ${selection.files.length} file${selection.files.length === 1 ? '' : 's'}, ~${fmtTokens(selection.totalTokens)} tokens`) + chalk.gray(` of ${fmtTokens(selection.maxTokens)} budget`) + (output ? chalk.gray(' → ') + chalk.white(output) : ''))
+  if (selection.skipped.length > 0) {
+    const tokens = selection.skipped.reduce((sum, item) => sum + item.file.tokens, 0)
+    log(chalk.yellow(`  ⊘ ${selection.skipped.length} more relevant file${selection.skipped.length === 1 ? '' : 's'} didn't fit`) + chalk.gray(` (~${fmtTokens(tokens)} tokens)`))
+  }
+  log('')
 }
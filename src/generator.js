@@ -4,49 +4,95 @@
 
 import fs from 'fs'
 import path from 'path'
+import { parseIgnoreLines, compileIgnoreRules, matchIgnoreRules, isPathIgnored } from './ignore.js'
+import { scopeScan } from './workspaces.js'
+import { runDetectors, BUILTIN_DETECTORS } from './detectors.js'
+import { renderArchitecture, ARCHITECTURE_BUDGET } from './architecture.js'
+import { readText } from './manifest.js'
+import { SOURCE_EXTENSIONS } from './files.js'
+import { daysBetween } from './history.js'
+
+// Files worth pointing out in CLAUDE.md, matched by name
+export const KEY_FILES = [
+  { name: 'index.js', note: 'main entry point' },
+  { name: 'index.ts', note: 'main entry point' },
+  { name: 'main.js', note: 'application entry' },
+  { name: 'main.ts', note: 'application entry' },
+  { name: 'app.js', note: 'application root' },
+  { name: 'app.ts', note: 'application root' },
+  { name: 'server.js', note: 'HTTP server' },
+  { name: 'server.ts', note: 'HTTP server' },
+  { name: 'next.config.js', note: 'Next.js config' },
+  { name: 'next.config.ts', note: 'Next.js config' },
+  { name: 'vite.config.ts', note: 'Vite config' },
+  { name: 'tailwind.config.js', note: 'Tailwind config' },
+  { name: 'tailwind.config.ts', note: 'Tailwind config' },
+  { name: 'schema.prisma', note: 'database schema' },
+  { name: 'drizzle.config.ts', note: 'Drizzle config' },
+  { name: '.env.example', note: 'required environment variables' },
+  { name: 'docker-compose.yml', note: 'Docker services' },
+  { name: 'Makefile', note: 'common tasks' },
+]
+
+// Files listed under Key Files
+const KEY_FILE_LIMIT = 10
+
+// Commits older than this (before the newest one) count half as much toward activity
+const ACTIVITY_HALF_DAYS = 90
+
+// Section headings for the built-in categories; custom ones come from config/plugins
+export const CATEGORY_LABELS = {
+  security: 'Sensitive Files',
+  dependencies: 'Dependencies',
+  build: 'Build Output',
+  coverage: 'Test Coverage',
+  python: 'Python',
+  lockfiles: 'Lock Files',
+  logs: 'Logs',
+  ide: 'IDE / Editor',
+  os: 'OS Files',
+  test: 'Test Artifacts',
+  cache: 'Cache / Temp',
+  generated: 'Generated / Minified',
+  unreferenced: 'Unreferenced Code',
+  stale: 'Stale Large Files',
+}
 
 /**
- * Generate .claudeignore content from analysis suggestions.
+ * Render suggestions grouped by category, plus the commented-out list of
+ * large files, as .claudeignore lines.
  */
-export function generateClaudeIgnore(analysis, scanResult) {
-  const lines = [
-    '# .claudeignore — generated by claude-context-pack',
-    '# Controls what Claude Code sees in this project.',
-    '# Syntax is identical to .gitignore.',
-    '',
-  ]
+function suggestionLines(analysis, suggestions, categoryLabels) {
+  const lines = []
 
   // Group suggestions by category
   const grouped = {}
-  for (const s of analysis.suggestions) {
+  for (const s of suggestions) {
     if (!grouped[s.category]) grouped[s.category] = []
     grouped[s.category].push(s)
   }
 
-  const categoryLabels = {
-    dependencies: 'Dependencies',
-    build: 'Build Output',
-    coverage: 'Test Coverage',
-    python: 'Python',
-    lockfiles: 'Lock Files',
-    logs: 'Logs',
-    ide: 'IDE / Editor',
-    os: 'OS Files',
-    test: 'Test Artifacts',
-    cache: 'Cache / Temp',
-  }
+  const labels = { ...CATEGORY_LABELS, ...categoryLabels }
 
   for (const [cat, slist] of Object.entries(grouped)) {
-    lines.push(`# ${categoryLabels[cat] || cat}`)
+    lines.push(`# ${labels[cat] || cat}`)
     for (const s of slist) {
-      lines.push(`${s.pattern}  # ${s.reason}`)
+      // Comments must sit on their own line — gitignore has no inline comments
+      if (s.confidence && s.confidence !== 'high') {
+        // Uncertain findings (import graph, stale, nested generic names) stay commented out until reviewed
+        lines.push(`# ${s.reason} (${s.confidence} confidence — review, then uncomment)`)
+        lines.push(`# ${s.pattern}`)
+      } else {
+        lines.push(`# ${s.reason}`)
+        lines.push(s.pattern)
+      }
     }
     lines.push('')
   }
 
   // Add large file section if any
   if (analysis.largeFiles.length > 0) {
-    lines.push('# Large files (>10KB) — review and uncomment as needed')
+    lines.push(`# Large files (>${Math.round(analysis.largeFileThreshold / 1024)}KB) — review and uncomment as needed`)
     for (const f of analysis.largeFiles.slice(0, 10)) {
       const tokens = f.tokens.toLocaleString()
       lines.push(`# ${f.relPath}  # ~${tokens} tokens`)
@@ -54,28 +100,211 @@ export function generateClaudeIgnore(analysis, scanResult) {
     lines.push('')
   }
 
+  return lines
+}
+
+/**
+ * Generate .claudeignore content from analysis suggestions.
+ */
+export function generateClaudeIgnore(analysis, scanResult, options = {}) {
+  const { categoryLabels = {} } = options
+  const lines = [
+    '# .claudeignore — generated by claude-context-pack',
+    '# Controls what Claude Code sees in this project.',
+    '# Syntax is identical to .gitignore.',
+    `# Token estimates: ${analysis.tokenizer}`,
+    '',
+    ...suggestionLines(analysis, analysis.suggestions, categoryLabels),
+  ]
+
   return lines.join('\n')
 }
 
+// Markers around the block `generate --merge` owns in a hand-edited .claudeignore
+export const GENERATED_BLOCK_START = '# >>> claude-context-pack — generated block, rewritten by `generate --merge`'
+export const GENERATED_BLOCK_END = '# <<< claude-context-pack'
+
+/**
+ * Split .claudeignore content into the user's part and the generated block.
+ * Returns { user, block } where block is null when there is none.
+ */
+export function splitGeneratedBlock(content) {
+  const lines = content.split(/\r?\n/)
+  const start = lines.indexOf(GENERATED_BLOCK_START)
+  if (start === -1) return { user: content, block: null }
+
+  // An unterminated block runs to the end of the file
+  let end = lines.indexOf(GENERATED_BLOCK_END, start + 1)
+  if (end === -1) end = lines.length - 1
+
+  return {
+    user: [...lines.slice(0, start), ...lines.slice(end + 1)].join('\n'),
+    block: lines.slice(start, end + 1).join('\n'),
+  }
+}
+
+/**
+ * Merge suggestions into an existing .claudeignore. User lines and
+ * comments are kept as written; the generated block is replaced with the
+ * suggestions they don't already cover. A suggestion is left out when the
+ * user already lists the same pattern, already excludes all of its files,
+ * or explicitly re-includes one of them with a `!` rule (appending it would
+ * override that; sensitive files are added regardless). For stable
+ * results, `analysis` should come from a scan that applied only the
+ * user's lines (scan option `claudeignore`).
+ * Returns { content, added } where added lists the merged suggestions.
+ */
+export function mergeClaudeIgnore(existing, analysis, options = {}) {
+  const { categoryLabels = {} } = options
+  const user = splitGeneratedBlock(existing).user.replace(/\s+$/, '')
+  const userLines = parseIgnoreLines(user)
+  const userRules = compileIgnoreRules(userLines)
+  const listed = new Set(userLines.map(normalizePattern))
+
+  const added = analysis.suggestions.filter(s => {
+    if (listed.has(normalizePattern(s.pattern))) return false
+    const files = [...analysis.bloatFiles, ...(analysis.advisoryFiles || [])].filter(f => f.bloatPattern === s.pattern)
+    // Sensitive files are excluded even over the user's own re-includes
+    if (s.category !== 'security' && files.some(f => matchIgnoreRules(f.relPath, userRules) === false)) return false
+    return files.length === 0 || !files.every(f => isPathIgnored(f.relPath, userRules))
+  })
+
+  if (added.length === 0) return { content: user ? user + '\n' : '', added }
+
+  const block = [
+    GENERATED_BLOCK_START,
+    `# Token estimates: ${analysis.tokenizer}`,
+    '',
+    ...suggestionLines(analysis, added, categoryLabels),
+    GENERATED_BLOCK_END,
+  ]
+
+  return { content: (user ? user + '\n\n' : '') + block.join('\n') + '\n', added }
+}
+
+/**
+ * Exclude the sensitive files `analysis` still finds from an existing
+ * .claudeignore without touching anything else, for a plain `generate`
+ * that otherwise leaves the file alone. They join the generated block
+ * (created when missing), which goes last so no `!` rule re-includes them.
+ * Returns { content, added } like mergeClaudeIgnore().
+ */
+export function addSecurityExclusions(existing, analysis, options = {}) {
+  const { categoryLabels = {} } = options
+  const added = analysis.suggestions.filter(s => s.category === 'security')
+  if (added.length === 0) return { content: existing, added }
+
+  const { user, block } = splitGeneratedBlock(existing)
+  const previous = block
+    ? block.split(/\r?\n/).filter(line => line !== GENERATED_BLOCK_START && line !== GENERATED_BLOCK_END)
+    : [`# Token estimates: ${analysis.tokenizer}`]
+  while (previous.length > 0 && !previous[previous.length - 1].trim()) previous.pop()
+
+  const lines = [
+    GENERATED_BLOCK_START,
+    ...previous,
+    '',
+    ...suggestionLines({ largeFiles: [] }, added, categoryLabels),
+    GENERATED_BLOCK_END,
+  ]
+  const head = user.replace(/\s+$/, '')
+  return { content: (head ? head + '\n\n' : '') + lines.join('\n') + '\n', added }
+}
+
 /**
- * Generate a CLAUDE.md template tailored to the project.
+ * A trailing `/` only narrows a pattern to directories, so `dist` and
+ * `dist/` count as the same entry.
  */
-export function generateClaudeMd(scanResult, analysis) {
-  const { files, rootDir } = scanResult
+function normalizePattern(pattern) {
+  return pattern.replace(/\/+$/, '')
+}
+
+// Most commands listed under Common Commands
+const COMMAND_LIMIT = 10
 
-  // Detect tech stack from file extensions and known files
-  const stack = detectStack(files, rootDir)
+// CLAUDE.md sections generate --update may rewrite, in document order
+export const AUTO_SECTIONS = ['stack', 'architecture', 'packages', 'key-files', 'commands']
 
-  // Find existing CLAUDE.md
-  const hasExisting = fs.existsSync(path.join(rootDir, 'CLAUDE.md'))
+const SECTION_MARKER_RE = /<!-- context-pack:start ([\w-]+) -->\n([\s\S]*?)<!-- context-pack:end \1 -->/g
+
+/**
+ * Render the body of each auto-detected CLAUDE.md section.
+ * Stack and commands come from `detectors` (see detectors.js); pass
+ * `onDetectorError` to skip a failing detector instead of throwing, and
+ * the scan's `tokenizer` to hold the Architecture map to its budget.
+ * Returns { [id]: markdown }; sections with nothing detected are omitted.
+ */
+export function renderAutoSections(scanResult, analysis, options = {}) {
+  const { files } = scanResult
+  const { keyFiles = KEY_FILES, detectors = BUILTIN_DETECTORS, architectureBudget = ARCHITECTURE_BUDGET, tokenizer, onDetectorError } = options
+  const bodies = {}
+  const detectOptions = { onError: onDetectorError }
+  const detected = runDetectors(scanResult, detectors, detectOptions)
+
+  if (detected.stack.length > 0) {
+    bodies.stack = detected.stack.map(item => `- **${item.name}**: ${item.note}`).join('\n')
+  }
+
+  const architecture = renderArchitecture(scanResult, analysis, { budget: architectureBudget, tokenizer })
+  if (architecture) bodies.architecture = architecture
+
+  // Workspace packages, each with its own detected stack
+  if (analysis?.workspaces) {
+    bodies.packages = analysis.workspaces.packages
+      .filter(p => p.dir !== '.')
+      .sort((a, b) => a.dir.localeCompare(b.dir))
+      .map(p => {
+        const names = runDetectors(scopeScan(scanResult, p.dir), detectors, detectOptions).stack.map(item => item.name)
+        const label = p.name === path.posix.basename(p.dir) ? '' : ` (${p.name})`
+        return `- \`${p.dir}/\`${label}${names.length > 0 ? ' — ' + names.join(', ') : ''}`
+      })
+      .join('\n')
+  }
+
+  const foundKeyFiles = getKeyFiles(scanResult, analysis, keyFiles)
+  if (foundKeyFiles.length > 0) {
+    bodies['key-files'] = foundKeyFiles.map(f => `- \`${f.relPath}\` — ${f.note}`).join('\n')
+  }
+
+  const commands = detected.commands.slice(0, COMMAND_LIMIT)
+  bodies.commands = commands.length > 0
+    ? commands.map(cmd => `\`\`\`bash\n${cmd.command}  # ${cmd.note}\n\`\`\``).join('\n\n')
+    : '```bash\n# Add your common commands here\n```'
+
+  return bodies
+}
+
+/**
+ * Wrap a section body in context-pack markers.
+ */
+function markedSection(id, body) {
+  return `<!-- context-pack:start ${id} -->\n${body}\n<!-- context-pack:end ${id} -->`
+}
+
+/**
+ * Generate a CLAUDE.md template tailored to the project. Auto-detected
+ * sections are wrapped in markers so generate --update can refresh them.
+ * For a workspace package, pass a scopeScan() result with `title` (the
+ * package name) and `parent` (relative link to the root CLAUDE.md).
+ */
+export function generateClaudeMd(scanResult, analysis, options = {}) {
+  const { rootDir } = scanResult
+  const { title = path.basename(rootDir), parent = null } = options
+  const bodies = renderAutoSections(scanResult, analysis, options)
 
   const sections = []
 
-  sections.push(`# ${path.basename(rootDir)}`)
+  sections.push(`# ${title}`)
   sections.push('')
-  sections.push('<!-- Generated by claude-context-pack. Customize for your project. -->')
+  sections.push('<!-- Generated by claude-context-pack. Customize for your project; text between context-pack markers is refreshed by `generate --update`. -->')
   sections.push('')
 
+  // Package-level files point back at the repository-wide one
+  if (parent) {
+    sections.push(`> Package in a monorepo — see [${parent}](${parent}) for repository-wide context.`)
+    sections.push('')
+  }
+
   // Project overview
   sections.push('## Project Overview')
   sections.push('')
@@ -83,48 +312,46 @@ export function generateClaudeMd(scanResult, analysis) {
   sections.push('')
 
   // Stack
-  if (stack.length > 0) {
+  if (bodies.stack) {
     sections.push('## Tech Stack')
     sections.push('')
-    for (const item of stack) {
-      sections.push(`- **${item.name}**: ${item.note}`)
-    }
+    sections.push(markedSection('stack', bodies.stack))
     sections.push('')
   }
 
   // Architecture
   sections.push('## Architecture')
   sections.push('')
-  sections.push('> Describe key directories, entry points, and how pieces connect.')
+  if (bodies.architecture) {
+    sections.push(markedSection('architecture', bodies.architecture))
+    sections.push('')
+    sections.push('> Describe how the pieces connect.')
+  } else {
+    sections.push('> Describe key directories, entry points, and how pieces connect.')
+  }
   sections.push('')
 
+  // Packages
+  if (bodies.packages) {
+    sections.push('## Packages')
+    sections.push('')
+    sections.push(markedSection('packages', bodies.packages))
+    sections.push('')
+  }
+
   // Key files
-  const keyFiles = getKeyFiles(files, rootDir)
-  if (keyFiles.length > 0) {
+  if (bodies['key-files']) {
     sections.push('## Key Files')
     sections.push('')
-    for (const f of keyFiles) {
-      sections.push(`- \`${f.relPath}\` — ${f.note}`)
-    }
+    sections.push(markedSection('key-files', bodies['key-files']))
     sections.push('')
   }
 
   // Commands
   sections.push('## Common Commands')
   sections.push('')
-  const commands = detectCommands(files, rootDir)
-  for (const cmd of commands) {
-    sections.push(`\`\`\`bash`)
-    sections.push(`${cmd.command}  # ${cmd.note}`)
-    sections.push(`\`\`\``)
-    sections.push('')
-  }
-  if (commands.length === 0) {
-    sections.push('```bash')
-    sections.push('# Add your common commands here')
-    sections.push('```')
-    sections.push('')
-  }
+  sections.push(markedSection('commands', bodies.commands))
+  sections.push('')
 
   // Conventions
   sections.push('## Conventions')
@@ -146,147 +373,109 @@ export function generateClaudeMd(scanResult, analysis) {
 }
 
 /**
- * Detect likely tech stack from files present.
+ * Refresh the marked sections of an existing CLAUDE.md, leaving all other
+ * text as written. A marked section with nothing detected any more keeps
+ * its markers with an empty body, so it can fill in again later.
+ * Returns { content, stale, current, unmarked } where stale lists the
+ * section ids whose text changed, current those already up to date, and
+ * unmarked the detected sections the file has no markers for.
  */
-function detectStack(files, rootDir) {
-  const stack = []
-  const fileNames = new Set(files.map(f => f.name))
-  const exts = new Set(files.map(f => f.ext))
-  const hasPkg = fileNames.has('package.json')
-
-  // Read package.json deps if available
-  let deps = {}
-  try {
-    const pkg = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'))
-    deps = { ...(pkg.dependencies || {}), ...(pkg.devDependencies || {}) }
-  } catch { /* ok */ }
-
-  if (deps['next']) stack.push({ name: 'Next.js', note: 'React framework' })
-  else if (deps['react']) stack.push({ name: 'React', note: 'UI library' })
-  if (deps['vue'] || deps['nuxt']) stack.push({ name: 'Vue/Nuxt', note: 'Vue framework' })
-  if (deps['svelte'] || deps['@sveltejs/kit']) stack.push({ name: 'SvelteKit', note: 'Svelte framework' })
-  if (deps['express']) stack.push({ name: 'Express', note: 'Node.js web server' })
-  if (deps['fastify']) stack.push({ name: 'Fastify', note: 'Node.js web server' })
-  if (deps['typescript'] || exts.has('.ts') || exts.has('.tsx')) stack.push({ name: 'TypeScript', note: 'typed JavaScript' })
-  if (deps['tailwindcss']) stack.push({ name: 'Tailwind CSS', note: 'utility-first CSS' })
-  if (deps['prisma'] || deps['@prisma/client']) stack.push({ name: 'Prisma', note: 'ORM + database' })
-  if (deps['drizzle-orm']) stack.push({ name: 'Drizzle', note: 'TypeScript ORM' })
-  if (deps['stripe']) stack.push({ name: 'Stripe', note: 'payments' })
-  if (deps['openai'] || deps['@anthropic-ai/sdk']) stack.push({ name: 'AI SDK', note: 'LLM integration' })
-
-  if (hasPkg && stack.length === 0) stack.push({ name: 'Node.js', note: 'JavaScript runtime' })
-
-  if (fileNames.has('requirements.txt') || fileNames.has('pyproject.toml')) {
-    stack.push({ name: 'Python', note: 'check requirements.txt for deps' })
+export function updateClaudeMd(existing, bodies) {
+  const stale = []
+  const current = []
+  const seen = new Set()
+
+  const content = existing.replace(/\r\n/g, '\n').replace(SECTION_MARKER_RE, (block, id, oldBody) => {
+    seen.add(id)
+    // Unknown ids (newer versions, typos) are left alone
+    if (!AUTO_SECTIONS.includes(id)) return block
+
+    const body = bodies[id] || ''
+    if (oldBody.trim() === body.trim()) {
+      current.push(id)
+      return block
+    }
+    stale.push(id)
+    return body ? markedSection(id, body) : `<!-- context-pack:start ${id} -->\n<!-- context-pack:end ${id} -->`
+  })
+
+  return {
+    content: stale.length > 0 ? content : existing,
+    stale,
+    current,
+    unmarked: AUTO_SECTIONS.filter(id => bodies[id] && !seen.has(id)),
   }
-  if (fileNames.has('Cargo.toml')) stack.push({ name: 'Rust', note: 'Cargo.toml for deps' })
-  if (fileNames.has('go.mod')) stack.push({ name: 'Go', note: 'go.mod for deps' })
-  if (fileNames.has('composer.json')) stack.push({ name: 'PHP/Composer', note: 'see composer.json' })
-  if (fileNames.has('Gemfile')) stack.push({ name: 'Ruby', note: 'Gemfile for deps' })
-  if (fileNames.has('pubspec.yaml')) stack.push({ name: 'Flutter/Dart', note: 'see pubspec.yaml' })
-
-  return stack
 }
 
 /**
- * Identify key files worth mentioning in CLAUDE.md.
+ * Identify key files worth mentioning in CLAUDE.md. With git history
+ * (annotateHistory()), the source files and `keyFiles` names that see the
+ * most recent commits come first, and key-named files nobody touches fill
+ * the rest; without it, files are picked by name alone.
  */
-function getKeyFiles(files, rootDir) {
-  const keyPatterns = [
-    { name: 'index.js', note: 'main entry point' },
-    { name: 'index.ts', note: 'main entry point' },
-    { name: 'main.js', note: 'application entry' },
-    { name: 'main.ts', note: 'application entry' },
-    { name: 'app.js', note: 'application root' },
-    { name: 'app.ts', note: 'application root' },
-    { name: 'server.js', note: 'HTTP server' },
-    { name: 'server.ts', note: 'HTTP server' },
-    { name: 'next.config.js', note: 'Next.js config' },
-    { name: 'next.config.ts', note: 'Next.js config' },
-    { name: 'vite.config.ts', note: 'Vite config' },
-    { name: 'tailwind.config.js', note: 'Tailwind config' },
-    { name: 'tailwind.config.ts', note: 'Tailwind config' },
-    { name: 'schema.prisma', note: 'database schema' },
-    { name: 'drizzle.config.ts', note: 'Drizzle config' },
-    { name: '.env.example', note: 'required environment variables' },
-    { name: 'docker-compose.yml', note: 'Docker services' },
-    { name: 'Makefile', note: 'common tasks' },
-  ]
-
-  const found = []
-  const fileMap = new Map(files.map(f => [f.name, f]))
-
-  for (const kp of keyPatterns) {
-    if (fileMap.has(kp.name)) {
-      found.push({ relPath: fileMap.get(kp.name).relPath, note: kp.note })
+function getKeyFiles(scanResult, analysis, keyFiles) {
+  const { files, history } = scanResult
+  const notes = new Map(keyFiles.map(kp => [kp.name, kp.note]))
+
+  if (!history) {
+    const found = []
+    const fileMap = new Map(files.map(f => [f.name, f]))
+    for (const kp of keyFiles) {
+      if (fileMap.has(kp.name)) {
+        found.push({ relPath: fileMap.get(kp.name).relPath, note: kp.note })
+      }
     }
+    return found.slice(0, KEY_FILE_LIMIT)
   }
 
-  return found.slice(0, 10)
-}
+  // Churn, discounted by how long before the newest commit the file last changed
+  const bloat = new Set((analysis?.bloatFiles || []).map(f => f.relPath))
+  const activity = f => f.lastCommitMs ? f.churn / (1 + daysBetween(f.lastCommitMs, history.headMs) / ACTIVITY_HALF_DAYS) : 0
+  const eligible = files.filter(f => !f.isBinary && !bloat.has(f.relPath) &&
+    (notes.has(f.name) || SOURCE_EXTENSIONS.has(path.extname(f.name).toLowerCase())))
 
-/**
- * Detect common development commands from project files.
- */
-function detectCommands(files, rootDir) {
-  const commands = []
-  const fileNames = new Set(files.map(f => f.name))
-
-  // Node.js
-  if (fileNames.has('package.json')) {
-    try {
-      const pkg = JSON.parse(fs.readFileSync(path.join(rootDir, 'package.json'), 'utf8'))
-      const scripts = pkg.scripts || {}
-      if (scripts.dev) commands.push({ command: 'npm run dev', note: 'start dev server' })
-      if (scripts.build) commands.push({ command: 'npm run build', note: 'production build' })
-      if (scripts.test) commands.push({ command: 'npm test', note: 'run tests' })
-      if (scripts.lint) commands.push({ command: 'npm run lint', note: 'lint code' })
-    } catch { /* ok */ }
-  }
+  const active = eligible
+    .filter(f => f.churn >= 2 || (f.lastCommitMs && daysBetween(f.lastCommitMs, history.headMs) <= ACTIVITY_HALF_DAYS))
+    .sort((a, b) => activity(b) - activity(a) || a.relPath.localeCompare(b.relPath))
+    .slice(0, KEY_FILE_LIMIT)
+    .map(f => ({ relPath: f.relPath, note: notes.get(f.name) || (f.churn >= 5 ? 'frequently changed' : 'recently changed') }))
 
-  // Python
-  if (fileNames.has('requirements.txt')) {
-    commands.push({ command: 'pip install -r requirements.txt', note: 'install deps' })
-    commands.push({ command: 'python main.py', note: 'run app (update path)' })
-  }
-  if (fileNames.has('Makefile')) {
-    commands.push({ command: 'make help', note: 'see available make targets' })
-  }
-  if (fileNames.has('docker-compose.yml') || fileNames.has('docker-compose.yaml')) {
-    commands.push({ command: 'docker compose up', note: 'start all services' })
-  }
+  const listed = new Set(active.map(f => f.relPath))
+  const quiet = keyFiles.flatMap(kp => eligible.filter(f => f.name === kp.name && !listed.has(f.relPath)).slice(0, 1))
+    .map(f => ({ relPath: f.relPath, note: notes.get(f.name) }))
 
-  return commands.slice(0, 6)
+  return [...active, ...quiet].slice(0, KEY_FILE_LIMIT)
 }
 
 /**
- * Write files to disk with overwrite protection.
+ * Write files to disk with overwrite protection. With `merge` (for
+ * .claudeignore, from mergeClaudeIgnore()) or `update` (for CLAUDE.md, from
+ * updateClaudeMd()) the content already carries the user's text, so it
+ * replaces the file; identical content is reported as unchanged.
  */
 export function writeFiles(rootDir, { claudeignore, claudeMd }, options = {}) {
-  const { overwrite = false } = options
+  const { overwrite = false, merge = false, update = false } = options
   const written = []
   const skipped = []
-
-  const claudeignorePath = path.join(rootDir, '.claudeignore')
-  const claudeMdPath = path.join(rootDir, 'CLAUDE.md')
-
-  if (claudeignore) {
-    if (!fs.existsSync(claudeignorePath) || overwrite) {
-      fs.writeFileSync(claudeignorePath, claudeignore, 'utf8')
-      written.push('.claudeignore')
-    } else {
-      skipped.push('.claudeignore')
+  const unchanged = []
+
+  function write(name, content, replace) {
+    const filePath = path.join(rootDir, name)
+    if (replace) {
+      if ((readText(filePath) ?? '') === content) {
+        unchanged.push(name)
+        return
+      }
+    } else if (fs.existsSync(filePath) && !overwrite) {
+      skipped.push(name)
+      return
     }
+    fs.writeFileSync(filePath, content, 'utf8')
+    written.push(name)
   }
 
-  if (claudeMd) {
-    if (!fs.existsSync(claudeMdPath) || overwrite) {
-      fs.writeFileSync(claudeMdPath, claudeMd, 'utf8')
-      written.push('CLAUDE.md')
-    } else {
-      skipped.push('CLAUDE.md')
-    }
-  }
+  if (typeof claudeignore === 'string' && (merge || claudeignore)) write('.claudeignore', claudeignore, merge)
+  if (typeof claudeMd === 'string' && (update || claudeMd)) write('CLAUDE.md', claudeMd, update)
 
-  return { written, skipped }
+  return { written, skipped, unchanged }
 }
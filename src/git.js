@@ -0,0 +1,128 @@
+/**
+ * git.js — offline access to local git metadata
+ * Locates the .git directory and reads config without invoking git.
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Find the git directory for a path by walking up to the worktree root.
+ * Handles `.git` files (worktrees, submodules) that point elsewhere.
+ * Returns { gitDir, commonDir, workTree } or null when not inside a
+ * repository. commonDir holds what linked worktrees share (config,
+ * info/exclude) and equals gitDir everywhere else.
+ */
+export function findGitDir(startDir) {
+  let dir = path.resolve(startDir)
+
+  while (true) {
+    const candidate = path.join(dir, '.git')
+    try {
+      const stat = fs.statSync(candidate)
+      if (stat.isDirectory()) return { gitDir: candidate, commonDir: findCommonDir(candidate), workTree: dir }
+      if (stat.isFile()) {
+        const match = fs.readFileSync(candidate, 'utf8').match(/^gitdir:\s*(.+)$/m)
+        if (match) {
+          const gitDir = path.resolve(dir, match[1].trim())
+          return { gitDir, commonDir: findCommonDir(gitDir), workTree: dir }
+        }
+      }
+    } catch { /* keep walking */ }
+
+    const parent = path.dirname(dir)
+    if (parent === dir) return null
+    dir = parent
+  }
+}
+
+/**
+ * Resolve the `commondir` file a linked worktree's git directory uses to
+ * point at the main repository's.
+ */
+function findCommonDir(gitDir) {
+  try {
+    return path.resolve(gitDir, fs.readFileSync(path.join(gitDir, 'commondir'), 'utf8').trim())
+  } catch {
+    return gitDir
+  }
+}
+
+/**
+ * Parse a git config file into { 'section.key': value }.
+ * Subsections are kept as `section.sub.key`; keys are lowercased.
+ */
+export function parseGitConfig(content) {
+  const values = {}
+  let section = ''
+
+  for (const raw of content.split('\n')) {
+    const line = raw.trim()
+    if (!line || line.startsWith('#') || line.startsWith(';')) continue
+
+    const header = line.match(/^\[\s*([^\s\]"]+)(?:\s+"([^"]*)")?\s*\]$/)
+    if (header) {
+      section = header[1].toLowerCase() + (header[2] !== undefined ? '.' + header[2] : '')
+      continue
+    }
+
+    const kv = line.match(/^([A-Za-z][\w-]*)\s*(?:=\s*(.*))?$/)
+    if (!kv || !section) continue
+
+    let value = kv[2] === undefined ? 'true' : kv[2].replace(/\s+[#;].*$/, '')
+    if (value.startsWith('"') && value.endsWith('"') && value.length >= 2) {
+      value = value.slice(1, -1)
+    }
+    values[`${section}.${kv[1].toLowerCase()}`] = value
+  }
+
+  return values
+}
+
+function readConfigFile(filePath) {
+  try {
+    return parseGitConfig(fs.readFileSync(filePath, 'utf8'))
+  } catch {
+    return {}
+  }
+}
+
+function expandHome(p) {
+  if (p === '~') return os.homedir()
+  if (p.startsWith('~/')) return path.join(os.homedir(), p.slice(2))
+  return p
+}
+
+/**
+ * Read merged git config from the user's global files and the repo.
+ * Later files override earlier ones, as git does.
+ */
+export function readGitConfig(gitDir) {
+  const xdgHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+  return {
+    ...readConfigFile(path.join(xdgHome, 'git', 'config')),
+    ...readConfigFile(path.join(os.homedir(), '.gitconfig')),
+    ...(gitDir ? readConfigFile(path.join(gitDir, 'config')) : {}),
+  }
+}
+
+/**
+ * List the exclude files git consults besides .gitignore, lowest
+ * precedence first: core.excludesFile, then $GIT_DIR/info/exclude.
+ */
+export function getGitExcludeFiles(rootDir) {
+  const repo = findGitDir(rootDir)
+  const config = readGitConfig(repo?.commonDir)
+  const xdgHome = process.env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config')
+
+  const files = []
+  const excludesFile = config['core.excludesfile']
+  files.push(excludesFile
+    ? path.resolve(repo?.workTree || rootDir, expandHome(excludesFile))
+    : path.join(xdgHome, 'git', 'ignore'))
+
+  if (repo) files.push(path.join(repo.commonDir, 'info', 'exclude'))
+
+  return files.filter(f => fs.existsSync(f))
+}
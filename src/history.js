@@ -0,0 +1,113 @@
+/**
+ * history.js — per-file git history
+ * Reads the local history with a single `git log` and annotates scanned
+ * files with the date of their last commit and how many commits touched
+ * them (churn). Without git, or outside a repository, there is no history
+ * and everything that uses it falls back to file modification times.
+ */
+
+import { spawn } from 'child_process'
+import { findGitDir } from './git.js'
+
+// Commits read, newest first — enough for churn without walking huge histories
+export const HISTORY_COMMITS = 5000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Run git in `cwd` and resolve with its stdout, or null when git is
+ * missing or fails.
+ */
+function runGit(cwd, args) {
+  return new Promise(resolve => {
+    let child
+    try {
+      child = spawn('git', args, { cwd, stdio: ['ignore', 'pipe', 'ignore'] })
+    } catch {
+      resolve(null)
+      return
+    }
+    const chunks = []
+    child.stdout.on('data', chunk => chunks.push(chunk))
+    child.on('error', () => resolve(null))
+    child.on('close', code => resolve(code === 0 ? Buffer.concat(chunks).toString('utf8') : null))
+  })
+}
+
+const ESCAPES = { t: '\t', n: '\n', '"': '"', '\\': '\\' }
+
+function unquote(text) {
+  return text.replace(/\\([tn"\\])/g, (match, c) => ESCAPES[c])
+}
+
+/**
+ * Parse `git log --format=%x00%ct --name-only` output into a Map of
+ * path → { lastCommitMs, churn }, plus the newest commit time.
+ */
+export function parseGitLog(output) {
+  const files = new Map()
+  let headMs = null
+  let commits = 0
+
+  for (const entry of output.split('\0')) {
+    const lines = entry.split('\n')
+    const seconds = Number(lines[0])
+    if (!lines[0] || !Number.isFinite(seconds)) continue
+    const committedMs = seconds * 1000
+    commits++
+    if (headMs === null) headMs = committedMs
+
+    for (const line of lines.slice(1)) {
+      if (!line) continue
+      // core.quotepath=off leaves only control characters and quotes escaped
+      const relPath = line.startsWith('"') && line.endsWith('"') ? unquote(line.slice(1, -1)) : line
+      const seen = files.get(relPath)
+      if (seen) seen.churn++
+      else files.set(relPath, { lastCommitMs: committedMs, churn: 1 })
+    }
+  }
+
+  return { files, headMs, commits }
+}
+
+/**
+ * Read the history of everything under rootDir from the last `maxCommits`
+ * commits. Paths are relative to rootDir. Returns { files, headMs, commits,
+ * truncated } or null when there is no repository or git isn't available.
+ */
+export async function readGitHistory(rootDir, options = {}) {
+  const { maxCommits = HISTORY_COMMITS } = options
+  if (!findGitDir(rootDir)) return null
+
+  const output = await runGit(rootDir, [
+    '-c', 'core.quotepath=off',
+    'log', '-n', String(maxCommits), '--format=%x00%ct', '--name-only', '--no-renames', '--relative', '--', '.',
+  ])
+  if (output === null) return null
+
+  const history = parseGitLog(output)
+  return { ...history, truncated: history.commits >= maxCommits }
+}
+
+/**
+ * Copy history onto the scanned files as `lastCommitMs` (null for files
+ * git doesn't track) and `churn`, and record { headMs, commits } on the
+ * scan result. Mutates and returns scanResult.
+ */
+export function annotateHistory(scanResult, history) {
+  if (!history) return scanResult
+  for (const file of scanResult.files) {
+    const entry = history.files.get(file.relPath.replace(/\\/g, '/'))
+    file.lastCommitMs = entry ? entry.lastCommitMs : null
+    file.churn = entry ? entry.churn : 0
+  }
+  scanResult.history = { headMs: history.headMs, commits: history.commits, truncated: history.truncated }
+  return scanResult
+}
+
+/**
+ * Whole days between two timestamps.
+ */
+export function daysBetween(fromMs, toMs) {
+  return Math.floor((toMs - fromMs) / DAY_MS)
+}
@@ -0,0 +1,276 @@
+/**
+ * ignore.js — gitignore-spec pattern engine
+ * Compiles .gitignore / .claudeignore lines into rules and evaluates them
+ * with negation, anchoring, directory-only rules and last-match-wins ordering.
+ */
+
+/**
+ * Split ignore-file content into raw pattern lines.
+ * Drops blank lines and comments, strips unescaped trailing spaces.
+ * Leading whitespace is significant, as in git.
+ */
+export function parseIgnoreLines(content) {
+  const lines = []
+  for (let line of content.split('\n')) {
+    if (line.endsWith('\r')) line = line.slice(0, -1)
+    line = stripTrailingSpaces(line)
+    if (!line || line.startsWith('#')) continue
+    lines.push(line)
+  }
+  return lines
+}
+
+/**
+ * Remove trailing spaces unless the last one is escaped with a backslash.
+ */
+function stripTrailingSpaces(line) {
+  let end = line.length
+  while (end > 0 && line[end - 1] === ' ') {
+    if (end > 1 && line[end - 2] === '\\') break
+    end--
+  }
+  return line.slice(0, end)
+}
+
+/**
+ * Compile a single pattern line into a rule.
+ * `base` is the directory (relative to the scan root, '' for root) whose
+ * ignore file declared the pattern; the rule only applies beneath it.
+ * For ignore files above the scan root (git excludes, a parent
+ * .gitignore), pass `within`: the scan root's path relative to the
+ * declaring directory, so anchored patterns resolve as git resolves them.
+ * Returns null for lines that cannot match anything.
+ */
+export function compilePattern(line, base = '', within = '') {
+  let p = line
+  let negate = false
+
+  if (p.startsWith('!')) {
+    negate = true
+    p = p.slice(1)
+  }
+
+  let dirOnly = false
+  if (p.endsWith('/') && !p.endsWith('\\/')) {
+    dirOnly = true
+    p = p.replace(/\/+$/, '')
+  }
+
+  if (!p) return null
+
+  // A slash at the start or in the middle anchors the pattern to `base`
+  const anchored = p.includes('/')
+  if (p.startsWith('/')) p = p.slice(1)
+
+  const body = globToRegex(p)
+  const source = anchored ? `^${body}$` : `^(?:.*/)?${body}$`
+
+  return {
+    pattern: line,
+    base: normalizeBase(base),
+    within: normalizeBase(within),
+    negate,
+    dirOnly,
+    regex: new RegExp(source),
+  }
+}
+
+/**
+ * Compile a list of pattern lines declared in `base` (or above the root,
+ * see compilePattern()) into rules.
+ */
+export function compileIgnoreRules(lines, base = '', within = '') {
+  const rules = []
+  for (const line of lines) {
+    const rule = compilePattern(line, base, within)
+    if (rule) rules.push(rule)
+  }
+  return rules
+}
+
+/**
+ * Build a pattern that matches exactly one path relative to the root,
+ * escaping glob characters in file names.
+ */
+export function literalPattern(relPath) {
+  const escaped = relPath.replace(/\\/g, '/').replace(/[*?[\]\\!#]/g, '\\$&')
+  return escaped.includes('/') ? escaped : '/' + escaped
+}
+
+/**
+ * Translate a gitignore glob (without anchoring slash or trailing slash)
+ * into a regex body.
+ */
+function globToRegex(glob) {
+  let re = ''
+  let i = 0
+
+  while (i < glob.length) {
+    const c = glob[i]
+
+    if (c === '\\') {
+      // Backslash escapes the next character; a lone trailing one matches nothing
+      if (i + 1 < glob.length) re += escapeRegex(glob[i + 1])
+      i += 2
+      continue
+    }
+
+    if (c === '*') {
+      let j = i
+      while (glob[j] === '*') j++
+      const run = j - i
+      const atSegmentStart = i === 0 || glob[i - 1] === '/'
+      const atSegmentEnd = j === glob.length || glob[j] === '/'
+
+      if (run === 2 && atSegmentStart && atSegmentEnd) {
+        if (j === glob.length) {
+          // trailing `/**` (or a bare `**`): everything inside
+          re += '.*'
+          i = j
+        } else {
+          // leading `**/` or middle `/**/`: zero or more directories
+          re += '(?:.*/)?'
+          i = j + 1
+        }
+        continue
+      }
+
+      // Any other run of stars behaves like a single `*`
+      re += '[^/]*'
+      i = j
+      continue
+    }
+
+    if (c === '?') {
+      re += '[^/]'
+      i++
+      continue
+    }
+
+    if (c === '[') {
+      const cls = parseClass(glob, i)
+      if (cls) {
+        re += cls.source
+        i = cls.end + 1
+        continue
+      }
+      re += '\\['
+      i++
+      continue
+    }
+
+    re += escapeRegex(c)
+    i++
+  }
+
+  return re
+}
+
+/**
+ * Parse a bracket expression starting at `start`.
+ * Returns { source, end } or null if the bracket is never closed.
+ */
+function parseClass(glob, start) {
+  let i = start + 1
+  let negate = false
+
+  if (glob[i] === '!' || glob[i] === '^') {
+    negate = true
+    i++
+  }
+
+  let body = ''
+  let first = true
+
+  while (i < glob.length) {
+    const c = glob[i]
+    if (c === ']' && !first) {
+      // Character classes never match the path separator
+      const source = negate ? `[^/${body}]` : `(?!/)[${body}]`
+      return { source, end: i }
+    }
+    if (c === '\\' && i + 1 < glob.length) {
+      body += escapeClassChar(glob[i + 1])
+      i += 2
+    } else {
+      body += c === '-' ? '-' : escapeClassChar(c)
+      i++
+    }
+    first = false
+  }
+
+  return null
+}
+
+function escapeRegex(c) {
+  return /[.*+?^${}()|[\]\\/]/.test(c) ? '\\' + c : c
+}
+
+function escapeClassChar(c) {
+  return /[\]\\^[-]/.test(c) ? '\\' + c : c
+}
+
+function normalizeBase(base) {
+  return base.replace(/\\/g, '/').replace(/^\/+|\/+$/g, '')
+}
+
+/**
+ * Express relPath relative to the directory that declared a rule.
+ * Returns null when the path is not beneath it.
+ */
+function relativeToBase(relPath, { base, within }) {
+  if (within) return within + '/' + relPath
+  if (!base) return relPath
+  if (relPath.startsWith(base + '/')) return relPath.slice(base.length + 1)
+  return null
+}
+
+/**
+ * Find the rule that decides a single path: the last one that matches it,
+ * or null. Only the path itself is tested, as in matchIgnoreRules().
+ */
+export function findIgnoreRule(relPath, rules, isDir = false) {
+  const normalized = relPath.replace(/\\/g, '/')
+
+  // Last matching rule wins
+  for (let i = rules.length - 1; i >= 0; i--) {
+    const rule = rules[i]
+    if (rule.dirOnly && !isDir) continue
+    const target = relativeToBase(normalized, rule)
+    if (target === null) continue
+    if (rule.regex.test(target)) return rule
+  }
+
+  return null
+}
+
+/**
+ * Decide whether a single path is ignored by the given rules.
+ * Only the path itself is tested — callers walking a tree skip the
+ * contents of ignored directories, which is what git does too.
+ * Returns true (ignored), false (explicitly re-included) or
+ * undefined when no rule matched.
+ */
+export function matchIgnoreRules(relPath, rules, isDir = false) {
+  const rule = findIgnoreRule(relPath, rules, isDir)
+  return rule ? !rule.negate : undefined
+}
+
+/**
+ * Check if a path should be ignored, ignoring parent directories.
+ */
+export function isIgnored(relPath, rules, isDir = false) {
+  return matchIgnoreRules(relPath, rules, isDir) === true
+}
+
+/**
+ * Check if a path is ignored either directly or because one of its parent
+ * directories is. A file cannot be re-included when its parent is excluded.
+ */
+export function isPathIgnored(relPath, rules, isDir = false) {
+  const parts = relPath.replace(/\\/g, '/').split('/')
+  for (let i = 1; i < parts.length; i++) {
+    if (isIgnored(parts.slice(0, i).join('/'), rules, true)) return true
+  }
+  return isIgnored(parts.join('/'), rules, isDir)
+}
@@ -0,0 +1,492 @@
+/**
+ * imports.js — static import graph, and the source files it never reaches
+ * Follows JS/TS `import`, `export … from`, `require()` and `import()` with
+ * string literals, and Python `import` / `from … import`, starting at the
+ * project's entry points. Source files nothing reaches are reported with a
+ * confidence level, since frameworks and dynamic imports can load files
+ * the graph never sees.
+ */
+
+import path from 'path'
+import { findEntryPoints } from './architecture.js'
+import { readJson, readText, tomlSection } from './manifest.js'
+import { literalPattern } from './ignore.js'
+import { TEST_FILE_RE, toPosix } from './files.js'
+
+const JS_EXTS = ['.ts', '.tsx', '.mts', '.cts', '.js', '.jsx', '.mjs', '.cjs', '.vue', '.svelte']
+const JS_EXT_RE = /\.[cm]?[jt]sx?$/
+
+// Larger files are assumed to be data or bundles, not hand-written modules
+export const MAX_PARSE_BYTES = 512 * 1024
+
+// Files a test runner, story loader or framework router picks up by itself
+const STORY_FILE_RE = /\.(?:stories|story)\.[^.]+$/
+const TEST_DIRS = new Set(['test', 'tests', '__tests__', 'spec', 'e2e', '__mocks__', 'fixtures'])
+const ROUTE_DIRS = new Set(['pages', 'app', 'routes'])
+const PY_ENTRY_NAMES = new Set(['__main__.py', 'manage.py', 'setup.py', 'wsgi.py', 'asgi.py', 'main.py', 'app.py', 'conftest.py'])
+
+// Conventional JS entry names, used when package.json declares none
+const JS_FALLBACK_STEMS = new Set(['index', 'main', 'server', 'app', 'cli'])
+
+// Directories whose modules are usually discovered at runtime
+const AUTOLOAD_DIRS = new Set(['plugins', 'migrations', 'commands', 'jobs', 'workers', 'handlers', 'extensions', 'seeds', 'seeders'])
+
+// Names that suggest a leftover copy or experiment
+const STALE_NAME_RE = /(?:^|[._ -])(?:old|backup|bak|copy|orig|tmp|temp|unused|deprecated|legacy|experiments?|experimental|scratch|draft|wip|sandbox|playground)(?:[._ -]|\d|$)|\(\d+\)|~$/i
+
+// Files whose text can name a script to run
+const RUNNER_FILES = new Set(['package.json', 'Makefile', 'makefile', 'GNUmakefile', 'justfile', 'Justfile', 'Procfile', 'Dockerfile', 'docker-compose.yml', 'docker-compose.yaml', 'compose.yaml', 'compose.yml'])
+const SCRIPT_PATH_RE = /(?:\.{1,2}\/)?[\w@.-]+(?:\/[\w@.-]+)*\.(?:[cm]?[jt]sx?|py)\b/g
+
+const CONFIDENCE_ORDER = ['low', 'medium', 'high']
+
+function isTestName(name) {
+  return TEST_FILE_RE.test(name) || STORY_FILE_RE.test(name)
+}
+
+/**
+ * Language the import graph follows for a file, by extension: 'js',
+ * 'python' or null.
+ */
+export function languageOf(relPath) {
+  if (relPath.endsWith('.py')) return 'python'
+  if (JS_EXTS.includes(path.posix.extname(relPath)) && !relPath.endsWith('.d.ts')) return 'js'
+  return null
+}
+
+/**
+ * Language of an extensionless script, from its shebang line.
+ */
+function shebangLanguage(text) {
+  const shebang = text.match(/^#!.*/)?.[0] || ''
+  if (/\b(?:node|deno|bun|tsx|ts-node)\b/.test(shebang)) return 'js'
+  if (/\bpython[\d.]*\b/.test(shebang)) return 'python'
+  return null
+}
+
+/**
+ * Module specifiers a JS/TS file imports. `dynamic` is set when it also
+ * imports or requires a computed path the graph cannot follow.
+ */
+export function parseJsImports(text) {
+  const specs = []
+  const patterns = [
+    /\b(?:import|export)\s[^'"`;]*?\sfrom\s*['"]([^'"]+)['"]/g,
+    /\bimport\s*['"]([^'"]+)['"]/g,
+    /\b(?:require|import)\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+    /\bnew\s+(?:URL|Worker|SharedWorker)\s*\(\s*['"]([^'"]+)['"]/g,
+  ]
+  for (const re of patterns) {
+    for (const m of text.matchAll(re)) specs.push(m[1])
+  }
+  const dynamic = /\b(?:require|import)\s*\(\s*(?!['"]|\)|`[^`$]*`)/.test(text)
+  return { specs, dynamic }
+}
+
+/**
+ * Python imports as { module, level, names }: level counts the leading
+ * dots of a relative import, names lists what `from … import` brings in.
+ */
+export function parsePythonImports(text) {
+  const imports = []
+  // Join parenthesized and backslash-continued import lists onto one line
+  const source = text
+    .replace(/^(\s*from\s+[\w.]+\s+import\s*)\(([^)]*)\)/gm, (m, head, names) => head + names.replace(/\s+/g, ' '))
+    .replace(/\\\r?\n/g, ' ')
+
+  for (const raw of source.split(/\r?\n/)) {
+    const line = raw.replace(/#.*$/, '')
+    const from = line.match(/^\s*from\s+(\.*)([\w.]*)\s+import\s+(.+)$/)
+    if (from) {
+      const names = from[3].replace(/[()]/g, '').split(',').map(n => n.trim().split(/\s+as\s+/)[0]).filter(n => /^\w+$/.test(n))
+      imports.push({ module: from[2], level: from[1].length, names })
+      continue
+    }
+    const plain = line.match(/^\s*import\s+(.+)$/)
+    if (plain) {
+      for (const part of plain[1].split(',')) {
+        const module = part.trim().split(/\s+as\s+/)[0]
+        if (/^[\w.]+$/.test(module)) imports.push({ module, level: 0, names: [] })
+      }
+    }
+  }
+  return imports
+}
+
+/**
+ * Imports of a source file as { imports, dynamic }: specifiers for JS,
+ * parsePythonImports() entries for Python. The scanner records this for
+ * each source file it reads, so the graph needn't read them again.
+ */
+export function parseImports(text, language) {
+  if (language === 'js') {
+    const { specs, dynamic } = parseJsImports(text)
+    return { imports: specs, dynamic }
+  }
+  if (language === 'python') {
+    return { imports: parsePythonImports(text), dynamic: /\bimportlib\.import_module\s*\(|\b__import__\s*\(/.test(text) }
+  }
+  return { imports: [], dynamic: false }
+}
+
+/**
+ * Build the resolution context: scanned paths, tsconfig path aliases and
+ * workspace package names.
+ */
+function createResolver(scanResult, known) {
+  const { rootDir } = scanResult
+  const tsconfig = readJson(path.join(rootDir, 'tsconfig.json')) || readJson(path.join(rootDir, 'jsconfig.json'))
+  const baseUrl = tsconfig?.compilerOptions?.baseUrl ?? null
+  const aliases = Object.entries(tsconfig?.compilerOptions?.paths || {})
+    .map(([pattern, targets]) => ({ pattern, targets: Array.isArray(targets) ? targets : [] }))
+
+  // Workspace packages by name, so `@acme/ui` resolves to packages/ui
+  const packages = new Map()
+  for (const f of scanResult.files) {
+    const relPath = toPosix(f.relPath)
+    if (f.name !== 'package.json' || relPath.split('/').includes('node_modules')) continue
+    const dir = path.posix.dirname(relPath)
+    const pkg = readJson(path.join(rootDir, relPath))
+    if (!pkg?.name) continue
+    packages.set(pkg.name, { dir, entries: packageEntries(scanResult, dir) })
+  }
+
+  function tryFile(base) {
+    const candidate = path.posix.normalize(base).replace(/^\.\//, '')
+    if (candidate.startsWith('..')) return null
+    if (known.has(candidate)) return candidate
+    const stem = candidate.replace(JS_EXT_RE, '')
+    for (const ext of JS_EXTS) {
+      if (known.has(stem + ext)) return stem + ext
+    }
+    for (const ext of JS_EXTS) {
+      if (known.has(`${candidate}/index${ext}`)) return `${candidate}/index${ext}`
+    }
+    return null
+  }
+
+  function resolveJs(spec, fromRel) {
+    const clean = spec.split(/[?#]/)[0]
+    if (clean.startsWith('.')) return [tryFile(path.posix.join(path.posix.dirname(fromRel), clean))]
+    if (clean.startsWith('/')) return [tryFile(clean.slice(1))]
+
+    const found = []
+    for (const { pattern, targets } of aliases) {
+      const star = pattern.indexOf('*')
+      const prefix = star === -1 ? pattern : pattern.slice(0, star)
+      if (star === -1 ? clean !== pattern : !clean.startsWith(prefix)) continue
+      const rest = star === -1 ? '' : clean.slice(prefix.length)
+      for (const target of targets) found.push(tryFile(path.posix.join(baseUrl || '.', target.replace('*', rest))))
+    }
+    if (baseUrl !== null) found.push(tryFile(path.posix.join(baseUrl, clean)))
+
+    for (const [name, pkg] of packages) {
+      if (clean === name) found.push(...pkg.entries)
+      else if (clean.startsWith(name + '/')) {
+        const sub = clean.slice(name.length + 1)
+        found.push(tryFile(`${pkg.dir}/${sub}`), tryFile(`${pkg.dir}/src/${sub}`))
+      }
+    }
+    return found
+  }
+
+  function resolvePython({ module, level, names }, fromRel) {
+    let bases
+    if (level > 0) {
+      let dir = path.posix.dirname(fromRel)
+      for (let i = 1; i < level; i++) dir = path.posix.dirname(dir)
+      bases = [dir === '.' ? '' : dir + '/']
+    } else {
+      const own = path.posix.dirname(fromRel)
+      bases = ['', 'src/', own === '.' ? '' : own + '/']
+    }
+
+    const found = []
+    const modulePath = module.replace(/\./g, '/')
+    for (const base of new Set(bases)) {
+      const target = (base + modulePath).replace(/\/$/, '')
+      const candidates = [`${target}.py`, `${target}/__init__.py`]
+      for (const name of names) candidates.push(`${target ? target + '/' : ''}${name}.py`, `${target ? target + '/' : ''}${name}/__init__.py`)
+      for (const candidate of candidates) {
+        if (known.has(candidate)) found.push(candidate)
+      }
+    }
+    return found
+  }
+
+  return { resolveJs, resolvePython, packages }
+}
+
+/**
+ * Entry points declared by the package.json in `dir` ('.' for the root),
+ * as root-relative paths.
+ */
+function packageEntries(scanResult, dir) {
+  if (dir === '.') return findEntryPoints(scanResult).map(e => e.relPath)
+  const prefix = dir + '/'
+  const files = scanResult.files
+    .filter(f => toPosix(f.relPath).startsWith(prefix))
+    .map(f => ({ ...f, relPath: toPosix(f.relPath).slice(prefix.length) }))
+  return findEntryPoints({ rootDir: path.join(scanResult.rootDir, dir), files }).map(e => prefix + e.relPath)
+}
+
+/**
+ * Python modules named by `[project.scripts]` / `[tool.poetry.scripts]`
+ * (`pkg.cli:main`) in pyproject.toml.
+ */
+function pyprojectScriptModules(rootDir) {
+  const pyproject = readText(path.join(rootDir, 'pyproject.toml'))
+  const modules = []
+  for (const section of ['project.scripts', 'tool.poetry.scripts']) {
+    const body = tomlSection(pyproject, section) || ''
+    for (const m of body.matchAll(/=\s*["']([\w.]+):/g)) modules.push(m[1])
+  }
+  return modules
+}
+
+/**
+ * Whether a file is loaded by a tool rather than imported: tests,
+ * framework routes, root-level scripts and configs, dotfiles.
+ */
+function isImplicitEntry(relPath, language) {
+  const parts = relPath.split('/')
+  const name = parts[parts.length - 1]
+  if (STALE_NAME_RE.test(name.replace(/\.[^.]+$/, ''))) return false
+  if (parts.length === 1 || name.startsWith('.') || /\.config\.[^.]+$/.test(name)) return true
+  if (isTestName(name) || parts.slice(0, -1).some(p => TEST_DIRS.has(p))) return true
+  if (language === 'js' && parts.slice(0, -1).some(p => ROUTE_DIRS.has(p))) return true
+  if (language === 'python' && PY_ENTRY_NAMES.has(name)) return true
+  return false
+}
+
+/**
+ * The word a file is likely referred to by elsewhere: its name without
+ * extension, or its directory's name for index / __init__ files.
+ */
+function referenceName(relPath) {
+  const stem = path.posix.basename(relPath).replace(/\.[^.]+$/, '')
+  if (stem === 'index' || stem === '__init__') return path.posix.basename(path.posix.dirname(relPath))
+  return stem
+}
+
+/**
+ * Group unreferenced files: a directory whose scanned files are all
+ * unreferenced source files becomes one finding, the rest stay per file.
+ */
+function groupFindings(unreferenced, scanned) {
+  const totals = new Map()
+  const hits = new Map()
+  for (const relPath of scanned) {
+    const parts = relPath.split('/')
+    for (let i = 1; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join('/')
+      totals.set(dir, (totals.get(dir) || 0) + 1)
+      if (unreferenced.has(relPath)) hits.set(dir, (hits.get(dir) || 0) + 1)
+    }
+  }
+
+  const groups = new Map()
+  for (const relPath of unreferenced) {
+    const parts = relPath.split('/')
+    let key = relPath
+    for (let i = 1; i < parts.length; i++) {
+      const dir = parts.slice(0, i).join('/')
+      if (hits.get(dir) === totals.get(dir) && totals.get(dir) > 1) {
+        key = dir + '/'
+        break
+      }
+    }
+    if (!groups.has(key)) groups.set(key, [])
+    groups.get(key).push(relPath)
+  }
+  return groups
+}
+
+/**
+ * Resolve the imports of scanned files, from the scan's own record where
+ * it has one and by reading the file otherwise. `byPath` holds the files that may be read; `known` every scanned path.
+ * importsOf() returns { targets, dynamic } where dynamic is true when the
+ * file also imports modules by computed name.
+ */
+function createImportReader(scanResult, byPath, known) {
+  const resolver = createResolver(scanResult, known)
+  const texts = new Map()
+
+  function textOf(relPath) {
+    if (!texts.has(relPath)) {
+      const file = byPath.get(relPath)
+      texts.set(relPath, file && file.size <= MAX_PARSE_BYTES ? readText(path.join(scanResult.rootDir, relPath)) || '' : '')
+    }
+    return texts.get(relPath)
+  }
+
+  const languageFor = relPath => languageOf(relPath) || shebangLanguage(textOf(relPath))
+
+  function importsOf(relPath) {
+    const language = languageFor(relPath)
+    // Imports the scan recorded, else read the file (extensionless scripts)
+    const parsed = byPath.get(relPath)?.imports || parseImports(textOf(relPath), language)
+    let targets = []
+    if (language === 'js') {
+      targets = parsed.imports.flatMap(spec => resolver.resolveJs(spec, relPath))
+    } else if (language === 'python') {
+      targets = parsed.imports.flatMap(imp => resolver.resolvePython(imp, relPath))
+      // Importing a module runs every package __init__.py above it
+      const parts = relPath.split('/')
+      for (let i = 1; i < parts.length; i++) targets.push(parts.slice(0, i).join('/') + '/__init__.py')
+    }
+    return { targets: [...new Set(targets.filter(t => t && known.has(t)))], dynamic: parsed.dynamic }
+  }
+
+  return { resolver, textOf, languageFor, importsOf }
+}
+
+/**
+ * Static import graph over every JS/TS and Python source file. `exclude`
+ * lists relPaths (bloat) to leave out. Returns a Map of relPath → Set of
+ * the relPaths it imports.
+ */
+export function buildImportGraph(scanResult, options = {}) {
+  const { exclude = new Set() } = options
+  const files = scanResult.files.filter(f =>
+    !f.isBinary && !exclude.has(f.relPath) && !toPosix(f.relPath).split('/').includes('node_modules'))
+  const byPath = new Map(files.map(f => [toPosix(f.relPath), f]))
+  const reader = createImportReader(scanResult, byPath, new Set(byPath.keys()))
+
+  const graph = new Map()
+  for (const relPath of byPath.keys()) {
+    if (!languageOf(relPath)) continue
+    graph.set(relPath, new Set(reader.importsOf(relPath).targets))
+  }
+  return graph
+}
+
+/**
+ * Find source files no entry point reaches through static imports.
+ * `exclude` lists relPaths already flagged as bloat, which are neither
+ * parsed nor reported. Source texts are only read again when something
+ * is unreferenced, to see whether other files mention it.
+ *
+ * Returns { entries, findings } where each finding is
+ * { pattern, files, tokens, confidence, reason } — pattern covers a whole
+ * directory when nothing in it is referenced. Confidence is `high` only for
+ * leftover-looking names, `low` when
+ * the project imports dynamically or the file sits in a directory that is
+ * usually auto-loaded, `medium` otherwise. A language without a declared
+ * or conventional entry point is not analyzed.
+ */
+export function findUnreferenced(scanResult, options = {}) {
+  const { exclude = new Set() } = options
+  const { rootDir } = scanResult
+
+  const files = scanResult.files.filter(f =>
+    !f.isBinary && !exclude.has(f.relPath) && !toPosix(f.relPath).split('/').includes('node_modules'))
+  const byPath = new Map(files.map(f => [toPosix(f.relPath), f]))
+  const known = new Set(scanResult.files.map(f => toPosix(f.relPath)))
+  const sources = [...byPath.keys()].filter(relPath => languageOf(relPath))
+  if (sources.length === 0) return { entries: [], findings: [] }
+
+  const { resolver, textOf, languageFor: entryLanguage, importsOf } = createImportReader(scanResult, byPath, known)
+
+  // Declared entry points: package.json of the root and every workspace package
+  const declared = new Set(findEntryPoints(scanResult).map(e => e.relPath))
+  for (const pkg of resolver.packages.values()) pkg.entries.forEach(e => declared.add(e))
+  for (const moduleName of pyprojectScriptModules(rootDir)) {
+    resolver.resolvePython({ module: moduleName, level: 0, names: [] }, 'pyproject.toml').forEach(e => declared.add(e))
+  }
+
+  // Scripts named by package.json scripts, Makefiles, Procfiles and the like
+  for (const f of scanResult.files) {
+    if (!RUNNER_FILES.has(f.name) && !/^\.github\/workflows\//.test(toPosix(f.relPath))) continue
+    const dir = path.posix.dirname(toPosix(f.relPath))
+    for (const m of (readText(path.join(rootDir, f.relPath)) || '').matchAll(SCRIPT_PATH_RE)) {
+      for (const candidate of [path.posix.join(dir, m[0]), path.posix.normalize(m[0])]) {
+        if (known.has(candidate)) declared.add(candidate)
+      }
+    }
+  }
+
+  const entries = new Set(declared)
+  const analyzed = new Set()
+  for (const language of ['js', 'python']) {
+    const own = sources.filter(relPath => languageOf(relPath) === language)
+    const implicit = own.filter(relPath => isImplicitEntry(relPath, language))
+    let roots = [...declared].filter(relPath => entryLanguage(relPath) === language)
+    if (language === 'js' && roots.length === 0) {
+      roots = own.filter(relPath => {
+        const parts = relPath.split('/')
+        return (parts.length === 1 || (parts.length === 2 && parts[0] === 'src')) &&
+          JS_FALLBACK_STEMS.has(parts[parts.length - 1].replace(/\.[^.]+$/, ''))
+      })
+    }
+    // Tests alone can't tell what the code is for
+    const nonTest = [...roots, ...implicit.filter(relPath => !isTestName(path.posix.basename(relPath)))]
+    if (nonTest.length === 0) continue
+    analyzed.add(language)
+    for (const relPath of [...roots, ...implicit]) entries.add(relPath)
+  }
+  if (analyzed.size === 0) return { entries: [], findings: [] }
+
+  // Walk the graph
+  const reached = new Set()
+  const dynamic = new Set()
+  const queue = [...entries]
+  while (queue.length > 0) {
+    const relPath = queue.pop()
+    if (reached.has(relPath)) continue
+    reached.add(relPath)
+
+    const { targets, dynamic: computed } = importsOf(relPath)
+    if (computed) dynamic.add(entryLanguage(relPath))
+    for (const target of targets) {
+      if (!reached.has(target)) queue.push(target)
+    }
+  }
+
+  const candidates = sources.filter(relPath => analyzed.has(languageOf(relPath)))
+  const unreferenced = new Set(candidates.filter(relPath => !reached.has(relPath)))
+  if (unreferenced.size === 0) return { entries: [...entries].sort(), findings: [] }
+
+  // Which source files mention each unreferenced file's name, in one pass
+  const mentions = new Map([...unreferenced].map(relPath => [referenceName(relPath), new Set()]))
+  for (const relPath of sources) {
+    for (const word of new Set(textOf(relPath).match(/[\w-]+/g))) {
+      mentions.get(word)?.add(relPath)
+    }
+  }
+
+  /**
+   * Rate how sure we are that the files of one finding are dead.
+   */
+  function assess(pattern, members) {
+    const segments = pattern.replace(/\/$/, '').split('/')
+    if (segments.some(s => STALE_NAME_RE.test(s.replace(/\.[^.]+$/, '')))) {
+      return { confidence: 'high', qualifier: 'name suggests a leftover copy or experiment' }
+    }
+    const autoload = members.map(m => m.split('/').slice(0, -1).find(p => AUTOLOAD_DIRS.has(p))).find(Boolean)
+    if (autoload) return { confidence: 'low', qualifier: `${autoload}/ is often loaded by convention` }
+    if (members.some(m => dynamic.has(languageOf(m)))) {
+      return { confidence: 'low', qualifier: 'the project also imports modules dynamically' }
+    }
+
+    // Silence elsewhere isn't proof: a package can expose a file no one in it names
+    const mentioned = members.some(m => [...(mentions.get(referenceName(m)) || [])].some(relPath => !members.includes(relPath)))
+    return { confidence: 'medium', qualifier: mentioned ? null : 'not mentioned anywhere else' }
+  }
+
+  const findings = []
+  for (const [pattern, members] of groupFindings(unreferenced, byPath.keys())) {
+    const { confidence, qualifier } = assess(pattern, members)
+    findings.push({
+      pattern: pattern.endsWith('/') ? literalPattern(pattern.slice(0, -1)) + '/' : literalPattern(pattern),
+      files: members.sort(),
+      tokens: members.reduce((sum, relPath) => sum + byPath.get(relPath).tokens, 0),
+      confidence,
+      reason: 'not imported from any entry point' + (qualifier ? ` — ${qualifier}` : ''),
+    })
+  }
+
+  findings.sort((a, b) =>
+    CONFIDENCE_ORDER.indexOf(b.confidence) - CONFIDENCE_ORDER.indexOf(a.confidence) || b.tokens - a.tokens)
+  return { entries: [...entries].sort(), findings }
+}
@@ -3,7 +3,29 @@
  * Re-exports core functions for programmatic use.
  */
 
-export { scan } from './scanner.js'
-export { analyze, getCategoryBreakdown } from './analyzer.js'
-export { generateClaudeIgnore, generateClaudeMd, writeFiles } from './generator.js'
-export { printScanReport, printSuggestReport, printCompareReport } from './formatter.js'
+export { scan, scanAsync, excludeFromScan } from './scanner.js'
+export { openCache, createMemoryCache, cacheFingerprint, CACHE_DIR } from './cache.js'
+export { watchProject, watchTree, WATCH_DEBOUNCE_MS } from './watch.js'
+export { diffScans } from './diff.js'
+export { loadSnapshot, withGitRef } from './compare.js'
+export { simulateIgnore } from './simulate.js'
+export { SOURCE_EXTENSIONS } from './files.js'
+export { detectWorkspaces, packageOf, scopeScan, scopeAnalysis, parsePnpmWorkspace, parseGoWork } from './workspaces.js'
+export { buildPack, renderPack, rankFiles, recencyRanks, renderFileTree, PACK_FORMATS } from './bundle.js'
+export { selectContext, renderOverlay, SELECT_BUDGET } from './select.js'
+export { renderArchitecture, renderDirectoryMap, findEntryPoints, DIRECTORY_ROLES, ARCHITECTURE_BUDGET } from './architecture.js'
+export { readGitHistory, annotateHistory, parseGitLog, HISTORY_COMMITS } from './history.js'
+export { findUnreferenced, buildImportGraph, parseJsImports, parsePythonImports } from './imports.js'
+export { parseIgnoreLines, compileIgnoreRules, findIgnoreRule, isIgnored, isPathIgnored } from './ignore.js'
+export { loadTokenizer, createHeuristicTokenizer, createBpeTokenizer, TOKENIZERS } from './tokenizer.js'
+export { analyze, getCategoryBreakdown, gradeContext, GRADES, BUILTIN_RULES, STALE_AFTER_DAYS } from './analyzer.js'
+export { loadRules, defineRule, PRIORITIES } from './rules.js'
+export { runDetectors, defineDetector, detectPackageManager, parseMakeTargets, parseJustRecipes, parseComposeServices, BUILTIN_DETECTORS } from './detectors.js'
+export { sniffBuffer, sniffFile } from './sniff.js'
+export { inspectContent, classifyContent, CONTENT_RULES } from './content.js'
+export { classifySensitive, findSecrets, SENSITIVE_FILES, SECRET_RULES } from './secrets.js'
+export { generateClaudeIgnore, generateClaudeMd, renderAutoSections, updateClaudeMd, AUTO_SECTIONS, mergeClaudeIgnore, addSecurityExclusions, splitGeneratedBlock, writeFiles, GENERATED_BLOCK_START, GENERATED_BLOCK_END, CATEGORY_LABELS, KEY_FILES } from './generator.js'
+export { loadConfig, readProjectConfig, DEFAULT_CONFIG, CONFIG_FILES } from './config.js'
+export { checkBudgets, findBudgetError } from './check.js'
+export { buildReport, buildCompareReport, renderReport, toCsv, toMarkdown, toSarif, SCHEMA_VERSION, FORMATS } from './export.js'
+export { printScanReport, printSuggestReport, printCompareReport, printCheckReport, printWatchDelta, printSimulationReport, printClaudeMdCheck, printPackReport, printSelectionReport, createProgress } from './formatter.js'
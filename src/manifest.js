@@ -0,0 +1,93 @@
+/**
+ * manifest.js — tolerant readers for project manifests
+ * Just enough JSON, JSONC and TOML reading to pull names, scripts and
+ * dependency lists out of package.json, deno.jsonc, Cargo.toml and
+ * pyproject.toml without a parser dependency. Missing or malformed files
+ * read as null.
+ */
+
+import fs from 'fs'
+
+/**
+ * Read a text file, or null when it can't be read.
+ */
+export function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8')
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Parse JSON, or JSON with comments and trailing commas (deno.jsonc,
+ * tsconfig.json). Returns null for anything that doesn't parse.
+ */
+export function parseJsonc(text) {
+  if (text === null || text === undefined) return null
+  try {
+    return JSON.parse(text)
+  } catch { /* try again without comments */ }
+
+  // Drop comments outside strings, then trailing commas
+  const stripped = text
+    .replace(/("(?:[^"\\]|\\.)*")|\/\/[^\n]*|\/\*[\s\S]*?\*\//g, (match, string) => string ?? '')
+    .replace(/,(\s*[}\]])/g, '$1')
+  try {
+    return JSON.parse(stripped)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read and parse a JSON (or JSONC) file, or null.
+ */
+export function readJson(filePath) {
+  return parseJsonc(readText(filePath))
+}
+
+/**
+ * Body of a `[section]` table in a TOML file, or null.
+ */
+export function tomlSection(content, section) {
+  if (!content) return null
+  const lines = content.split(/\r?\n/)
+  const start = lines.findIndex(line => line.trim() === `[${section}]`)
+  if (start === -1) return null
+  const end = lines.findIndex((line, i) => i > start && /^\s*\[/.test(line))
+  return lines.slice(start + 1, end === -1 ? undefined : end).join('\n')
+}
+
+/**
+ * Names of every `[table]` header in a TOML file, in order.
+ */
+export function tomlSections(content) {
+  if (!content) return []
+  return [...content.matchAll(/^\s*\[([^[\]]+)\]\s*(?:#.*)?$/gm)].map(m => m[1].trim())
+}
+
+/**
+ * Keys assigned in a TOML table (`name = ...`), in order.
+ */
+export function tomlKeys(content, section) {
+  const body = tomlSection(content, section)
+  if (body === null) return []
+  return [...body.matchAll(/^\s*(?:"([^"]+)"|([\w.-]+))\s*=/gm)].map(m => m[1] ?? m[2])
+}
+
+/**
+ * Read a string array (`members = [...]`, may span lines) from a TOML table.
+ */
+export function tomlArray(content, section, key) {
+  const match = tomlSection(content, section)?.match(new RegExp(`^\\s*"?${key}"?\\s*=\\s*\\[([\\s\\S]*?)\\]\\s*(?:#.*)?$`, 'm'))
+  if (!match) return []
+  return [...match[1].matchAll(/"([^"]*)"|'([^']*)'/g)].map(m => m[1] ?? m[2])
+}
+
+/**
+ * Read a string value (`name = "..."`) from a TOML table.
+ */
+export function tomlString(content, section, key) {
+  return tomlSection(content, section)?.match(new RegExp(`^\\s*${key}\\s*=\\s*"([^"]*)"`, 'm'))?.[1] ?? null
+}
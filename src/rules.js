@@ -0,0 +1,113 @@
+/**
+ * rules.js — bloat rule registry
+ * Combines built-in rules with rules from config and npm plugins, and
+ * applies `disableRules`. Rules are matched by analyze() in order.
+ *
+ * Rule shape:
+ *   { id, pattern, category, reason, priority, ignore? }
+ *   pattern  — RegExp tested against the relative path, or a
+ *              gitignore-style glob string (`gen/`, `*.pb.go`)
+ *   ignore   — .claudeignore pattern to suggest (defaults to the glob; for
+ *              a RegExp, to the directory or file it matched, or
+ *              its name at any depth when it matched in several places)
+ *
+ * Plugin shape (default export, or a function returning it):
+ *   { rules?: Rule[], categories?: { [category]: label }, disableRules?: string[],
+ *     detectors?: Detector[] }
+ *   detectors add stack and command detection for CLAUDE.md (see detectors.js)
+ */
+
+import path from 'path'
+import { createRequire } from 'module'
+import { pathToFileURL } from 'url'
+import { BUILTIN_RULES } from './analyzer.js'
+import { BUILTIN_DETECTORS, defineDetector } from './detectors.js'
+
+export const PRIORITIES = ['critical', 'high', 'medium', 'low']
+
+/**
+ * Validate a rule and fill in its id. `source` names where it came from
+ * for error messages.
+ */
+export function defineRule(rule, source = 'config') {
+  if (!rule || typeof rule !== 'object') {
+    throw new Error(`Invalid rule from ${source}: expected an object`)
+  }
+
+  const { pattern, category, reason, priority = 'medium' } = rule
+  if (!(pattern instanceof RegExp) && (typeof pattern !== 'string' || !pattern)) {
+    throw new Error(`Invalid rule from ${source}: "pattern" must be a glob string or RegExp`)
+  }
+  if (typeof category !== 'string' || !category) {
+    throw new Error(`Invalid rule "${pattern}" from ${source}: "category" is required`)
+  }
+  if (!PRIORITIES.includes(priority)) {
+    throw new Error(`Invalid rule "${pattern}" from ${source}: priority must be one of ${PRIORITIES.join(', ')}`)
+  }
+
+  return {
+    ...rule,
+    id: rule.id || `${category}:${pattern}`,
+    reason: reason || `${category} files`,
+    priority,
+  }
+}
+
+/**
+ * Import a plugin by package name (resolved from rootDir) or relative path.
+ */
+async function importPlugin(specifier, rootDir) {
+  let resolved
+  if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+    resolved = path.resolve(rootDir, specifier)
+  } else {
+    const require = createRequire(path.join(rootDir, 'package.json'))
+    try {
+      resolved = require.resolve(specifier)
+    } catch {
+      throw new Error(`Plugin "${specifier}" not found — install it in ${rootDir}`)
+    }
+  }
+
+  const mod = await import(pathToFileURL(resolved).href)
+  const exported = mod.default ?? mod
+  return typeof exported === 'function' ? await exported() : exported
+}
+
+/**
+ * Build the active rule set from config: built-ins first, then config
+ * rules, then plugin rules, minus anything listed in `disableRules`.
+ * Returns { rules, categories, disabled, detectors } where categories maps
+ * custom category names to their .claudeignore section labels, disabled
+ * lists every disabled id (content rules in content.js are disabled the
+ * same way) and detectors are the built-in detectors followed by those
+ * from config and plugins.
+ */
+export async function loadRules(config = {}, rootDir = process.cwd()) {
+  const added = []
+  const detectors = []
+  const categories = { ...(config.categories || {}) }
+  const disabled = new Set(config.disableRules || [])
+
+  for (const rule of config.rules || []) {
+    added.push(defineRule(rule, 'config'))
+  }
+  for (const detector of config.detectors || []) {
+    detectors.push(defineDetector(detector, 'config'))
+  }
+
+  for (const specifier of config.plugins || []) {
+    const plugin = await importPlugin(specifier, rootDir)
+    for (const rule of plugin.rules || []) {
+      added.push(defineRule(rule, `plugin ${specifier}`))
+    }
+    for (const detector of plugin.detectors || []) {
+      detectors.push(defineDetector(detector, `plugin ${specifier}`))
+    }
+    Object.assign(categories, plugin.categories || {})
+    for (const id of plugin.disableRules || []) disabled.add(id)
+  }
+
+  const rules = [...BUILTIN_RULES, ...added].filter(r => !disabled.has(r.id))
+  return { rules, categories, disabled: [...disabled], detectors: [...BUILTIN_DETECTORS, ...detectors] }
+}
@@ -1,29 +1,53 @@
 /**
  * scanner.js — filesystem walker + token estimator
- * Reads .claudeignore if present, respects patterns, walks all files.
+ * Reads .claudeignore/.gitignore at every level plus git's own excludes,
+ * respects patterns, walks all files. scan() is synchronous; scanAsync()
+ * streams files with bounded concurrency for large trees.
  */
 
 import fs from 'fs'
+import fsp from 'fs/promises'
 import path from 'path'
-
-const CHARS_PER_TOKEN = 4
-
-// Default ignore patterns (always applied)
-const DEFAULT_IGNORE = [
-  '.git',
+import { StringDecoder } from 'string_decoder'
+import { parseIgnoreLines, compileIgnoreRules, isIgnored, isPathIgnored } from './ignore.js'
+import { findGitDir, getGitExcludeFiles } from './git.js'
+import { createHeuristicTokenizer } from './tokenizer.js'
+import { createContentInspector } from './content.js'
+import { sniffFile, sniffFileAsync } from './sniff.js'
+import { CACHE_DIR } from './cache.js'
+import { MAX_PARSE_BYTES, languageOf, parseImports } from './imports.js'
+import { toPosix } from './files.js'
+
+// Default ignore patterns, applied before any ignore file. A configured
+// `defaultIgnore` replaces these; SKIPPED_NAMES are skipped regardless
+export const DEFAULT_IGNORE = [
   '.DS_Store',
   'Thumbs.db',
 ]
 
-// Binary file extensions — excluded from token count (still flagged)
+// Never scanned at any depth, whatever an ignore file re-includes: the
+// repository itself and this tool's own cache
+export const SKIPPED_NAMES = new Set(['.git', CACHE_DIR])
+
+// Files above this size are sized from their byte count instead of read
+export const MAX_FILE_BYTES = 8 * 1024 * 1024
+
+// Parallel reads in scanAsync
+export const DEFAULT_CONCURRENCY = 16
+
+const READ_CHUNK_BYTES = 64 * 1024
+
+// Extensions expected to be binary. Detection itself sniffs content (see
+// sniff.js); this list only flags files whose content disagrees with their name.
 const BINARY_EXTENSIONS = new Set([
-  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.ico', '.bmp', '.tiff', '.svg',
-  '.mp4', '.mp3', '.wav', '.ogg', '.mov', '.avi', '.mkv',
-  '.pdf', '.zip', '.tar', '.gz', '.7z', '.rar',
+  '.png', '.jpg', '.jpeg', '.gif', '.webp', '.ico', '.bmp', '.tiff', '.avif', '.heic', '.psd',
+  '.mp4', '.mp3', '.wav', '.ogg', '.mov', '.avi', '.mkv', '.webm', '.flac', '.m4a',
+  '.pdf', '.zip', '.tar', '.gz', '.bz2', '.xz', '.7z', '.rar', '.jar', '.war',
   '.woff', '.woff2', '.ttf', '.eot', '.otf',
-  '.exe', '.dll', '.so', '.dylib', '.bin',
+  '.exe', '.dll', '.so', '.dylib', '.bin', '.o', '.a', '.lib', '.wasm',
   '.pyc', '.pyo', '.class',
   '.db', '.sqlite', '.sqlite3',
+  '.parquet', '.npy', '.npz', '.pkl', '.h5', '.onnx', '.pt',
 ])
 
 /**
@@ -32,177 +56,426 @@ const BINARY_EXTENSIONS = new Set([
  */
 function parseIgnoreFile(filePath) {
   try {
-    const content = fs.readFileSync(filePath, 'utf8')
-    return content
-      .split('\n')
-      .map(line => line.trim())
-      .filter(line => line && !line.startsWith('#'))
+    return parseIgnoreLines(fs.readFileSync(filePath, 'utf8'))
   } catch {
     return []
   }
 }
 
 /**
- * Simple glob-style pattern matcher.
- * Supports: exact match, leading **, trailing /*, directory names.
+ * Directories from the work tree down to, but not including, rootDir.
+ */
+function ancestorDirs(workTree, rootDir) {
+  const dirs = []
+  if (!workTree) return dirs
+  for (let dir = path.resolve(rootDir); dir !== workTree;) {
+    const parent = path.dirname(dir)
+    if (parent === dir) return []
+    dir = parent
+    dirs.unshift(dir)
+  }
+  return dirs
+}
+
+/**
+ * Build the ignore state shared by the sync and async walkers.
+ */
+function createIgnoreContext(rootDir, options) {
+  const { defaultIgnore = DEFAULT_IGNORE } = options
+  const respectGit = options.respectGitignore !== false
+  const ignoreSources = []
+
+  // Git-level excludes have the lowest precedence of all ignore sources,
+  // then the .gitignore files between the work tree and the scan root.
+  // All of them are relative to directories above rootDir.
+  let baseRules = compileIgnoreRules(defaultIgnore)
+  if (respectGit) {
+    const repo = findGitDir(rootDir)
+    const within = repo ? path.relative(repo.workTree, path.resolve(rootDir)) : ''
+    for (const excludeFile of getGitExcludeFiles(rootDir)) {
+      baseRules = baseRules.concat(compileIgnoreRules(parseIgnoreFile(excludeFile), '', within))
+      ignoreSources.push(excludeFile)
+    }
+    for (const dir of ancestorDirs(repo?.workTree, rootDir)) {
+      const filePath = path.join(dir, '.gitignore')
+      if (!fs.existsSync(filePath)) continue
+      baseRules = baseRules.concat(compileIgnoreRules(parseIgnoreFile(filePath), '', path.relative(dir, path.resolve(rootDir))))
+      ignoreSources.push(filePath)
+    }
+  }
+
+  /**
+   * Load the ignore files declared in one directory, scoped to it.
+   * Later sources win: .claudeignore can re-include what .gitignore drops,
+   * and deeper files override their parents.
+   */
+  function loadDirRules(dir) {
+    const base = path.relative(rootDir, dir)
+    const names = respectGit ? ['.gitignore', '.claudeignore'] : ['.claudeignore']
+    let rules = []
+    for (const name of names) {
+      // A candidate .claudeignore (simulate, generate --dry-run) stands in for the real one
+      if (options.claudeignore && name === '.claudeignore' && dir === rootDir) {
+        rules = rules.concat(compileIgnoreRules(options.claudeignore))
+        continue
+      }
+      const filePath = path.join(dir, name)
+      if (!fs.existsSync(filePath)) continue
+      rules = rules.concat(compileIgnoreRules(parseIgnoreFile(filePath), base))
+      ignoreSources.push(filePath)
+    }
+    return rules
+  }
+
+  return { baseRules, loadDirRules, ignoreSources }
+}
+
+/**
+ * Accumulate tokens, content signals and, for JS/TS and Python sources,
+ * imports over streamed text chunks. Tokenizers with createCounter() never
+ * see the whole text at once.
+ */
+function createMeasure(tokenizer, fileInfo) {
+  const inspector = createContentInspector()
+  const counter = tokenizer.createCounter ? tokenizer.createCounter(fileInfo) : null
+  // Source files keep their text too, to record their imports (imports.js)
+  const language = fileInfo.size <= MAX_PARSE_BYTES ? languageOf(toPosix(fileInfo.relPath)) : null
+  const chunks = counter && !language ? null : []
+
+  return {
+    push(chunk) {
+      inspector.push(chunk)
+      if (counter) counter.push(chunk)
+      if (chunks) chunks.push(chunk)
+    },
+    finish() {
+      const text = chunks ? chunks.join('') : null
+      const tokens = counter ? counter.total() : tokenizer.count(text, fileInfo)
+      return { tokens, signals: inspector.finish(), imports: language ? parseImports(text, language) : null }
+    },
+  }
+}
+
+/**
+ * Shared per-file bookkeeping for both walkers.
  */
-function matchesPattern(relPath, pattern) {
-  // Normalize separators
-  const normalized = relPath.replace(/\\/g, '/')
-  const p = pattern.replace(/\\/g, '/')
+function createCollector(rootDir, options) {
+  const { tokenizer = createHeuristicTokenizer(), maxFileBytes = MAX_FILE_BYTES, cache = null } = options
+  const files = []
+  const misclassified = []
+  const counts = { ignored: 0, binary: 0, dirs: 0, bytes: 0 }
+
+  function newFile(fullPath, name) {
+    const ext = path.extname(name).toLowerCase()
+    return {
+      path: fullPath,
+      relPath: path.relative(rootDir, fullPath),
+      name,
+      ext,
+      size: 0,
+      mtimeMs: 0,
+      tokens: 0,
+      isBinary: BINARY_EXTENSIONS.has(ext),
+      signals: null,
+      imports: null,
+    }
+  }
+
+  /**
+   * Apply a sniff result. Returns true when the file still needs reading.
+   */
+  function applySniff(file, sniffed) {
+    const expectBinary = file.isBinary
+    file.isBinary = sniffed.isBinary
+    if (file.isBinary !== expectBinary) {
+      misclassified.push({
+        relPath: file.relPath,
+        ext: file.ext,
+        expected: expectBinary ? 'binary' : 'text',
+        detected: file.isBinary ? 'binary' : 'text',
+        kind: sniffed.kind,
+      })
+    }
+    if (file.isBinary) return false
 
-  // Directory match: pattern with no slash matches any path segment
-  if (!p.includes('/')) {
-    const parts = normalized.split('/')
-    return parts.some(part => minimatch(part, p))
+    // Too big to be worth reading: size it from the byte count
+    if (file.size > maxFileBytes) {
+      file.tokens = tokenizer.estimateSize(file.size, file)
+      file.estimated = true
+      return false
+    }
+    return true
+  }
+
+  /**
+   * Reuse a cached result for an unchanged file. Returns true on a hit.
+   */
+  function restore(file, stat) {
+    const data = cache?.get(file.relPath, stat)
+    if (!data) return false
+    if (applySniff(file, data.sniff)) {
+      file.tokens = data.tokens
+      file.signals = data.signals
+      file.imports = data.imports ?? null
+    }
+    return true
   }
 
-  // Leading **/ glob
-  if (p.startsWith('**/')) {
-    const suffix = p.slice(3)
-    return normalized.endsWith(suffix) || normalized.includes('/' + suffix)
+  function remember(file, stat, sniff) {
+    cache?.set(file.relPath, stat, { sniff, tokens: file.tokens, signals: file.signals, imports: file.imports })
   }
 
-  // Trailing /* glob
-  if (p.endsWith('/*')) {
-    const prefix = p.slice(0, -2)
-    return normalized.startsWith(prefix + '/')
+  function add(file) {
+    if (file.isBinary) counts.binary++
+    counts.bytes += file.size
+    files.push(file)
   }
 
-  // Trailing /** glob
-  if (p.endsWith('/**')) {
-    const prefix = p.slice(0, -3)
-    return normalized.startsWith(prefix + '/') || normalized === prefix
+  function result(ignoreContext) {
+    // Snapshot before save(): a memory cache starts its next run there
+    const cacheStats = cache ? { ...cache.stats } : null
+    if (cache) cache.save(ignoreContext.ignoreSources)
+
+    const totalTokens = files.reduce((sum, f) => sum + f.tokens, 0)
+    const totalBytes = files.reduce((sum, f) => sum + f.size, 0)
+
+    // Sort by tokens descending; path order keeps async results stable
+    files.sort((a, b) => b.tokens - a.tokens || a.relPath.localeCompare(b.relPath))
+    misclassified.sort((a, b) => a.relPath.localeCompare(b.relPath))
+
+    return {
+      files,
+      totalTokens,
+      totalBytes,
+      ignoredCount: counts.ignored,
+      binaryCount: counts.binary,
+      misclassified,
+      rootDir,
+      hasClaudeignore: Boolean(options.claudeignore) || fs.existsSync(path.join(rootDir, '.claudeignore')),
+      hasGitignore: fs.existsSync(path.join(rootDir, '.gitignore')),
+      ignoreSources: ignoreContext.ignoreSources,
+      tokenizer: tokenizer.label,
+      cacheStats,
+    }
   }
 
-  // Exact match
-  return normalized === p || normalized.startsWith(p + '/')
+  return { tokenizer, files, counts, newFile, applySniff, restore, remember, add, result }
 }
 
 /**
- * Minimal glob helper for single path segment (no slashes).
+ * Whether an error came from the filesystem (a file vanished or can't be
+ * read), as opposed to a tokenizer failing, which must not pass silently.
  */
-function minimatch(str, pattern) {
-  if (pattern === '*') return true
-  if (!pattern.includes('*')) return str === pattern
-  const escaped = pattern.replace(/\./g, '\\.').replace(/\*/g, '.*')
-  return new RegExp('^' + escaped + '$').test(str)
+function isReadError(err) {
+  return typeof err?.code === 'string' && typeof err.syscall === 'string'
 }
 
 /**
- * Check if a path should be ignored given a list of patterns.
+ * Read a text file in chunks through a measure, synchronously.
  */
-function isIgnored(relPath, patterns) {
-  for (const pattern of patterns) {
-    if (matchesPattern(relPath, pattern)) return true
+function measureSync(fullPath, measure) {
+  const fd = fs.openSync(fullPath, 'r')
+  try {
+    const decoder = new StringDecoder('utf8')
+    const buf = Buffer.alloc(READ_CHUNK_BYTES)
+    let bytesRead
+    while ((bytesRead = fs.readSync(fd, buf, 0, READ_CHUNK_BYTES, null)) > 0) {
+      measure.push(decoder.write(buf.subarray(0, bytesRead)))
+    }
+    measure.push(decoder.end())
+  } finally {
+    fs.closeSync(fd)
   }
-  return false
+  return measure.finish()
 }
 
 /**
- * Estimate tokens from a file's character count.
+ * Read a text file as a stream through a measure.
  */
-function estimateTokens(chars) {
-  return Math.ceil(chars / CHARS_PER_TOKEN)
+async function measureAsync(fullPath, measure) {
+  const stream = fs.createReadStream(fullPath, { encoding: 'utf8', highWaterMark: READ_CHUNK_BYTES })
+  for await (const chunk of stream) measure.push(chunk)
+  return measure.finish()
 }
 
 /**
- * Walk the filesystem from rootDir, collecting file info.
- * Returns { files, totalTokens, totalBytes, ignoredCount, binaryCount }
+ * Run at most `concurrency` async tasks at a time.
  */
-export function scan(rootDir, options = {}) {
-  const { verbose = false } = options
-
-  // Load ignore patterns
-  const claudeignorePath = path.join(rootDir, '.claudeignore')
-  const gitignorePath = path.join(rootDir, '.gitignore')
-
-  const userPatterns = fs.existsSync(claudeignorePath)
-    ? parseIgnoreFile(claudeignorePath)
-    : []
-
-  const gitPatterns = options.respectGitignore !== false && fs.existsSync(gitignorePath)
-    ? parseIgnoreFile(gitignorePath)
-    : []
+function createLimiter(concurrency) {
+  let active = 0
+  const queue = []
+
+  function next() {
+    if (active >= concurrency || queue.length === 0) return
+    active++
+    const { task, resolve, reject } = queue.shift()
+    task().then(resolve, reject).finally(() => {
+      active--
+      next()
+    })
+  }
 
-  const allPatterns = [...DEFAULT_IGNORE, ...gitPatterns, ...userPatterns]
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject })
+    next()
+  })
+}
 
-  const files = []
-  let ignoredCount = 0
-  let binaryCount = 0
+/**
+ * Walk the filesystem from rootDir, collecting file info.
+ * Pass `cache` (from openCache) to reuse results for unchanged files, and
+ * `claudeignore` (pattern lines) to scan as if the root .claudeignore held them.
+ * Returns { files, totalTokens, totalBytes, ignoredCount, binaryCount, misclassified, ... }
+ */
+export function scan(rootDir, options = {}) {
+  const ignore = createIgnoreContext(rootDir, options)
+  const collector = createCollector(rootDir, options)
+  const { tokenizer, counts } = collector
 
-  function walk(dir) {
+  function walk(dir, parentRules) {
     let entries
     try {
       entries = fs.readdirSync(dir, { withFileTypes: true })
     } catch {
       return
     }
+    counts.dirs++
+
+    const dirRules = ignore.loadDirRules(dir)
+    const rules = dirRules.length > 0 ? parentRules.concat(dirRules) : parentRules
 
     for (const entry of entries) {
       const fullPath = path.join(dir, entry.name)
       const relPath = path.relative(rootDir, fullPath)
 
-      if (isIgnored(relPath, allPatterns)) {
-        ignoredCount++
+      if (SKIPPED_NAMES.has(entry.name) || isIgnored(relPath, rules, entry.isDirectory())) {
+        counts.ignored++
         continue
       }
 
       if (entry.isDirectory()) {
-        walk(fullPath)
+        walk(fullPath, rules)
       } else if (entry.isFile()) {
-        const ext = path.extname(entry.name).toLowerCase()
-        const isBinary = BINARY_EXTENSIONS.has(ext)
-
-        let size = 0
-        let tokens = 0
+        const file = collector.newFile(fullPath, entry.name)
 
         try {
           const stat = fs.statSync(fullPath)
-          size = stat.size
-
-          if (!isBinary) {
-            // Read content to get actual char count
-            const content = fs.readFileSync(fullPath, 'utf8')
-            tokens = estimateTokens(content.length)
+          file.size = stat.size
+          file.mtimeMs = stat.mtimeMs
+          if (file.size > 0 && !collector.restore(file, stat)) {
+            const sniffed = sniffFile(fullPath)
+            if (collector.applySniff(file, sniffed)) {
+              Object.assign(file, measureSync(fullPath, createMeasure(tokenizer, file)))
+            }
+            collector.remember(file, stat, sniffed)
           }
-        } catch {
-          // unreadable file — skip token count
+        } catch (err) {
+          // unreadable file — skip token count, trust the extension
+          if (!isReadError(err)) throw err
         }
 
-        if (isBinary) {
-          binaryCount++
-        }
+        collector.add(file)
+      }
+    }
+  }
+
+  walk(rootDir, ignore.baseRules)
+  return collector.result(ignore)
+}
+
+/**
+ * Async scanner for large trees: reads directories and files with bounded
+ * concurrency and streams file contents instead of loading them whole.
+ * Options as for scan(), plus `concurrency` and an `onProgress(counts)`
+ * callback fired as files complete. Resolves to the same result as scan().
+ */
+export async function scanAsync(rootDir, options = {}) {
+  const { concurrency = DEFAULT_CONCURRENCY, onProgress } = options
+  const ignore = createIgnoreContext(rootDir, options)
+  const collector = createCollector(rootDir, options)
+  const { tokenizer, counts } = collector
+  const limit = createLimiter(concurrency)
+
+  function progress() {
+    if (onProgress) onProgress({ files: collector.files.length, dirs: counts.dirs, bytes: counts.bytes })
+  }
+
+  async function processFile(fullPath, name) {
+    const file = collector.newFile(fullPath, name)
 
-        files.push({
-          path: fullPath,
-          relPath,
-          name: entry.name,
-          ext,
-          size,
-          tokens,
-          isBinary,
-        })
+    try {
+      const stat = await fsp.stat(fullPath)
+      file.size = stat.size
+      file.mtimeMs = stat.mtimeMs
+      if (file.size > 0 && !collector.restore(file, stat)) {
+        const sniffed = await sniffFileAsync(fullPath)
+        if (collector.applySniff(file, sniffed)) {
+          Object.assign(file, await measureAsync(fullPath, createMeasure(tokenizer, file)))
+        }
+        collector.remember(file, stat, sniffed)
       }
+    } catch (err) {
+      // unreadable file — skip token count, trust the extension
+      if (!isReadError(err)) throw err
     }
+
+    collector.add(file)
+    progress()
   }
 
-  walk(rootDir)
+  async function walk(dir, parentRules) {
+    let entries
+    try {
+      entries = await limit(() => fsp.readdir(dir, { withFileTypes: true }))
+    } catch {
+      return
+    }
+    counts.dirs++
+
+    const dirRules = ignore.loadDirRules(dir)
+    const rules = dirRules.length > 0 ? parentRules.concat(dirRules) : parentRules
+    const pending = []
 
-  const totalTokens = files.reduce((sum, f) => sum + f.tokens, 0)
-  const totalBytes = files.reduce((sum, f) => sum + f.size, 0)
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name)
+      const relPath = path.relative(rootDir, fullPath)
+
+      if (SKIPPED_NAMES.has(entry.name) || isIgnored(relPath, rules, entry.isDirectory())) {
+        counts.ignored++
+        continue
+      }
 
-  // Sort by tokens descending
-  files.sort((a, b) => b.tokens - a.tokens)
+      if (entry.isDirectory()) {
+        pending.push(walk(fullPath, rules))
+      } else if (entry.isFile()) {
+        pending.push(limit(() => processFile(fullPath, entry.name)))
+      }
+    }
+
+    await Promise.all(pending)
+  }
+
+  await walk(rootDir, ignore.baseRules)
+  return collector.result(ignore)
+}
+
+/**
+ * Drop the files matched by extra ignore rules from a scan result, as if the
+ * walk had skipped them. The rules apply on top of the ignore files the scan
+ * already honored, so a negation can't bring back a file that was never
+ * scanned. Returns a new result with recomputed totals.
+ */
+export function excludeFromScan(scanResult, rules) {
+  const files = scanResult.files.filter(f => !isPathIgnored(f.relPath, rules))
+  const excluded = scanResult.files.length - files.length
 
   return {
+    ...scanResult,
     files,
-    totalTokens,
-    totalBytes,
-    ignoredCount,
-    binaryCount,
-    rootDir,
-    hasClaudeignore: fs.existsSync(claudeignorePath),
-    hasGitignore: fs.existsSync(gitignorePath),
+    totalTokens: files.reduce((sum, f) => sum + f.tokens, 0),
+    totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+    ignoredCount: scanResult.ignoredCount + excluded,
+    binaryCount: files.filter(f => f.isBinary).length,
+    misclassified: (scanResult.misclassified || []).filter(m => !isPathIgnored(m.relPath, rules)),
   }
 }
@@ -0,0 +1,127 @@
+/**
+ * secrets.js — sensitive files and leaked credentials
+ * Flags files that should never reach Claude: by name (`.env`, private
+ * keys, cloud credentials) and by content (known token formats, private
+ * key headers, high-entropy values assigned to secret-looking keys).
+ * Every rule id can be listed in `disableRules`.
+ */
+
+import path from 'path'
+
+// Content is only searched up to this many characters per file
+export const SECRET_SAMPLE = 1024 * 1024
+
+// Characters carried between streamed chunks so a match can span them
+const CHUNK_OVERLAP = 256
+
+/**
+ * Name rules, tested against the file's basename.
+ */
+export const SENSITIVE_FILES = [
+  { id: 'env-file', test: name => /^\.env(?:\..+)?$/.test(name) && !/\.(?:example|sample|template|dist|defaults)$/.test(name), reason: 'environment file — usually holds credentials' },
+  { id: 'private-key-file', test: name => /^id_(?:rsa|dsa|ecdsa|ed25519)$/.test(name) || /\.(?:pem|key|p12|pfx|jks|keystore)$/.test(name), reason: 'private key or certificate store' },
+  { id: 'credentials-file', test: name => /^(?:credentials|client_secrets?.*|service[-_]?account.*|.*-credentials)\.json$/.test(name) || name === '.git-credentials' || name === '.netrc', reason: 'credentials file' },
+]
+
+/**
+ * Content rules. `pattern` is searched in the file's text; `check` can
+ * reject a match (placeholders, low-entropy values).
+ */
+export const SECRET_RULES = [
+  { id: 'private-key', pattern: /-----BEGIN (?:RSA |EC |DSA |OPENSSH |ENCRYPTED |PGP )?PRIVATE KEY(?: BLOCK)?-----/, reason: 'contains a private key' },
+  { id: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/, check: m => !m[0].includes('EXAMPLE'), reason: 'contains an AWS access key' },
+  { id: 'github-token', pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})/, reason: 'contains a GitHub token' },
+  { id: 'stripe-key', pattern: /\b[sr]k_live_[0-9A-Za-z]{24,}/, reason: 'contains a live Stripe key' },
+  { id: 'slack-token', pattern: /\bxox[abprs]-[0-9A-Za-z-]{10,}/, reason: 'contains a Slack token' },
+  { id: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/, reason: 'contains a Google API key' },
+  // .npmrc-style lines only (`_authToken=…`, `//registry/:_auth=…`), not code assigning `this._auth`
+  { id: 'npm-auth-token', pattern: /^[ \t]*(?:\/\/\S+:)?_auth(?:Token)?[ \t]*=[ \t]*["']?([^\s"'$][^\s"']*)/m, check: m => !m[1].includes('('), reason: 'contains a registry auth token' },
+  {
+    id: 'secret-assignment',
+    pattern: /(?:secret|token|passw(?:or)?d|api[_-]?key|access[_-]?key|private[_-]?key)\w*["']?\s*[:=]\s*["']?([A-Za-z0-9+/_=-]{20,})/gi,
+    check: m => isRandomLooking(m[1]),
+    reason: 'contains a high-entropy value assigned to a secret-looking key',
+  },
+]
+
+/**
+ * Shannon entropy of a string, in bits per character.
+ */
+function entropy(text) {
+  const counts = new Map()
+  for (const c of text) counts.set(c, (counts.get(c) || 0) + 1)
+  let bits = 0
+  for (const n of counts.values()) {
+    const p = n / text.length
+    bits -= p * Math.log2(p)
+  }
+  return bits
+}
+
+// Real keys mix letters and digits and look random; placeholders don't
+function isRandomLooking(value) {
+  return /[0-9]/.test(value) && /[A-Za-z]/.test(value) && entropy(value) >= 4
+}
+
+/**
+ * Ids of the content rules that match anywhere in text, in rule order.
+ */
+export function findSecrets(text) {
+  const found = []
+  for (const rule of SECRET_RULES) {
+    if (!rule.pattern.global) {
+      const match = text.match(rule.pattern)
+      if (match && (!rule.check || rule.check(match))) found.push(rule.id)
+      continue
+    }
+    for (const match of text.matchAll(rule.pattern)) {
+      if (!rule.check || rule.check(match)) {
+        found.push(rule.id)
+        break
+      }
+    }
+  }
+  return found
+}
+
+/**
+ * Incremental findSecrets for streamed reads: push() text chunks in order,
+ * then finish() returns the ids found.
+ */
+export function createSecretScanner() {
+  const found = new Set()
+  let carry = ''
+  let seen = 0
+
+  return {
+    push(chunk) {
+      if (seen >= SECRET_SAMPLE) return
+      const text = carry + chunk.slice(0, SECRET_SAMPLE - seen)
+      seen += chunk.length
+      for (const id of findSecrets(text)) found.add(id)
+      carry = text.slice(-CHUNK_OVERLAP)
+    },
+
+    finish() {
+      return [...found]
+    },
+  }
+}
+
+/**
+ * Return why a scanned file is sensitive as { id, reason }, or null.
+ * Name rules come first, then the secrets its content signals recorded.
+ */
+export function classifySensitive(file, disabled = new Set()) {
+  const name = path.posix.basename(file.relPath.replace(/\\/g, '/'))
+  for (const rule of SENSITIVE_FILES) {
+    if (!disabled.has(rule.id) && rule.test(name)) return { id: rule.id, reason: rule.reason }
+  }
+
+  for (const id of file.signals?.secrets || []) {
+    if (disabled.has(id)) continue
+    const rule = SECRET_RULES.find(r => r.id === id)
+    if (rule) return { id, reason: rule.reason }
+  }
+  return null
+}
@@ -0,0 +1,222 @@
+/**
+ * select.js — token-budgeted context selection
+ * Ranks the clean files against seed paths and keywords — import-graph
+ * distance from the seeds, path similarity, keyword hits and recency —
+ * and fills a token budget greedily with the best of them. The result can
+ * be listed, turned into a .claudeignore overlay or packed (bundle.js).
+ */
+
+import path from 'path'
+import { buildImportGraph } from './imports.js'
+import { recencyRanks } from './bundle.js'
+import { readText } from './manifest.js'
+import { literalPattern } from './ignore.js'
+import { toPosix } from './files.js'
+
+export const SELECT_BUDGET = 50000
+
+// Import hops followed out from the seeds
+const MAX_HOPS = 3
+
+// Files larger than this are matched against keywords by path only
+const MAX_KEYWORD_BYTES = 512 * 1024
+
+// Weight of each signal in the final score
+const WEIGHTS = { graph: 0.4, keywords: 0.3, path: 0.2, recency: 0.1 }
+
+/**
+ * Resolve seed paths (files or directories, relative to the root) to
+ * scanned files. Throws when a seed matches nothing.
+ */
+function resolveSeeds(seeds, candidates) {
+  const found = new Set()
+  const dirs = []
+  for (const seed of seeds) {
+    const clean = toPosix(seed).replace(/^\.\//, '').replace(/\/+$/, '')
+    const matches = candidates.filter(f => {
+      const relPath = toPosix(f.relPath)
+      return clean === '' || clean === '.' || relPath === clean || relPath.startsWith(clean + '/')
+    })
+    if (matches.length === 0) throw new Error(`Seed "${seed}" matches no scanned file that isn't bloat`)
+    matches.forEach(f => found.add(toPosix(f.relPath)))
+    dirs.push(matches.length === 1 && toPosix(matches[0].relPath) === clean ? path.posix.dirname(clean) : clean)
+  }
+  return { files: found, dirs }
+}
+
+/**
+ * Breadth-first import distance from the start files, following imports
+ * both ways (what a file imports and what imports it).
+ */
+function graphDistances(graph, start) {
+  const neighbors = new Map()
+  const link = (a, b) => {
+    if (!neighbors.has(a)) neighbors.set(a, new Set())
+    neighbors.get(a).add(b)
+  }
+  for (const [from, targets] of graph) {
+    for (const to of targets) {
+      link(from, to)
+      link(to, from)
+    }
+  }
+
+  const distances = new Map([...start].map(relPath => [relPath, 0]))
+  let frontier = [...start]
+  for (let hop = 1; hop <= MAX_HOPS && frontier.length > 0; hop++) {
+    const next = []
+    for (const relPath of frontier) {
+      for (const neighbor of neighbors.get(relPath) || []) {
+        if (distances.has(neighbor)) continue
+        distances.set(neighbor, hop)
+        next.push(neighbor)
+      }
+    }
+    frontier = next
+  }
+  return distances
+}
+
+/**
+ * Shared leading directories between a file and the closest seed
+ * directory, as a 0–1 fraction.
+ */
+function pathSimilarity(relPath, seedDirs) {
+  const dir = path.posix.dirname(relPath).split('/').filter(p => p !== '.')
+  let best = 0
+  for (const seedDir of seedDirs) {
+    const seed = seedDir.split('/').filter(p => p && p !== '.')
+    if (seed.length === 0 || dir.length === 0) continue
+    let shared = 0
+    while (shared < seed.length && shared < dir.length && seed[shared] === dir[shared]) shared++
+    best = Math.max(best, shared / Math.max(seed.length, dir.length))
+  }
+  return best
+}
+
+/**
+ * Count case-insensitive hits of each keyword in text.
+ */
+function keywordHits(text, keywords) {
+  const lower = text.toLowerCase()
+  return keywords.map(keyword => {
+    let hits = 0
+    for (let i = lower.indexOf(keyword); i !== -1; i = lower.indexOf(keyword, i + keyword.length)) hits++
+    return hits
+  })
+}
+
+/**
+ * Select the files most relevant to `seeds` (paths) and `keywords` within
+ * `maxTokens`. `exclude` lists relPaths to leave out (the output file).
+ * Files that score on nothing but recency are not candidates.
+ * Returns { seeds, keywords, maxTokens, totalTokens, files, ranked, skipped }
+ * where ranked lists every relevant file as [{ file, score, reasons }]
+ * (the shape buildPack() takes), files are the ones that fit, in rank
+ * order, and skipped are the relevant ones that didn't.
+ */
+export function selectContext(scanResult, analysis, options = {}) {
+  const { seeds = [], maxTokens = SELECT_BUDGET, exclude = new Set() } = options
+  const keywords = (options.keywords || []).map(k => k.toLowerCase()).filter(Boolean)
+  if (seeds.length === 0 && keywords.length === 0) throw new Error('Give at least one seed path or keyword')
+
+  const bloat = new Set(analysis.bloatFiles.map(f => f.relPath))
+  const candidates = scanResult.files.filter(f => !f.isBinary && !bloat.has(f.relPath) && !exclude.has(f.relPath))
+  const seedSet = resolveSeeds(seeds, candidates)
+  const recency = recencyRanks(candidates)
+
+  // Keyword hits in paths and contents
+  const hits = new Map()
+  if (keywords.length > 0) {
+    for (const f of candidates) {
+      const relPath = toPosix(f.relPath)
+      const text = f.size <= MAX_KEYWORD_BYTES ? readText(path.join(scanResult.rootDir, f.relPath)) || '' : ''
+      const inPath = keywords.filter(k => relPath.toLowerCase().includes(k)).length
+      const inText = keywordHits(text, keywords)
+      hits.set(relPath, { inPath, matched: inText.filter(n => n > 0).length, total: inText.reduce((a, b) => a + b, 0) })
+    }
+  }
+
+  // Graph distance from the seeds, or from files whose path names a keyword
+  const start = seedSet.files.size > 0
+    ? seedSet.files
+    : new Set([...hits].filter(([, h]) => h.inPath > 0).map(([relPath]) => relPath))
+  const distances = start.size > 0 ? graphDistances(buildImportGraph(scanResult, { exclude: bloat }), start) : new Map()
+
+  const ranked = []
+  for (const file of candidates) {
+    const relPath = toPosix(file.relPath)
+    const reasons = []
+    const signals = { graph: 0, keywords: 0, path: 0, recency: recency.get(file.relPath) }
+
+    if (seedSet.files.has(relPath)) {
+      ranked.push({ file, score: 2, reasons: ['seed'] })
+      continue
+    }
+
+    const hop = distances.get(relPath)
+    if (hop !== undefined) {
+      signals.graph = hop === 0 ? 1 : 0.5 ** (hop - 1)
+      if (hop > 0) reasons.push(`${hop} import hop${hop === 1 ? '' : 's'} from ${seedSet.files.size > 0 ? 'a seed' : 'a keyword match'}`)
+    }
+
+    // A keyword in the path counts as a path match
+    const h = hits.get(relPath)
+    signals.path = Math.max(pathSimilarity(relPath, seedSet.dirs), h ? h.inPath / keywords.length : 0)
+    if (h?.inPath > 0) reasons.push('keyword in path')
+    else if (signals.path >= 0.5) reasons.push('near a seed')
+
+    if (h?.total > 0) {
+      signals.keywords = 0.6 * (h.matched / keywords.length) + 0.4 * Math.min(1, Math.log1p(h.total) / Math.log(50))
+      reasons.push(`${h.total} keyword hit${h.total === 1 ? '' : 's'}`)
+    }
+
+    if (signals.graph === 0 && signals.path === 0 && signals.keywords === 0) continue
+    const score = Object.entries(WEIGHTS).reduce((sum, [signal, weight]) => sum + weight * signals[signal], 0)
+    ranked.push({ file, score: Math.round(score * 1000) / 1000, reasons })
+  }
+  ranked.sort((a, b) => b.score - a.score || a.file.tokens - b.file.tokens || a.file.relPath.localeCompare(b.file.relPath))
+
+  // Greedy fill: best first, skipping whatever no longer fits
+  const files = []
+  const skipped = []
+  let remaining = maxTokens
+  for (const item of ranked) {
+    if (item.file.tokens <= remaining) {
+      files.push(item)
+      remaining -= item.file.tokens
+    } else {
+      skipped.push(item)
+    }
+  }
+
+  return {
+    seeds,
+    keywords,
+    maxTokens,
+    totalTokens: maxTokens - remaining,
+    files,
+    ranked,
+    skipped,
+  }
+}
+
+/**
+ * A .claudeignore that hides everything except the selected files:
+ * ignore all, re-include directories so their files can be re-included,
+ * then re-include each file.
+ */
+export function renderOverlay(selection) {
+  const describe = [...selection.seeds, ...selection.keywords.map(k => `"${k}"`)].join(', ')
+  return [
+    '# .claudeignore overlay — generated by claude-context-pack select',
+    `# Selected for: ${describe}`,
+    `# ${selection.files.length} files, ~${selection.totalTokens.toLocaleString()} tokens of a ${selection.maxTokens.toLocaleString()}-token budget`,
+    '# Temporary: restore your own .claudeignore when you are done.',
+    '',
+    '*',
+    '!*/',
+    ...selection.files.map(({ file }) => '!' + literalPattern(file.relPath)),
+    '',
+  ].join('\n')
+}
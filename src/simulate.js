@@ -0,0 +1,99 @@
+/**
+ * simulate.js — what-if analysis for a candidate .claudeignore
+ * Compares a normal scan with one run against the candidate patterns and
+ * credits every newly excluded file to the pattern that excluded it.
+ */
+
+import path from 'path'
+import { compileIgnoreRules, findIgnoreRule } from './ignore.js'
+import { SOURCE_EXTENSIONS } from './files.js'
+
+/**
+ * The candidate rule that excludes relPath, checking parent directories
+ * first since excluding a directory hides everything beneath it.
+ */
+function excludingRule(relPath, rules) {
+  const parts = relPath.replace(/\\/g, '/').split('/')
+  for (let i = 1; i <= parts.length; i++) {
+    const rule = findIgnoreRule(parts.slice(0, i).join('/'), rules, i < parts.length)
+    if (rule && !rule.negate) return rule
+  }
+  return null
+}
+
+/**
+ * Summarize the effect of candidate .claudeignore `lines`.
+ * `before` is the current scan, `after` the scan with the candidate in
+ * place of the root .claudeignore (scan option `claudeignore`), and
+ * `bloatFiles` the current analysis' bloat files — any other excluded
+ * source file counts as one Claude probably needs. `current`, when the
+ * project has a .claudeignore, is the scan without it (an empty candidate):
+ * patterns that only match files it already drops are told apart from
+ * patterns that match nothing at all.
+ *
+ * Returns { patterns, unmatched, alreadyExcluded, hidesSource, reincluded, unattributed }:
+ *   patterns        — { pattern, negate, files, tokens, sourceFiles } per rule
+ *   unmatched       — patterns that match nothing, excluded or not
+ *   alreadyExcluded — { pattern, files } for patterns whose only matches the
+ *                     current .claudeignore already excludes
+ *   hidesSource     — patterns that exclude clean source files
+ *   reincluded      — files the current ignore files drop but the candidate keeps
+ *   unattributed    — excluded files no candidate pattern matches directly
+ */
+export function simulateIgnore({ before, after, lines, bloatFiles = [], current = null }) {
+  const rules = compileIgnoreRules(lines)
+  const kept = new Set(after.files.map(f => f.relPath))
+  const scanned = new Set(before.files.map(f => f.relPath))
+  const bloat = new Set(bloatFiles.map(f => f.relPath))
+
+  const stats = new Map(rules.map(rule => [rule, {
+    pattern: rule.pattern,
+    negate: rule.negate,
+    files: [],
+    tokens: 0,
+    sourceFiles: [],
+  }]))
+  const unattributed = []
+
+  for (const f of before.files) {
+    if (kept.has(f.relPath)) continue
+    const rule = excludingRule(f.relPath, rules)
+    if (!rule) {
+      // Dropped by a nested ignore file the candidate interacts with
+      unattributed.push(f)
+      continue
+    }
+    const entry = stats.get(rule)
+    entry.files.push(f)
+    entry.tokens += f.tokens
+    if (!bloat.has(f.relPath) && !f.isBinary && SOURCE_EXTENSIONS.has(path.extname(f.name).toLowerCase())) {
+      entry.sourceFiles.push(f)
+    }
+  }
+
+  const patterns = [...stats.values()]
+  for (const entry of patterns) {
+    entry.files.sort((a, b) => b.tokens - a.tokens || a.relPath.localeCompare(b.relPath))
+  }
+
+  // Each idle pattern is checked on its own against what the current
+  // .claudeignore drops, so duplicates of one line all count as covered
+  const dropped = (current?.files ?? []).filter(f => !scanned.has(f.relPath))
+  const idle = rules.filter(rule => !rule.negate && stats.get(rule).files.length === 0)
+  const alreadyExcluded = []
+  const unmatched = []
+  for (const rule of idle) {
+    const files = dropped.filter(f => excludingRule(f.relPath, [rule]))
+    if (files.length > 0) alreadyExcluded.push({ pattern: rule.pattern, files })
+    else unmatched.push(stats.get(rule))
+  }
+
+  return {
+    patterns,
+    unmatched,
+    alreadyExcluded,
+    hidesSource: patterns.filter(p => p.sourceFiles.length > 0),
+    reincluded: after.files.filter(f => !scanned.has(f.relPath)),
+    unattributed,
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * sniff.js — binary detection by content
+ * Looks at a file's first bytes: magic numbers, NUL bytes and the share
+ * of invalid UTF-8, instead of trusting the extension.
+ */
+
+import fs from 'fs'
+import fsp from 'fs/promises'
+
+export const SNIFF_BYTES = 8192
+
+// Invalid UTF-8 share above which a file is treated as binary
+const INVALID_UTF8_RATIO = 0.1
+
+// Magic numbers of common binary formats, checked at offset 0
+const MAGIC_NUMBERS = [
+  { kind: 'png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { kind: 'jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { kind: 'gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { kind: 'pdf', bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { kind: 'zip', bytes: [0x50, 0x4b, 0x03, 0x04] }, // also jar, docx, xlsx, apk
+  { kind: 'gzip', bytes: [0x1f, 0x8b] },
+  { kind: 'bzip2', bytes: [0x42, 0x5a, 0x68] },
+  { kind: 'xz', bytes: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00] },
+  { kind: '7z', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { kind: 'elf', bytes: [0x7f, 0x45, 0x4c, 0x46] },
+  { kind: 'mach-o', bytes: [0xcf, 0xfa, 0xed, 0xfe] },
+  { kind: 'mach-o', bytes: [0xce, 0xfa, 0xed, 0xfe] },
+  { kind: 'java-class', bytes: [0xca, 0xfe, 0xba, 0xbe] }, // also Mach-O fat binaries
+  { kind: 'pe', bytes: [0x4d, 0x5a] },
+  { kind: 'wasm', bytes: [0x00, 0x61, 0x73, 0x6d] },
+  { kind: 'parquet', bytes: [0x50, 0x41, 0x52, 0x31] },
+  { kind: 'npy', bytes: [0x93, 0x4e, 0x55, 0x4d, 0x50, 0x59] },
+  { kind: 'sqlite', bytes: [0x53, 0x51, 0x4c, 0x69, 0x74, 0x65, 0x20, 0x66] },
+  { kind: 'woff', bytes: [0x77, 0x4f, 0x46, 0x46] },
+  { kind: 'woff2', bytes: [0x77, 0x4f, 0x46, 0x32] },
+  { kind: 'ogg', bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { kind: 'riff', bytes: [0x52, 0x49, 0x46, 0x46] }, // wav, avi, webp
+  { kind: 'mp3', bytes: [0x49, 0x44, 0x33] },
+  { kind: 'pyc', bytes: [0x0d, 0x0d, 0x0a] }, // not at offset 0 — see below
+]
+
+function startsWith(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false
+  for (let i = 0; i < bytes.length; i++) {
+    if (buf[offset + i] !== bytes[i]) return false
+  }
+  return true
+}
+
+/**
+ * Share of bytes that are not part of a valid UTF-8 sequence.
+ * A sequence cut off by the end of the sample is not counted.
+ */
+function invalidUtf8Ratio(buf) {
+  let invalid = 0
+  let i = 0
+
+  while (i < buf.length) {
+    const b = buf[i]
+    let len = 0
+    if (b < 0x80) len = 1
+    else if (b >= 0xc2 && b <= 0xdf) len = 2
+    else if (b >= 0xe0 && b <= 0xef) len = 3
+    else if (b >= 0xf0 && b <= 0xf4) len = 4
+
+    if (len === 0) {
+      invalid++
+      i++
+      continue
+    }
+    if (i + len > buf.length) break
+
+    let ok = true
+    for (let j = 1; j < len; j++) {
+      if ((buf[i + j] & 0xc0) !== 0x80) { ok = false; break }
+    }
+    if (ok) {
+      i += len
+    } else {
+      invalid++
+      i++
+    }
+  }
+
+  return buf.length > 0 ? invalid / buf.length : 0
+}
+
+/**
+ * Classify a sample of a file's bytes.
+ * Returns { isBinary, kind } where kind names the evidence: a format from
+ * MAGIC_NUMBERS, 'nul-bytes', 'invalid-utf8', or 'text'.
+ */
+export function sniffBuffer(buf) {
+  // UTF-8 BOM: text regardless of what follows
+  if (startsWith(buf, [0xef, 0xbb, 0xbf])) return { isBinary: false, kind: 'text' }
+
+  for (const magic of MAGIC_NUMBERS) {
+    // Python bytecode has a 2-byte version before its magic suffix
+    const offset = magic.kind === 'pyc' ? 2 : 0
+    if (startsWith(buf, magic.bytes, offset)) {
+      // `MZ` and `ID3` are short enough to open ordinary text; require a NUL too
+      if ((magic.kind === 'pe' || magic.kind === 'mp3') && !buf.includes(0)) continue
+      return { isBinary: true, kind: magic.kind }
+    }
+  }
+
+  if (buf.includes(0)) return { isBinary: true, kind: 'nul-bytes' }
+  if (invalidUtf8Ratio(buf) > INVALID_UTF8_RATIO) return { isBinary: true, kind: 'invalid-utf8' }
+
+  return { isBinary: false, kind: 'text' }
+}
+
+/**
+ * Read the first SNIFF_BYTES of a file and classify it.
+ */
+export function sniffFile(filePath) {
+  const fd = fs.openSync(filePath, 'r')
+  try {
+    const buf = Buffer.alloc(SNIFF_BYTES)
+    const bytesRead = fs.readSync(fd, buf, 0, SNIFF_BYTES, 0)
+    return sniffBuffer(buf.subarray(0, bytesRead))
+  } finally {
+    fs.closeSync(fd)
+  }
+}
+
+/**
+ * Async variant of sniffFile.
+ */
+export async function sniffFileAsync(filePath) {
+  const handle = await fsp.open(filePath, 'r')
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(SNIFF_BYTES), 0, SNIFF_BYTES, 0)
+    return sniffBuffer(buffer.subarray(0, bytesRead))
+  } finally {
+    await handle.close()
+  }
+}
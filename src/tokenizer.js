@@ -0,0 +1,180 @@
+/**
+ * tokenizer.js — pluggable token estimators
+ * heuristic: fixed chars-per-token ratio (fast, the historical default)
+ * bpe:       offline BPE-style estimator with per-language calibration
+ * custom:    user module exporting countTokens(text, file)
+ *
+ * A tokenizer is { name, label, count(text, file), estimateSize(bytes, file) }
+ * plus an optional createCounter() for estimators that can work on a stream.
+ */
+
+import path from 'path'
+import { pathToFileURL } from 'url'
+
+export const CHARS_PER_TOKEN = 4
+
+export const TOKENIZERS = ['heuristic', 'bpe', 'custom']
+
+// Pre-tokenizer split, modelled on the cl100k regex: contractions, words
+// with an optional leading space, digit runs, punctuation runs, whitespace.
+const PRETOKEN_RE = /'(?:[sdmt]|ll|ve|re)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu
+
+const CJK_RE = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/
+const NON_ASCII_RE = /[^\x00-\x7f]/
+
+// Multipliers correcting the raw estimate for systematic drift per language.
+// BPE vocabularies are trained mostly on prose and common code, so dense
+// markup and data formats need more tokens than the piece count suggests.
+const CALIBRATION = {
+  '.json': 1.15,
+  '.yaml': 1.05,
+  '.yml': 1.05,
+  '.xml': 1.2,
+  '.html': 1.1,
+  '.svg': 1.25,
+  '.css': 1.1,
+  '.scss': 1.1,
+  '.csv': 1.2,
+  '.md': 0.95,
+  '.txt': 0.95,
+  '.py': 0.95,
+  '.rb': 0.95,
+  '.go': 1.0,
+  '.rs': 1.05,
+  '.java': 0.95,
+  '.js': 1.0,
+  '.jsx': 1.0,
+  '.ts': 1.0,
+  '.tsx': 1.0,
+}
+
+/**
+ * Fixed-ratio estimator: one token per CHARS_PER_TOKEN characters.
+ */
+export function createHeuristicTokenizer(charsPerToken = CHARS_PER_TOKEN) {
+  return {
+    name: 'heuristic',
+    label: `heuristic (${charsPerToken} chars/token)`,
+    count(text) {
+      return Math.ceil(text.length / charsPerToken)
+    },
+    // Only the character count matters, so files can be streamed
+    createCounter() {
+      let chars = 0
+      return {
+        push(chunk) { chars += chunk.length },
+        total() { return Math.ceil(chars / charsPerToken) },
+      }
+    },
+    estimateSize(bytes) {
+      return Math.ceil(bytes / charsPerToken)
+    },
+  }
+}
+
+/**
+ * Estimate the tokens a single pre-token piece costs.
+ */
+function pieceTokens(piece) {
+  const first = piece.charCodeAt(0)
+
+  // Whitespace runs (indentation, blank lines) merge into few tokens
+  if (/^\s+$/.test(piece)) return 1 + Math.floor(piece.length / 16)
+
+  const word = first === 32 ? piece.slice(1) : piece
+
+  if (CJK_RE.test(word)) {
+    let tokens = 0
+    for (const ch of word) tokens += CJK_RE.test(ch) ? 1.1 : 0.5
+    return tokens
+  }
+
+  if (/^\p{N}+$/u.test(word)) return Math.ceil(word.length / 3)
+
+  if (/^\p{L}+$/u.test(word)) {
+    // Non-Latin scripts split into far smaller merges than English
+    if (NON_ASCII_RE.test(word)) return Math.ceil(word.length / 2)
+    return word.length <= 7 ? 1 : Math.ceil(word.length / 5)
+  }
+
+  // Punctuation and operators: common pairs merge, long runs do not
+  return Math.ceil(word.length / 2)
+}
+
+/**
+ * Offline BPE-style estimator. Splits text the way BPE pre-tokenizers do
+ * and prices each piece, then applies a per-language calibration factor.
+ */
+export function createBpeTokenizer(calibration = CALIBRATION) {
+  return {
+    name: 'bpe',
+    label: 'bpe (offline estimate)',
+    count(text, file = {}) {
+      let tokens = 0
+      for (const match of text.matchAll(PRETOKEN_RE)) {
+        tokens += pieceTokens(match[0])
+      }
+      const factor = calibration[file.ext] ?? 1
+      return Math.ceil(tokens * factor)
+    },
+    estimateSize(bytes, file = {}) {
+      return Math.ceil((bytes / CHARS_PER_TOKEN) * (calibration[file.ext] ?? 1))
+    },
+  }
+}
+
+/**
+ * Load a user-supplied tokenizer module.
+ * The module exports countTokens(text, file) as a named or default export,
+ * and may export `name` to label reports.
+ */
+async function loadCustomTokenizer(modulePath) {
+  if (!modulePath) {
+    throw new Error('--tokenizer custom requires --tokenizer-module <path>')
+  }
+
+  const resolved = path.resolve(modulePath)
+  const mod = await import(pathToFileURL(resolved).href)
+  const countTokens = mod.countTokens || mod.default
+
+  if (typeof countTokens !== 'function') {
+    throw new Error(`${modulePath} must export a countTokens(text, file) function`)
+  }
+
+  const label = mod.name || path.basename(resolved)
+  return {
+    name: 'custom',
+    label: `custom (${label})`,
+    // Errors name the module and file, and a bad count is an error, not a NaN in every total
+    count(text, file = {}) {
+      const where = `${modulePath}: countTokens failed${file.relPath ? ` on ${file.relPath}` : ''}`
+      let tokens
+      try {
+        tokens = countTokens(text, file)
+      } catch (err) {
+        throw new Error(`${where}: ${err?.message ?? err}`)
+      }
+      if (typeof tokens !== 'number' || !Number.isFinite(tokens) || tokens < 0) {
+        throw new Error(`${where}: expected a non-negative number, got ${typeof tokens === 'number' ? tokens : typeof tokens}`)
+      }
+      return Math.ceil(tokens)
+    },
+    estimateSize(bytes) {
+      return Math.ceil(bytes / CHARS_PER_TOKEN)
+    },
+  }
+}
+
+/**
+ * Resolve a tokenizer by name. Returns a promise because custom
+ * tokenizers are loaded as ES modules.
+ */
+export async function loadTokenizer(name = 'heuristic', options = {}) {
+  switch (name) {
+    case 'heuristic': return createHeuristicTokenizer(options.charsPerToken)
+    case 'bpe': return createBpeTokenizer()
+    case 'custom': return loadCustomTokenizer(options.module)
+    default:
+      throw new Error(`Unknown tokenizer "${name}" (expected ${TOKENIZERS.join(', ')})`)
+  }
+}
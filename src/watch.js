@@ -0,0 +1,154 @@
+/**
+ * watch.js — re-scan on filesystem changes
+ * Keeps the last scan in memory and re-runs it through an in-memory cache,
+ * so only files whose size or mtime changed are read again.
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { createMemoryCache, CACHE_DIR } from './cache.js'
+import { diffScans } from './diff.js'
+
+// Quiet period after the last event before re-scanning
+export const WATCH_DEBOUNCE_MS = 300
+
+// Top-level directories whose churn never changes the report
+const SKIP_DIRS = new Set(['.git', CACHE_DIR])
+
+function isSkipped(relPath) {
+  return SKIP_DIRS.has(relPath.split(/[\\/]/)[0])
+}
+
+/**
+ * Watch rootDir and call onChange(relPaths) once events settle.
+ * Uses a recursive fs.watch where the platform supports it; elsewhere
+ * (Linux on Node 18) it watches each directory passed to track().
+ * Returns { track(dirs), close() }.
+ */
+export function watchTree(rootDir, { onChange, debounceMs = WATCH_DEBOUNCE_MS }) {
+  const watchers = new Map()
+  let pending = new Set()
+  let timer = null
+
+  function flush() {
+    timer = null
+    const relPaths = [...pending]
+    pending = new Set()
+    onChange(relPaths)
+  }
+
+  function record(relPath) {
+    if (!relPath || isSkipped(relPath)) return
+    pending.add(relPath)
+    clearTimeout(timer)
+    timer = setTimeout(flush, debounceMs)
+  }
+
+  function watchDir(dir) {
+    if (watchers.has(dir)) return
+    try {
+      const watcher = fs.watch(dir, (event, name) => {
+        if (!name) return
+        const fullPath = path.join(dir, name.toString())
+        const relPath = path.relative(rootDir, fullPath)
+        record(relPath)
+        // New directories are watched right away so their files aren't missed
+        if (event === 'rename' && !isSkipped(relPath)) {
+          try {
+            if (fs.statSync(fullPath).isDirectory()) watchDir(fullPath)
+          } catch { /* removed again */ }
+        }
+      })
+      watcher.on('error', () => {
+        watcher.close()
+        watchers.delete(dir)
+      })
+      watchers.set(dir, watcher)
+    } catch { /* vanished before we got to it */ }
+  }
+
+  let recursive = null
+  try {
+    recursive = fs.watch(rootDir, { recursive: true }, (event, name) => {
+      if (name) record(name.toString())
+    })
+  } catch (err) {
+    if (err.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw err
+    watchDir(rootDir)
+  }
+
+  return {
+    track(dirs) {
+      if (recursive) return
+      for (const dir of dirs) watchDir(dir)
+    },
+
+    close() {
+      clearTimeout(timer)
+      if (recursive) recursive.close()
+      for (const watcher of watchers.values()) watcher.close()
+      watchers.clear()
+    },
+  }
+}
+
+/**
+ * Directories holding at least one scanned file, plus their ancestors.
+ */
+function scannedDirs(result) {
+  const dirs = new Set([result.rootDir])
+  for (const f of result.files) {
+    let dir = path.dirname(f.path)
+    while (!dirs.has(dir) && dir.startsWith(result.rootDir)) {
+      dirs.add(dir)
+      dir = path.dirname(dir)
+    }
+  }
+  return dirs
+}
+
+/**
+ * Scan rootDir now and again after every change.
+ * `run(cache)` performs one scan + analysis and resolves to
+ * { result, analysis }. onUpdate receives { result, analysis, previous,
+ * diff, changedPaths }, with previous and diff null on the first run.
+ * Changes arriving mid-scan queue exactly one more run.
+ * Resolves to { close() }.
+ */
+export async function watchProject(rootDir, { run, onUpdate, onError = () => {}, debounceMs }) {
+  const cache = createMemoryCache()
+  let current = await run(cache)
+  let running = false
+  let queued = []
+
+  async function rescan(changedPaths) {
+    if (running) {
+      queued = queued.concat(changedPaths)
+      return
+    }
+    running = true
+    try {
+      const next = await run(cache)
+      const previous = current
+      current = next
+      tree.track(scannedDirs(next.result))
+      onUpdate({ ...next, previous, diff: diffScans(previous.result, next.result), changedPaths })
+    } catch (err) {
+      onError(err)
+    } finally {
+      running = false
+    }
+
+    if (queued.length > 0) {
+      const again = queued
+      queued = []
+      await rescan(again)
+    }
+  }
+
+  const tree = watchTree(rootDir, { onChange: rescan, debounceMs })
+  tree.track(scannedDirs(current.result))
+  onUpdate({ ...current, previous: null, diff: null, changedPaths: [] })
+
+  return { close: () => tree.close() }
+}
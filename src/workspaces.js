@@ -0,0 +1,209 @@
+/**
+ * workspaces.js — monorepo and workspace detection
+ * Finds the packages of npm/yarn/pnpm workspaces, Turborepo and Nx
+ * layouts, Cargo workspaces and Go multi-module repos. Workspace globs are
+ * resolved against the scanned files, so ignored directories never count.
+ */
+
+import path from 'path'
+import { compilePattern } from './ignore.js'
+import { readText, readJson, tomlSection, tomlArray, tomlString } from './manifest.js'
+import { toPosix } from './files.js'
+
+// Directories the go tool skips: vendored code, test data, and names starting with `.` or `_`
+const GO_IGNORED_DIR_RE = /(^|\/)(vendor|testdata|[._][^/]*)(\/|$)/
+
+/**
+ * Match directories against workspace globs (`packages/*`, `apps/**`,
+ * `!legacy`), anchored at the root as package managers do.
+ */
+function matchDirs(dirs, globs) {
+  const rules = globs
+    .map(g => g.trim().replace(/^(!?)\.\//, '$1').replace(/\/+$/, ''))
+    .filter(g => g && g !== '!')
+    .map(g => {
+      const negate = g.startsWith('!')
+      const body = negate ? g.slice(1) : g
+      return { negate, rule: compilePattern('/' + body.replace(/^\//, '')) }
+    })
+    .filter(r => r.rule)
+
+  return dirs.filter(dir => {
+    let included = false
+    for (const { negate, rule } of rules) {
+      if (rule.regex.test(dir)) included = !negate
+    }
+    return included
+  })
+}
+
+/**
+ * Directories (posix, relative) holding a file with this name, skipping
+ * installed dependencies.
+ */
+function dirsWith(files, name) {
+  return files
+    .filter(f => f.name === name)
+    .map(f => toPosix(path.dirname(f.relPath)))
+    .filter(dir => dir !== '.' && !dir.split('/').includes('node_modules'))
+}
+
+/**
+ * Read the `packages:` list of pnpm-workspace.yaml without a YAML parser.
+ */
+export function parsePnpmWorkspace(content) {
+  const globs = []
+  let inPackages = false
+  for (const line of content.split(/\r?\n/)) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true
+      continue
+    }
+    if (!inPackages) continue
+    const item = line.match(/^\s*-\s*(['"]?)([^'"#]+?)\1\s*(?:#.*)?$/)
+    if (item) globs.push(item[2])
+    else if (/^\S/.test(line)) inPackages = false
+  }
+  return globs
+}
+
+/**
+ * Read the `use` directives of a go.work file.
+ */
+export function parseGoWork(content) {
+  const dirs = []
+  const stripped = content.replace(/\/\/.*$/gm, '')
+  for (const block of stripped.matchAll(/^use\s*\(([\s\S]*?)\)/gm)) {
+    dirs.push(...block[1].split(/\s+/).filter(Boolean))
+  }
+  for (const single of stripped.matchAll(/^use\s+([^\s(]+)/gm)) dirs.push(single[1])
+  return dirs.map(d => d.replace(/^\.\/?/, '').replace(/\/+$/, '')).filter(Boolean)
+}
+
+/**
+ * Detect workspace tooling and packages for a scan result.
+ * Returns { tools, packages } where tools names what was found (npm, yarn,
+ * pnpm, turbo, nx, cargo, go) and each package is { name, dir, kind }
+ * with dir relative to the root in posix form. Packages are sorted by dir.
+ */
+export function detectWorkspaces(scanResult) {
+  const { rootDir, files } = scanResult
+  const names = new Set(files.filter(f => !f.relPath.includes('/') && !f.relPath.includes('\\')).map(f => f.name))
+  const tools = []
+  const packages = new Map()
+
+  function add(dir, kind, name) {
+    if (!packages.has(dir)) packages.set(dir, { name: name || path.posix.basename(dir), dir, kind })
+  }
+
+  // npm / yarn / pnpm workspaces
+  const rootPkg = names.has('package.json') ? readJson(path.join(rootDir, 'package.json')) : null
+  let jsGlobs = []
+  if (names.has('pnpm-workspace.yaml')) {
+    tools.push('pnpm')
+    jsGlobs = parsePnpmWorkspace(readText(path.join(rootDir, 'pnpm-workspace.yaml')) || '')
+  } else if (rootPkg?.workspaces) {
+    tools.push(names.has('yarn.lock') ? 'yarn' : 'npm')
+    jsGlobs = Array.isArray(rootPkg.workspaces) ? rootPkg.workspaces : rootPkg.workspaces.packages || []
+  }
+  if (names.has('turbo.json')) tools.push('turbo')
+  for (const dir of matchDirs(dirsWith(files, 'package.json'), jsGlobs)) {
+    add(dir, 'npm', readJson(path.join(rootDir, dir, 'package.json'))?.name)
+  }
+
+  // Nx: every project.json is a project, workspaces or not
+  if (names.has('nx.json')) {
+    tools.push('nx')
+    for (const dir of dirsWith(files, 'project.json')) {
+      add(dir, 'nx', readJson(path.join(rootDir, dir, 'project.json'))?.name)
+    }
+  }
+
+  // Cargo workspace
+  if (names.has('Cargo.toml')) {
+    const cargo = readText(path.join(rootDir, 'Cargo.toml')) || ''
+    const members = tomlArray(cargo, 'workspace', 'members')
+    if (tomlSection(cargo, 'workspace') !== null) {
+      tools.push('cargo')
+      const excluded = tomlArray(cargo, 'workspace', 'exclude').map(g => '!' + g)
+      for (const dir of matchDirs(dirsWith(files, 'Cargo.toml'), [...members, ...excluded])) {
+        add(dir, 'cargo', tomlString(readText(path.join(rootDir, dir, 'Cargo.toml')) || '', 'package', 'name'))
+      }
+    }
+  }
+
+  // Go: go.work, or at least two nested modules — a single vendored tool
+  // or test module doesn't make a multi-module repo
+  const goDirs = names.has('go.work')
+    ? parseGoWork(readText(path.join(rootDir, 'go.work')) || '')
+    : dirsWith(files, 'go.mod').filter(dir => !GO_IGNORED_DIR_RE.test(dir))
+  if (names.has('go.work') || goDirs.length >= 2) {
+    tools.push('go')
+    for (const dir of goDirs) {
+      const mod = readText(path.join(rootDir, dir, 'go.mod'))
+      if (mod === null) continue
+      add(dir, 'go', mod.match(/^module\s+(\S+)/m)?.[1])
+    }
+  }
+
+  return {
+    tools: packages.size > 0 ? tools : [],
+    packages: [...packages.values()].sort((a, b) => a.dir.localeCompare(b.dir)),
+  }
+}
+
+/**
+ * The package a file belongs to: the deepest package directory containing
+ * it, or null for files outside every package.
+ */
+export function packageOf(relPath, packages) {
+  const normalized = toPosix(relPath)
+  let best = null
+  for (const pkg of packages) {
+    if (normalized.startsWith(pkg.dir + '/') && (!best || pkg.dir.length > best.dir.length)) best = pkg
+  }
+  return best
+}
+
+/**
+ * Narrow a scan result to one package directory, re-rooting paths so it
+ * can be passed to generateClaudeMd() and friends.
+ */
+export function scopeScan(scanResult, dir) {
+  const prefix = dir + '/'
+  const files = scanResult.files
+    .filter(f => toPosix(f.relPath).startsWith(prefix))
+    .map(f => ({ ...f, relPath: toPosix(f.relPath).slice(prefix.length) }))
+
+  return {
+    ...scanResult,
+    files,
+    rootDir: path.join(scanResult.rootDir, dir),
+    // Lockfiles and tool config often live only at the workspace root
+    workspaceRoot: scanResult.workspaceRoot ?? scanResult.rootDir,
+    totalTokens: files.reduce((sum, f) => sum + f.tokens, 0),
+    totalBytes: files.reduce((sum, f) => sum + f.size, 0),
+    binaryCount: files.filter(f => f.isBinary).length,
+    misclassified: [],
+  }
+}
+
+/**
+ * Narrow an analysis to one package directory to go with scopeScan():
+ * bloat, advisory and large files are filtered and re-rooted, and the workspace
+ * breakdown is dropped since a package describes only itself.
+ */
+export function scopeAnalysis(analysis, dir) {
+  const prefix = dir + '/'
+  const scope = list => list
+    .filter(f => toPosix(f.relPath).startsWith(prefix))
+    .map(f => ({ ...f, relPath: toPosix(f.relPath).slice(prefix.length) }))
+
+  return {
+    ...analysis,
+    bloatFiles: scope(analysis.bloatFiles),
+    advisoryFiles: scope(analysis.advisoryFiles || []),
+    largeFiles: scope(analysis.largeFiles),
+    workspaces: null,
+  }
+}
@@ -0,0 +1,41 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { analyze } from '../src/analyzer.js'
+import { generateClaudeIgnore } from '../src/generator.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+const source = 'export function run() {}\n'
+
+test('generic directory names deep in the source tree are only advisory', t => {
+  const result = scan(makeTree(t, {
+    'package.json': '{}',
+    'build/app.js': 'x',
+    'packages/web/package.json': '{}',
+    'packages/web/dist/index.js': 'x',
+    'src/commands/build/index.js': source,
+    'src/lib/dist/format.js': source,
+    'src/vendor/adapter.js': source,
+    'src/jobs/tmp/cleanup.js': source,
+    'src/parser/fixtures/load.js': source,
+  }))
+  const analysis = analyze(result)
+
+  assert.deepEqual(analysis.bloatFiles.map(f => f.relPath).sort(), ['build/app.js', 'packages/web/dist/index.js'])
+  assert.deepEqual(analysis.advisoryFiles.map(f => f.relPath).sort(), [
+    'src/commands/build/index.js', 'src/jobs/tmp/cleanup.js', 'src/lib/dist/format.js', 'src/parser/fixtures/load.js', 'src/vendor/adapter.js',
+  ])
+  assert.equal(analysis.bloatTokens, analysis.bloatFiles.reduce((sum, f) => sum + f.tokens, 0))
+
+  const nested = analysis.suggestions.find(s => s.pattern === 'src/commands/build/')
+  assert.equal(nested.priority, 'low')
+  assert.equal(nested.confidence, 'low')
+  assert.equal(analysis.suggestions.find(s => s.pattern === 'build/').priority, 'critical')
+
+  // Written commented out; firm matches stay active
+  const lines = generateClaudeIgnore(analysis, result).split('\n')
+  assert.ok(lines.includes('# src/commands/build/'))
+  assert.ok(!lines.includes('src/commands/build/'))
+  assert.ok(lines.includes('build/'))
+  assert.ok(lines.includes('packages/web/dist/'))
+})
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { scan } from '../src/scanner.js'
+import { findEntryPoints, renderDirectoryMap, renderArchitecture } from '../src/architecture.js'
+import { createHeuristicTokenizer } from '../src/tokenizer.js'
+import { makeTree } from './helpers.js'
+
+const files = []
+for (const dir of ['src/api/routes', 'src/components/ui', 'src/lib', 'docs/guides', 'test']) {
+  for (let i = 0; i < 3; i++) files.push({ relPath: `${dir}/f${i}.js`, tokens: 100 })
+}
+
+test('the directory map stays within its budget as the given tokenizer counts it', () => {
+  const loose = renderDirectoryMap(files, { budget: 200 })
+  const strict = renderDirectoryMap(files, { budget: 200, tokenizer: createHeuristicTokenizer(1) })
+
+  assert.ok(createHeuristicTokenizer().count(loose) <= 200)
+  assert.ok(strict.length <= 200)
+  assert.ok(strict.length < loose.length, 'a denser tokenizer leaves room for fewer directories')
+})
+
+test('the directory map notes what each directory is for', () => {
+  const map = renderDirectoryMap(files)
+  assert.match(map, /^- `src\/` — 9 files, ~900 tokens · source$/m)
+  assert.match(map, /^ {4}- `routes\/` — 3 files, ~300 tokens · routes$/m)
+  assert.match(map, /^- `test\/` — 3 files, ~300 tokens · tests$/m)
+})
+
+test('entry points resolve build output back to source', t => {
+  const dir = makeTree(t, {
+    'package.json': JSON.stringify({
+      name: 'acme',
+      main: './dist/index.js',
+      bin: { acme: 'bin/cli.js' },
+      exports: { '.': { types: './dist/index.d.ts', import: './dist/index.js' }, './utils': './dist/utils.js', './*': './dist/*.js' },
+    }),
+    'src/index.ts': 'x',
+    'src/utils/index.ts': 'x',
+    'bin/cli.js': 'x',
+  })
+  assert.deepEqual(findEntryPoints(scan(dir)), [
+    { relPath: 'src/index.ts', note: 'package main' },
+    { relPath: 'bin/cli.js', note: 'CLI (`acme`)' },
+    { relPath: 'src/utils/index.ts', note: 'export `./utils`' },
+  ])
+})
+
+test('a wildcard export expands to its files and is listed once by pattern', t => {
+  const dir = makeTree(t, {
+    'package.json': JSON.stringify({ exports: { '.': './src/index.js', './utils/*': './src/utils/*.js', './types/*': './src/types/*.d.ts' } }),
+    'src/index.js': 'x',
+    'src/utils/a.js': 'x',
+    'src/utils/b.js': 'x',
+    'src/types/a.d.ts': 'x',
+  })
+  const result = scan(dir)
+  assert.deepEqual(findEntryPoints(result).map(e => e.relPath), ['src/index.js', 'src/utils/a.js', 'src/utils/b.js'])
+
+  const text = renderArchitecture(result, { bloatFiles: [] })
+  assert.ok(text.includes('- `src/utils/*.js` — export `./utils/*`'), text)
+  assert.equal(text.includes('`src/utils/a.js` —'), false)
+})
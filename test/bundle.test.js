@@ -0,0 +1,24 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildPack, renderPack } from '../src/bundle.js'
+import { analyze } from '../src/analyzer.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+test('xml packs keep file contents as CDATA text', t => {
+  const tricky = 'const html = "</file><file path=\\"x\\">"\nconst end = "]]>" // & < >\n'
+  const result = scan(makeTree(t, { 'a&b.js': tricky, 'plain.md': '# Notes\n' }))
+  const xml = renderPack(buildPack(result, analyze(result)), 'xml')
+
+  // Outside CDATA there is exactly one element per file, and nothing unescaped
+  const outside = xml.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '')
+  assert.equal(outside.match(/<file /g).length, 2)
+  assert.equal(outside.match(/<\/file>/g).length, 2)
+  assert.ok(outside.includes('a&amp;b.js'))
+  assert.equal(/&(?!amp;|quot;|lt;)/.test(outside), false)
+
+  // Joining the CDATA sections of a file gives back its text
+  const body = xml.match(/<file path="a&amp;b\.js"[^>]*>\n([\s\S]*?)\n<\/file>/)[1]
+  const text = [...body.matchAll(/<!\[CDATA\[([\s\S]*?)\]\]>/g)].map(m => m[1]).join('')
+  assert.equal(text, tricky.replace(/\n$/, ''))
+})
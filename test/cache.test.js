@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { openCache, cacheFingerprint } from '../src/cache.js'
+import { loadConfig } from '../src/config.js'
+import { loadRules } from '../src/rules.js'
+import { scan } from '../src/scanner.js'
+import { makeTree, writeTree } from './helpers.js'
+
+/**
+ * Fingerprint a project the way the CLI does, with `overrides` as CLI flags.
+ */
+async function fingerprint(dir, overrides = {}) {
+  const config = await loadConfig(dir, { overrides })
+  const { rules } = await loadRules(config, dir)
+  return cacheFingerprint({ tokenizer: config.tokenizer, config, rules })
+}
+
+test('budgets and where a setting comes from do not change the fingerprint', async t => {
+  const dir = makeTree(t, { 'src/index.js': 'x' })
+  const base = await fingerprint(dir)
+
+  assert.equal(await fingerprint(dir, { budgets: { maxTotalTokens: 1000 } }), base)
+  assert.equal(await fingerprint(dir, { largeFileThreshold: 10 }), base)
+
+  writeTree(dir, { '.contextpackrc.json': JSON.stringify({ budgets: { minGrade: 'B' }, respectGitignore: true }) })
+  assert.equal(await fingerprint(dir), base)
+})
+
+test('the tokenizer, scan options and rules change the fingerprint', async t => {
+  const dir = makeTree(t, { 'src/index.js': 'x' })
+  const base = await fingerprint(dir)
+
+  assert.notEqual(await fingerprint(dir, { tokenizer: 'bpe' }), base)
+  assert.notEqual(await fingerprint(dir, { maxFileBytes: 1024 }), base)
+  assert.notEqual(await fingerprint(dir, { respectGitignore: false }), base)
+  assert.notEqual(await fingerprint(dir, { defaultIgnore: ['coverage'] }), base)
+  assert.notEqual(await fingerprint(dir, { rules: [{ id: 'snapshots', pattern: /__snapshots__\//, category: 'test' }] }), base)
+  assert.notEqual(await fingerprint(dir, { disableRules: ['fixtures'] }), base)
+})
+
+test('entries are reused only under the same fingerprint', t => {
+  const dir = makeTree(t, { 'a.txt': 'hello world', 'b.txt': 'more text' })
+
+  const first = openCache(dir, 'one')
+  scan(dir, { cache: first })
+  assert.equal(first.stats.hits, 0)
+
+  const again = openCache(dir, 'one')
+  scan(dir, { cache: again })
+  assert.deepEqual(again.stats, { hits: 2, misses: 0 })
+
+  const other = openCache(dir, 'two')
+  scan(dir, { cache: other })
+  assert.equal(other.stats.hits, 0)
+})
@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { checkBudgets, findBudgetError } from '../src/check.js'
+import { loadConfig } from '../src/config.js'
+import { makeTree } from './helpers.js'
+
+const scanResult = {
+  totalTokens: 1000,
+  files: [
+    { relPath: 'src/app.js', tokens: 600 },
+    { relPath: 'src/lib/util.js', tokens: 300 },
+    { relPath: 'README.md', tokens: 100 },
+  ],
+}
+const analysis = { reductionPercent: 20, grade: 'B', bloatFiles: [] }
+
+test('every budget within its limit passes', () => {
+  const outcome = checkBudgets(scanResult, analysis, {
+    maxTotalTokens: 1000,
+    maxBloatPercent: 20,
+    minGrade: 'B',
+    maxFileTokens: 600,
+    directories: { src: 900 },
+  })
+  assert.deepEqual(outcome, { passed: true, checked: 5, violations: [] })
+})
+
+test('each exceeded budget is reported', () => {
+  const outcome = checkBudgets(scanResult, analysis, {
+    maxTotalTokens: 999,
+    maxBloatPercent: 10,
+    minGrade: 'A',
+    maxFileTokens: 500,
+    directories: { 'src/': 800, './src/lib': 300 },
+  })
+  assert.equal(outcome.passed, false)
+  assert.deepEqual(outcome.violations.map(v => [v.rule, v.path ?? null, v.actual]), [
+    ['maxTotalTokens', null, 1000],
+    ['maxBloatPercent', null, 20],
+    ['minGrade', null, 'B'],
+    ['directories', 'src/', 900],
+    ['maxFileTokens', 'src/app.js', 600],
+  ])
+})
+
+test('a zero budget is a real limit', () => {
+  const outcome = checkBudgets(scanResult, analysis, { maxBloatPercent: 0 })
+  assert.equal(outcome.passed, false)
+})
+
+test('sensitive files fail without any budgets', () => {
+  const withSecret = { ...analysis, bloatFiles: [{ relPath: '.env', tokens: 5, bloatCategory: 'security', bloatReason: 'environment file' }] }
+  const outcome = checkBudgets(scanResult, withSecret, {})
+  assert.equal(outcome.passed, false)
+  assert.equal(outcome.checked, 0)
+  assert.deepEqual(outcome.violations.map(v => v.rule), ['sensitiveFiles'])
+})
+
+test('malformed budgets are rejected instead of passing', () => {
+  for (const budgets of [
+    { maxTotalTokens: 'abc' },
+    { maxTotalTokens: NaN },
+    { maxBloatPercent: -1 },
+    { maxFileTokens: Infinity },
+    { minGrade: 'Z' },
+    { directories: { src: 'x' } },
+    { directories: ['src'] },
+  ]) {
+    assert.ok(findBudgetError(budgets), JSON.stringify(budgets))
+    assert.throws(() => checkBudgets(scanResult, analysis, budgets), /Invalid budgets/)
+  }
+  assert.equal(findBudgetError({ maxTotalTokens: null, minGrade: 'A+', directories: {} }), null)
+})
+
+test('loadConfig rejects malformed budgets from the config file and overrides', async t => {
+  const dir = makeTree(t, {
+    '.contextpackrc.json': JSON.stringify({ budgets: { maxTotalTokens: 'abc', directories: { sub: 'x' } } }),
+  })
+  await assert.rejects(loadConfig(dir), /"budgets.maxTotalTokens" must be a non-negative number/)
+
+  const clean = makeTree(t)
+  await assert.rejects(loadConfig(clean, { overrides: { budgets: { minGrade: 'Z' } } }), /"budgets.minGrade"/)
+  const config = await loadConfig(clean, { overrides: { budgets: { maxTotalTokens: 10 } } })
+  assert.deepEqual(config.budgets, { maxTotalTokens: 10 })
+})
@@ -0,0 +1,118 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { diffScans } from '../src/diff.js'
+import { loadSnapshot, withGitRef } from '../src/compare.js'
+import { watchProject } from '../src/watch.js'
+import { renderReport, SCHEMA_VERSION } from '../src/export.js'
+import { analyze } from '../src/analyzer.js'
+import { scan } from '../src/scanner.js'
+import { makeTree, writeTree, scannedPaths } from './helpers.js'
+
+/**
+ * A scan-shaped object from { relPath: tokens }.
+ */
+function snapshot(files) {
+  const list = Object.entries(files).map(([relPath, tokens]) => ({ relPath, tokens, size: tokens * 4 }))
+  return { files: list, totalTokens: list.reduce((s, f) => s + f.tokens, 0), totalBytes: list.reduce((s, f) => s + f.size, 0) }
+}
+
+test('diffScans pairs files by path and totals directories', () => {
+  const before = snapshot({ 'src/a.js': 100, 'src/b.js': 50, 'docs/old.md': 30, 'README.md': 10 })
+  const after = snapshot({ 'src/a.js': 160, 'src/b.js': 50, 'src/lib/c.js': 20, 'README.md': 10 })
+  const diff = diffScans(before, after)
+
+  assert.equal(diff.tokenDelta, 50)
+  assert.equal(diff.fileDelta, 0)
+  assert.deepEqual(diff.changes.map(c => [c.relPath, c.status, c.delta]), [
+    ['src/a.js', 'changed', 60],
+    ['docs/old.md', 'removed', -30],
+    ['src/lib/c.js', 'added', 20],
+  ])
+  assert.deepEqual(diff.directories.map(d => [d.dir, d.delta]), [['src', 80], ['docs', -30], ['.', 0]])
+  assert.deepEqual(diffScans(before, after, { depth: 2 }).directories.map(d => d.dir).sort(), ['.', 'docs', 'src', 'src/lib'])
+})
+
+test('a saved JSON report loads back as a scan', t => {
+  const dir = makeTree(t, { 'src/index.js': 'export const a = 1\n', 'notes.md': '# notes\n' })
+  const result = scan(dir)
+  const file = path.join(makeTree(t), 'report.json')
+  fs.writeFileSync(file, renderReport('json', 'scan', result, analyze(result)))
+
+  const loaded = loadSnapshot(file)
+  assert.equal(loaded.totalTokens, result.totalTokens)
+  assert.deepEqual(scannedPaths(loaded), scannedPaths(result))
+  assert.equal(loaded.files.find(f => f.relPath === 'src/index.js').name, 'index.js')
+  assert.deepEqual(diffScans(loaded, result).changes, [])
+})
+
+test('loadSnapshot rejects files that are not readable reports', t => {
+  const dir = makeTree(t, {
+    'broken.json': '{',
+    'other.json': JSON.stringify({ schema: 'something-else' }),
+    'newer.json': JSON.stringify({ schema: 'claude-context-pack/report', schemaVersion: SCHEMA_VERSION + 1, scan: {} }),
+  })
+  assert.throws(() => loadSnapshot(path.join(dir, 'missing.json')), /Cannot read snapshot/)
+  assert.throws(() => loadSnapshot(path.join(dir, 'broken.json')), /Cannot read snapshot/)
+  assert.throws(() => loadSnapshot(path.join(dir, 'other.json')), /is not a claude-context-pack JSON report/)
+  assert.throws(() => loadSnapshot(path.join(dir, 'newer.json')), new RegExp(`uses report schema v${SCHEMA_VERSION + 1}`))
+})
+
+const hasGit = spawnSync('git', ['--version']).status === 0
+
+test('withGitRef exposes a ref of a subdirectory and removes it afterwards', { skip: !hasGit && 'git is not installed' }, async t => {
+  const repo = makeTree(t, { 'app/src/index.js': 'export const a = 1\n', 'other.txt': 'x\n' })
+  const env = { ...process.env, GIT_CONFIG_GLOBAL: os.devNull, GIT_CONFIG_NOSYSTEM: '1' }
+  const git = (...args) => spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@example.com', ...args], { cwd: repo, env, encoding: 'utf8' })
+  git('init', '-q')
+  git('add', '-A')
+  git('commit', '-qm', 'first')
+  writeTree(repo, { 'app/src/later.js': 'export const b = 2\n' })
+
+  let exported
+  const paths = await withGitRef(path.join(repo, 'app'), 'HEAD', dir => {
+    exported = dir
+    return scannedPaths(scan(dir))
+  })
+  assert.deepEqual(paths, ['src/index.js'])
+  assert.equal(fs.existsSync(exported), false)
+
+  await assert.rejects(withGitRef(repo, 'no-such-ref', () => {}), /Cannot read git ref "no-such-ref"/)
+  await assert.rejects(withGitRef(makeTree(t), 'HEAD', () => {}), /is not inside a git repository/)
+})
+
+test('watchProject re-scans after a change and reports the diff', async t => {
+  const dir = makeTree(t, { 'src/index.js': 'export const a = 1\n' })
+  const updates = []
+  let changed
+  const next = new Promise(resolve => { changed = resolve })
+
+  const watcher = await watchProject(dir, {
+    debounceMs: 20,
+    run: async cache => {
+      const result = scan(dir, { cache })
+      return { result, analysis: analyze(result) }
+    },
+    onUpdate: update => {
+      updates.push(update)
+      if (update.diff) changed()
+    },
+  })
+  t.after(() => watcher.close())
+
+  assert.equal(updates.length, 1)
+  assert.equal(updates[0].diff, null)
+
+  writeTree(dir, { 'src/added.js': 'export const b = 2\n' })
+  let timer
+  await Promise.race([next, new Promise((resolve, reject) => { timer = setTimeout(() => reject(new Error('no update within 5s')), 5000) })])
+  clearTimeout(timer)
+
+  const update = updates.at(-1)
+  assert.equal(update.previous.result, updates[0].result)
+  assert.ok(update.changedPaths.some(p => p.includes('added.js')), update.changedPaths.join(', '))
+  assert.deepEqual(update.diff.changes.map(c => [c.relPath, c.status]), [['src/added.js', 'added']])
+})
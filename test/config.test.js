@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import { loadConfig, DEFAULT_CONFIG } from '../src/config.js'
+import { scan } from '../src/scanner.js'
+import { makeTree, scannedPaths } from './helpers.js'
+
+test('config files, package.json and overrides layer over the defaults', async t => {
+  const dir = makeTree(t, {
+    '.contextpackrc.json': JSON.stringify({ tokenizer: 'bpe', largeFileLimit: 5, budgets: { maxTotalTokens: 100 } }),
+    'package.json': JSON.stringify({ contextPack: { tokenizer: 'custom' } }),
+  })
+  const config = await loadConfig(dir, { overrides: { largeFileLimit: 7, budgets: { minGrade: 'B' }, charsPerToken: undefined } })
+
+  assert.equal(config.tokenizer, 'bpe')
+  assert.equal(config.largeFileLimit, 7)
+  assert.equal(config.charsPerToken, DEFAULT_CONFIG.charsPerToken)
+  assert.deepEqual(config.budgets, { maxTotalTokens: 100, minGrade: 'B' })
+  assert.equal(config.source, path.join(dir, '.contextpackrc.json'))
+
+  const fromPackage = makeTree(t, { 'package.json': JSON.stringify({ contextPack: { history: false } }) })
+  assert.equal((await loadConfig(fromPackage)).history, false)
+})
+
+test('invalid config values are rejected with the file named', async t => {
+  const cases = [
+    [{ largeFileThreshold: 0 }, /"largeFileThreshold" must be a positive number/],
+    [{ defaultIgnore: 'coverage' }, /"defaultIgnore" must be an array of patterns/],
+    [{ defaultIgnore: ['coverage', 3] }, /"defaultIgnore" must be an array of patterns/],
+    [{ rules: {} }, /"rules" must be an array/],
+    [{ budgets: { maxBloatPercent: 'ten' } }, /"budgets.maxBloatPercent" must be a non-negative number/],
+  ]
+  for (const [config, message] of cases) {
+    const dir = makeTree(t, { '.contextpackrc.json': JSON.stringify(config) })
+    await assert.rejects(loadConfig(dir), err => message.test(err.message) && err.message.includes('.contextpackrc.json'))
+  }
+
+  const broken = makeTree(t, { '.contextpackrc.json': '{ nope' })
+  await assert.rejects(loadConfig(broken), /Invalid \.contextpackrc\.json/)
+  await assert.rejects(loadConfig(broken, { configPath: path.join(broken, 'missing.json') }), /Config file not found/)
+})
+
+test('a configured defaultIgnore still skips .git and the cache', async t => {
+  const dir = makeTree(t, {
+    '.contextpackrc.json': JSON.stringify({ defaultIgnore: ['coverage'] }),
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.contextpack-cache/scan.json': '{}',
+    'coverage/lcov.info': 'x',
+    '.DS_Store': 'x',
+    'src/index.js': 'x',
+  })
+  const config = await loadConfig(dir)
+  const result = scan(dir, { defaultIgnore: config.defaultIgnore })
+  assert.deepEqual(scannedPaths(result), ['.DS_Store', '.contextpackrc.json', 'src/index.js'])
+})
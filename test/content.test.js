@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { inspectContent, classifyContent } from '../src/content.js'
+
+const marked = text => inspectContent(text).generatedMarker
+
+test('generator headers are recognized', () => {
+  assert.equal(marked('// Code generated by protoc-gen-go. DO NOT EDIT.\npackage pb\n'), true)
+  assert.equal(marked('/**\n * @generated SignedSource<<abc>>\n */\n'), true)
+  assert.equal(marked('# This file is auto-generated by sqlc.\n'), true)
+  assert.equal(marked('<!-- Autogenerated file, changes will be lost -->\n'), true)
+  assert.equal(marked('-- AUTO-GENERATED FILE\n'), true)
+  assert.equal(classifyContent(inspectContent('// @generated\nexport {}\n')).id, 'generated-header')
+})
+
+test('prose about generation is not a header', () => {
+  assert.equal(marked('// Each session id is generated by the server, never here.\n'), false)
+  assert.equal(marked('# The report was automatically generated last year.\n'), false)
+  assert.equal(marked('/* Tokens are autogenerated per request */\n'), false)
+  assert.equal(marked('// please do not edit the fixtures by hand\n'), false)
+  assert.equal(classifyContent(inspectContent('// Each session id is generated by the server, never here.\nexport {}\n')), null)
+})
+
+test('markers outside comments do not count', () => {
+  assert.equal(marked('const banner = "DO NOT EDIT"\n'), false)
+  assert.equal(marked('throw new Error("@generated files are read-only")\n'), false)
+})
@@ -0,0 +1,40 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { scan } from '../src/scanner.js'
+import { runDetectors, defineDetector } from '../src/detectors.js'
+import { renderAutoSections } from '../src/generator.js'
+import { makeTree } from './helpers.js'
+
+const broken = defineDetector({ id: 'broken', detect() { throw new Error('bad input') } })
+const fine = defineDetector({ id: 'fine', detect: () => ({ stack: [{ name: 'Fine', note: 'detected' }] }) })
+
+test('a failing detector throws without onError', t => {
+  const result = scan(makeTree(t, { 'a.js': 'x' }))
+  assert.throws(() => runDetectors(result, [broken, fine]), /Detector "broken" failed: bad input/)
+})
+
+test('with onError the other detectors still run', t => {
+  const result = scan(makeTree(t, { 'a.js': 'x' }))
+  const errors = []
+  const detected = runDetectors(result, [broken, fine], { onError: err => errors.push(err.message) })
+  assert.deepEqual(errors, ['Detector "broken" failed: bad input'])
+  assert.deepEqual(detected.stack.map(item => item.name), ['Fine'])
+})
+
+test('renderAutoSections skips a failing detector when asked to', t => {
+  const result = scan(makeTree(t, { 'a.js': 'x' }))
+  const errors = []
+  const bodies = renderAutoSections(result, null, { detectors: [broken, fine], onDetectorError: err => errors.push(err) })
+  assert.equal(errors.length, 1)
+  assert.equal(bodies.stack, '- **Fine**: detected')
+})
+
+test('built-in detectors read scripts and the lockfile package manager', t => {
+  const result = scan(makeTree(t, {
+    'package.json': JSON.stringify({ scripts: { test: 'vitest run', build: 'tsc' }, devDependencies: { vitest: '1' } }),
+    'pnpm-lock.yaml': 'lockfileVersion: 9\n',
+  }))
+  const detected = runDetectors(result)
+  assert.equal(detected.packageManager, 'pnpm')
+  assert.ok(detected.commands.some(c => c.command === 'pnpm test'), JSON.stringify(detected.commands))
+})
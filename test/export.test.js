@@ -0,0 +1,84 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { renderReport, SCHEMA_VERSION } from '../src/export.js'
+import { CACHE_DIR } from '../src/cache.js'
+import { analyze } from '../src/analyzer.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'pack.js')
+
+function project(t) {
+  const dir = makeTree(t, {
+    'docs/a|b.md': 'a long page of notes\n'.repeat(20),
+    'notes/x,"y".txt': 'short\n',
+    'logs/app.log': 'line\n',
+    'src/index.js': 'export const a = 1\n',
+  })
+  const result = scan(dir)
+  return { result, analysis: analyze(result, { largeFileThreshold: 100 }) }
+}
+
+test('json reports carry the schema, the scan and the analysis', t => {
+  const { result, analysis } = project(t)
+  const report = JSON.parse(renderReport('json', 'scan', result, analysis))
+
+  assert.equal(report.schema, 'claude-context-pack/report')
+  assert.equal(report.schemaVersion, SCHEMA_VERSION)
+  assert.equal(report.command, 'scan')
+  assert.equal(report.scan.fileCount, 4)
+  assert.deepEqual(report.analysis.suggestions.map(s => s.pattern), ['logs/'])
+  assert.deepEqual(report.analysis.largeFiles.map(f => f.relPath), ['docs/a|b.md'])
+})
+
+test('csv quotes fields with delimiters and quotes', t => {
+  const { result, analysis } = project(t)
+  const rows = renderReport('csv', 'scan', result, analysis).trimEnd().split('\n')
+
+  assert.equal(rows[0], 'relPath,ext,size,tokens,isBinary,bloatCategory,bloatReason')
+  assert.ok(rows.some(r => r.startsWith('"notes/x,""y"".txt",.txt,')), rows.join('\n'))
+  assert.ok(rows.some(r => r.startsWith('logs/app.log,.log,') && r.includes(',logs,')), rows.join('\n'))
+
+  const suggest = renderReport('csv', 'suggest', result, analysis).split('\n')
+  assert.equal(suggest[0], 'pattern,category,priority,tokenSavings,fileCount,reason,confidence')
+  assert.match(suggest[1], /^logs\/,logs,/)
+})
+
+test('markdown escapes pipes in every table and list', t => {
+  const { result, analysis } = project(t)
+  const markdown = renderReport('markdown', 'scan', result, analysis)
+
+  assert.match(markdown, /^# Context report/)
+  assert.match(markdown, /\| `docs\/a\\\|b\.md` \| \d+ \|/)
+  assert.match(markdown, /## Large files \(review manually\)\n\n- `docs\/a\\\|b\.md` — /)
+  assert.doesNotMatch(markdown, /[^\\]\|b\.md/)
+})
+
+test('sarif has one result per suggestion and large file', t => {
+  const { result, analysis } = project(t)
+  const sarif = JSON.parse(renderReport('sarif', 'suggest', result, analysis))
+  const [run] = sarif.runs
+
+  assert.equal(sarif.version, '2.1.0')
+  assert.deepEqual(run.tool.driver.rules.map(r => r.id), ['bloat/logs', 'large-file'])
+  assert.deepEqual(run.results.map(r => [r.ruleId, r.locations[0].physicalLocation.artifactLocation.uri]), [
+    ['bloat/logs', 'logs/app.log'],
+    ['large-file', 'docs/a|b.md'],
+  ])
+})
+
+test('an unknown --format fails before the scan', t => {
+  const dir = makeTree(t, { 'src/index.js': 'x' })
+  for (const args of [['scan', '--format', 'yaml'], ['pack', '--format', 'html'], ['compare', '--proposed', '--format', 'csv']]) {
+    const run = spawnSync(process.execPath, [BIN, ...args, ...(args[0] === 'compare' ? [] : [dir])], { cwd: dir, encoding: 'utf8' })
+    assert.equal(run.status, 1)
+    assert.match(run.stderr, new RegExp(`Unknown format "${args.at(-1)}"`))
+    assert.equal(run.stdout, '')
+  }
+  assert.equal(fs.existsSync(path.join(dir, CACHE_DIR)), false)
+  assert.throws(() => renderReport('yaml', 'scan', scan(dir), analyze(scan(dir))), /Unknown format "yaml"/)
+})
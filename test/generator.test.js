@@ -0,0 +1,125 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import {
+  mergeClaudeIgnore,
+  splitGeneratedBlock,
+  updateClaudeMd,
+  writeFiles,
+  GENERATED_BLOCK_START,
+  GENERATED_BLOCK_END,
+} from '../src/generator.js'
+import { parseIgnoreLines } from '../src/ignore.js'
+import { analyze } from '../src/analyzer.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+/**
+ * Analyze `files` as `generate --merge` does: against the user's lines only.
+ */
+function analyzeFor(t, files, existing) {
+  const dir = makeTree(t, files)
+  const lines = parseIgnoreLines(splitGeneratedBlock(existing).user)
+  return analyze(scan(dir, { claudeignore: lines }))
+}
+
+const FILES = {
+  'logs/app.log': 'line\n',
+  'coverage/lcov.info': 'TN:\n',
+  'dist/bundle.js': 'x\n',
+  'src/index.js': 'export const a = 1\n',
+}
+
+test('merge keeps the user lines and adds only uncovered suggestions in the block', t => {
+  const existing = '# mine\ndist\n*.log\n'
+  const { content, added } = mergeClaudeIgnore(existing, analyzeFor(t, FILES, existing))
+
+  assert.deepEqual(added.map(s => s.pattern), ['coverage/'])
+  assert.ok(content.startsWith('# mine\ndist\n*.log\n\n' + GENERATED_BLOCK_START + '\n'), content)
+  assert.ok(content.endsWith(GENERATED_BLOCK_END + '\n'))
+  assert.deepEqual(parseIgnoreLines(splitGeneratedBlock(content).block), ['coverage/'])
+})
+
+test('merging again replaces the block and is stable', t => {
+  const first = mergeClaudeIgnore('dist/\n', analyzeFor(t, FILES, 'dist/\n')).content
+  const second = mergeClaudeIgnore(first, analyzeFor(t, FILES, first)).content
+  assert.equal(second, first)
+  assert.equal(second.split(GENERATED_BLOCK_START).length, 2)
+
+  // Once the user lists everything, the block goes away
+  const covered = 'dist/\nlogs/\ncoverage/\n'
+  assert.deepEqual(mergeClaudeIgnore(covered + '\n' + splitGeneratedBlock(first).block + '\n', analyzeFor(t, FILES, covered)), {
+    content: covered,
+    added: [],
+  })
+})
+
+test('a user re-include wins over a suggestion, but not over a sensitive file', t => {
+  const existing = 'logs/\n!logs/keep.log\n!.env\n'
+  const files = { ...FILES, 'logs/keep.log': 'keep\n', '.env': 'TOKEN=1\n' }
+  const { added } = mergeClaudeIgnore(existing, analyzeFor(t, files, existing))
+  const patterns = added.map(s => s.pattern)
+
+  assert.ok(patterns.includes('/.env'), patterns.join(', '))
+  assert.ok(!patterns.some(p => p.startsWith('logs')), patterns.join(', '))
+})
+
+const CLAUDE_MD = [
+  '# Project',
+  '',
+  'Hand-written intro.',
+  '',
+  '## Tech Stack',
+  '',
+  '<!-- context-pack:start stack -->',
+  '- **Express**: Node.js web server',
+  '<!-- context-pack:end stack -->',
+  '',
+  '## Commands',
+  '',
+  '<!-- context-pack:start commands -->',
+  '- `npm test`',
+  '<!-- context-pack:end commands -->',
+  '',
+  '<!-- context-pack:start custom -->',
+  'left alone',
+  '<!-- context-pack:end custom -->',
+  '',
+].join('\n')
+
+test('updateClaudeMd rewrites stale marked sections and keeps everything else', () => {
+  const update = updateClaudeMd(CLAUDE_MD, { stack: '- **Fastify**: Node.js web server\n', commands: '- `npm test`\n', 'key-files': '- `src/index.js`\n' })
+
+  assert.deepEqual(update.stale, ['stack'])
+  assert.deepEqual(update.current, ['commands'])
+  assert.deepEqual(update.unmarked, ['key-files'])
+  assert.ok(update.content.includes('Hand-written intro.'))
+  assert.ok(update.content.includes('- **Fastify**: Node.js web server'))
+  assert.ok(!update.content.includes('Express'))
+  assert.ok(update.content.includes('<!-- context-pack:start custom -->\nleft alone\n'))
+})
+
+test('updateClaudeMd empties a section with nothing detected and leaves an up-to-date file as is', () => {
+  const emptied = updateClaudeMd(CLAUDE_MD, { commands: '- `npm test`\n' })
+  assert.deepEqual(emptied.stale, ['stack'])
+  assert.ok(emptied.content.includes('<!-- context-pack:start stack -->\n<!-- context-pack:end stack -->'))
+
+  const same = updateClaudeMd(CLAUDE_MD, { stack: '- **Express**: Node.js web server', commands: '- `npm test`' })
+  assert.deepEqual(same.stale, [])
+  assert.equal(same.content, CLAUDE_MD)
+})
+
+test('writeFiles skips existing files unless merging, updating or overwriting', t => {
+  const dir = makeTree(t, { '.claudeignore': 'mine\n', 'CLAUDE.md': '# old\n' })
+  const read = name => fs.readFileSync(path.join(dir, name), 'utf8')
+
+  assert.deepEqual(writeFiles(dir, { claudeignore: 'new\n', claudeMd: '# new\n' }), { written: [], skipped: ['.claudeignore', 'CLAUDE.md'], unchanged: [] })
+  assert.equal(read('.claudeignore'), 'mine\n')
+
+  assert.deepEqual(writeFiles(dir, { claudeignore: 'mine\n', claudeMd: '# new\n' }, { merge: true, update: true }), { written: ['CLAUDE.md'], skipped: [], unchanged: ['.claudeignore'] })
+  assert.equal(read('CLAUDE.md'), '# new\n')
+
+  assert.deepEqual(writeFiles(dir, { claudeignore: 'new\n' }, { overwrite: true }).written, ['.claudeignore'])
+  assert.equal(read('.claudeignore'), 'new\n')
+})
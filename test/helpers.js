@@ -0,0 +1,41 @@
+/**
+ * helpers.js — shared fixtures for the test suite
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Write `files` ({ relPath: content }, a trailing `/` for an empty
+ * directory) into a fresh temp directory that is removed after test `t`.
+ * Returns the directory.
+ */
+export function makeTree(t, files = {}) {
+  const dir = fs.realpathSync(fs.mkdtempSync(path.join(os.tmpdir(), 'ccp-test-')))
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }))
+  writeTree(dir, files)
+  return dir
+}
+
+/**
+ * Write `files` into an existing directory.
+ */
+export function writeTree(dir, files) {
+  for (const [relPath, content] of Object.entries(files)) {
+    const abs = path.join(dir, relPath)
+    if (relPath.endsWith('/')) {
+      fs.mkdirSync(abs, { recursive: true })
+      continue
+    }
+    fs.mkdirSync(path.dirname(abs), { recursive: true })
+    fs.writeFileSync(abs, content)
+  }
+}
+
+/**
+ * Sorted, /-separated relPaths of a scan result's files.
+ */
+export function scannedPaths(result) {
+  return result.files.map(f => f.relPath.replace(/\\/g, '/')).sort()
+}
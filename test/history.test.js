@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseGitLog, annotateHistory } from '../src/history.js'
+import { analyze } from '../src/analyzer.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+const DAY_S = 24 * 60 * 60
+
+test('parseGitLog counts churn and keeps the newest commit per file', () => {
+  const log = [
+    `\0${1000 * DAY_S}\n\nsrc/a.js\n"sp\\"a\\tce.txt"\n`,
+    `\0${900 * DAY_S}\n\nsrc/a.js\nsrc/b.js\n`,
+    '\0not-a-time\n\nignored.js\n',
+  ].join('')
+  const { files, headMs, commits } = parseGitLog(log)
+
+  assert.equal(commits, 2)
+  assert.equal(headMs, 1000 * DAY_S * 1000)
+  assert.deepEqual(files.get('src/a.js'), { lastCommitMs: 1000 * DAY_S * 1000, churn: 2 })
+  assert.deepEqual(files.get('src/b.js'), { lastCommitMs: 900 * DAY_S * 1000, churn: 1 })
+  assert.ok(files.has('sp"a\tce.txt'))
+  assert.equal(files.has('ignored.js'), false)
+})
+
+/**
+ * Scan a tree with one large, old file and one large, recent one.
+ */
+function historyProject(t) {
+  const big = 'const value = 1\n'.repeat(1000)
+  const result = scan(makeTree(t, { 'old.js': big, 'new.js': big, 'untracked.js': big }))
+  const headMs = 1000 * DAY_S * 1000
+  return annotateHistory(result, {
+    headMs,
+    commits: 2,
+    truncated: false,
+    files: new Map([
+      ['old.js', { lastCommitMs: headMs - 800 * DAY_S * 1000, churn: 1 }],
+      ['new.js', { lastCommitMs: headMs, churn: 1 }],
+    ]),
+  })
+}
+
+test('stale files are advisory and never count as bloat', t => {
+  const result = historyProject(t)
+  const analysis = analyze(result)
+
+  assert.deepEqual(analysis.advisoryFiles.map(f => [f.relPath, f.bloatCategory]), [['old.js', 'stale']])
+  assert.equal(analysis.bloatFiles.length, 0)
+  assert.equal(analysis.bloatTokens, 0)
+  assert.equal(analysis.grade, analyze(result, { disabledRules: ['stale'] }).grade)
+  assert.ok(analysis.suggestions.some(s => s.category === 'stale' && s.pattern === '/old.js'))
+
+  // Files git doesn't track are only large, never stale
+  assert.deepEqual(analysis.largeFiles.map(f => f.relPath).sort(), ['new.js', 'untracked.js'])
+})
+
+test('staleAfterDays and disableRules control stale detection', t => {
+  const result = historyProject(t)
+  assert.equal(analyze(result, { staleAfterDays: 801 }).advisoryFiles.length, 0)
+  assert.equal(analyze(result, { staleAfterDays: 800 }).advisoryFiles.length, 1)
+  assert.equal(analyze(result, { disabledRules: ['stale'] }).advisoryFiles.length, 0)
+})
@@ -0,0 +1,107 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { parseIgnoreLines, compileIgnoreRules, isPathIgnored, literalPattern } from '../src/ignore.js'
+
+const CORPUS = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'gitignore-corpus.txt')
+
+/**
+ * Parse the corpus into [{ title, files: [{ base, lines }], paths: [{ relPath, isDir, ignored }] }].
+ */
+function loadCorpus() {
+  const cases = []
+  let current = null
+  let inPaths = false
+
+  for (const line of fs.readFileSync(CORPUS, 'utf8').split('\n')) {
+    if (line.startsWith('=== ')) {
+      current = { title: line.slice(4), files: [{ base: '', lines: [] }], paths: [] }
+      cases.push(current)
+      inPaths = false
+    } else if (!current) {
+      continue
+    } else if (line === '---') {
+      inPaths = true
+    } else if (inPaths) {
+      if (!line.trim()) continue
+      const [entry, expected] = line.trim().split(/\s+/)
+      assert.ok(expected === 'ignored' || expected === 'kept', `bad expectation in "${current.title}": ${line}`)
+      current.paths.push({ relPath: entry.replace(/\/$/, ''), isDir: entry.endsWith('/'), ignored: expected === 'ignored' })
+    } else if (line.startsWith('@ ')) {
+      current.files.push({ base: line.slice(2).trim(), lines: [] })
+    } else if (line) {
+      current.files.at(-1).lines.push(line)
+    }
+  }
+  return cases
+}
+
+const corpus = loadCorpus()
+
+function compileCase(c) {
+  return c.files.flatMap(f => compileIgnoreRules(parseIgnoreLines(f.lines.join('\n')), f.base))
+}
+
+for (const c of corpus) {
+  test(`gitignore: ${c.title}`, () => {
+    const rules = compileCase(c)
+    for (const p of c.paths) {
+      assert.equal(isPathIgnored(p.relPath, rules, p.isDir), p.ignored, `${p.relPath} should be ${p.ignored ? 'ignored' : 'kept'}`)
+    }
+  })
+}
+
+const hasGit = spawnSync('git', ['--version']).status === 0
+
+test('gitignore corpus agrees with git check-ignore', { skip: !hasGit && 'git is not installed' }, () => {
+  const env = { ...process.env, GIT_CONFIG_GLOBAL: os.devNull, GIT_CONFIG_NOSYSTEM: '1' }
+
+  for (const c of corpus) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ccp-gitignore-'))
+    try {
+      for (const p of c.paths) {
+        const abs = path.join(dir, p.relPath)
+        if (p.isDir) {
+          fs.mkdirSync(abs, { recursive: true })
+        } else {
+          fs.mkdirSync(path.dirname(abs), { recursive: true })
+          fs.writeFileSync(abs, '')
+        }
+      }
+      for (const f of c.files) {
+        fs.mkdirSync(path.join(dir, f.base), { recursive: true })
+        fs.writeFileSync(path.join(dir, f.base, '.gitignore'), f.lines.join('\n') + '\n')
+      }
+      spawnSync('git', ['init', '-q'], { cwd: dir, env })
+
+      const result = spawnSync('git', ['check-ignore', '--no-index', '--stdin'], {
+        cwd: dir,
+        env,
+        input: c.paths.map(p => p.relPath).join('\n') + '\n',
+        encoding: 'utf8',
+      })
+      const ignored = new Set(result.stdout.split('\n').filter(Boolean))
+      for (const p of c.paths) {
+        assert.equal(ignored.has(p.relPath), p.ignored, `git disagrees on ${p.relPath} in "${c.title}"`)
+      }
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true })
+    }
+  }
+})
+
+test('parseIgnoreLines drops comments and blanks and keeps escaped trailing spaces', () => {
+  assert.deepEqual(parseIgnoreLines('# comment\n\na.txt  \r\nb\\ \n \n'), ['a.txt', 'b\\ '])
+})
+
+test('literalPattern escapes glob characters and anchors root files', () => {
+  assert.equal(literalPattern('notes[1].md'), '/notes\\[1\\].md')
+  assert.equal(literalPattern('src\\a*.js'), 'src/a\\*.js')
+  const rules = compileIgnoreRules([literalPattern('src/a*.js')])
+  assert.equal(isPathIgnored('src/a*.js', rules), true)
+  assert.equal(isPathIgnored('src/ab.js', rules), false)
+})
@@ -0,0 +1,131 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseJsImports, parsePythonImports, findUnreferenced } from '../src/imports.js'
+import { analyze } from '../src/analyzer.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+test('parseJsImports finds static specifiers and flags computed ones', () => {
+  const text = [
+    "import a from './a.js'",
+    "import './side-effect'",
+    "export { b } from '../b'",
+    "const c = require('./c')",
+    "const d = await import('./d.mjs')",
+    "new Worker('./worker.js')",
+    'const e = import(`./static`)',
+  ].join('\n')
+  const { specs, dynamic } = parseJsImports(text)
+  assert.deepEqual(specs.sort(), ['../b', './a.js', './c', './d.mjs', './side-effect', './worker.js'])
+  assert.equal(dynamic, false)
+
+  assert.equal(parseJsImports('require(name)').dynamic, true)
+  assert.equal(parseJsImports('import(`./locale/${lang}.js`)').dynamic, true)
+})
+
+test('parsePythonImports handles relative, aliased and multi-line imports', () => {
+  const text = [
+    'import os, pkg.util as u  # comment',
+    'from . import sibling',
+    'from ..core import (',
+    '    Engine,',
+    '    run as go,',
+    ')',
+    'from pkg.mod import a, \\',
+    '    b',
+  ].join('\n')
+  assert.deepEqual(parsePythonImports(text), [
+    { module: 'os', level: 0, names: [] },
+    { module: 'pkg.util', level: 0, names: [] },
+    { module: '', level: 1, names: ['sibling'] },
+    { module: 'core', level: 2, names: ['Engine', 'run'] },
+    { module: 'pkg.mod', level: 0, names: ['a', 'b'] },
+  ])
+})
+
+function project(t, extra = {}) {
+  return makeTree(t, {
+    'package.json': JSON.stringify({ name: 'app', main: 'src/index.js' }),
+    'src/index.js': "import { a } from './lib/a.js'\n// see helper for the slow path\n",
+    'src/lib/a.js': 'export const a = 1\n',
+    'src/lib/helper.js': 'export const h = 1\n',
+    'src/lib/orphan.js': 'export const o = 1\n',
+    'src/lib/old-utils.js': 'export const u = 1\n',
+    ...extra,
+  })
+}
+
+test('findUnreferenced rates its findings', t => {
+  const dir = project(t, { 'src/plugins/one.js': 'export default {}\n', 'src/plugins/two.js': 'export default {}\n' })
+  const { entries, findings } = findUnreferenced(scan(dir))
+  const confidence = Object.fromEntries(findings.map(f => [f.pattern, f.confidence]))
+
+  assert.ok(entries.includes('src/index.js'))
+  assert.deepEqual(confidence, {
+    'src/lib/old-utils.js': 'high',
+    'src/lib/orphan.js': 'medium',
+    'src/lib/helper.js': 'medium',
+    'src/plugins/': 'low',
+  })
+})
+
+test('dynamic imports lower every finding to low confidence', t => {
+  const dir = project(t, {
+    'src/index.js': "import './load.js'\n",
+    'src/load.js': 'export const load = name => import(name)\n',
+  })
+  // A leftover-looking name stays high
+  const findings = findUnreferenced(scan(dir)).findings.filter(f => f.pattern !== 'src/lib/old-utils.js')
+  assert.ok(findings.length > 0)
+  assert.ok(findings.every(f => f.confidence === 'low'), JSON.stringify(findings))
+})
+
+test('the graph uses the imports the scan recorded', t => {
+  const result = scan(project(t))
+  const index = result.files.find(f => f.relPath.replace(/\\/g, '/') === 'src/index.js')
+  assert.deepEqual(index.imports, { imports: ['./lib/a.js'], dynamic: false })
+
+  // Without the recorded edge, a.js is no longer reached
+  index.imports = { imports: [], dynamic: false }
+  const unreferenced = findUnreferenced(result).findings.flatMap(f => f.files)
+  assert.ok(unreferenced.includes('src/lib/a.js'), unreferenced.join(', '))
+})
+
+test('only high-confidence findings count as bloat', t => {
+  const result = scan(project(t, { 'src/plugins/one.js': 'export default {}\n', 'src/plugins/two.js': 'export default {}\n' }))
+  const { findings } = findUnreferenced(result)
+  const analysis = analyze(result, { unreferenced: findings })
+  const baseline = analyze(result)
+
+  const bloat = analysis.bloatFiles.filter(f => f.bloatCategory === 'unreferenced').map(f => f.bloatPattern).sort()
+  const advisory = analysis.advisoryFiles.map(f => f.bloatPattern).sort()
+  assert.deepEqual(bloat, ['src/lib/old-utils.js'])
+  assert.deepEqual(advisory, ['src/lib/helper.js', 'src/lib/orphan.js', 'src/plugins/', 'src/plugins/'])
+
+  const highTokens = analysis.bloatFiles.filter(f => f.bloatCategory === 'unreferenced').reduce((sum, f) => sum + f.tokens, 0)
+  assert.equal(analysis.bloatTokens, baseline.bloatTokens + highTokens)
+  assert.ok(analysis.suggestions.some(s => s.pattern === 'src/plugins/' && s.confidence === 'low'))
+})
+
+test('wildcard exports make their targets entry points', t => {
+  const dir = makeTree(t, {
+    'package.json': JSON.stringify({
+      name: 'lib',
+      exports: { '.': './src/index.js', './utils/*': './src/utils/*.js', './feature/*': './dist/features/*/index.js' },
+    }),
+    'src/index.js': 'export const main = 1\n',
+    'src/utils/format.js': 'export const format = 1\n',
+    'src/utils/deep/parse.js': 'export const parse = 1\n',
+    'src/features/search/index.ts': 'export const search = 1\n',
+    'src/internal.js': 'export const internal = 1\n',
+  })
+  const result = scan(dir)
+  const { entries, findings } = findUnreferenced(result)
+
+  for (const relPath of ['src/utils/format.js', 'src/utils/deep/parse.js', 'src/features/search/index.ts']) {
+    assert.ok(entries.includes(relPath), relPath)
+  }
+  assert.deepEqual(findings.map(f => [f.pattern, f.confidence]), [['src/internal.js', 'medium']])
+  const analysis = analyze(result, { unreferenced: findings })
+  assert.equal(analysis.bloatTokens, 0)
+})
@@ -0,0 +1,85 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import { scan, scanAsync } from '../src/scanner.js'
+import { makeTree, scannedPaths } from './helpers.js'
+
+test('nested ignore files apply only beneath their directory', async t => {
+  const dir = makeTree(t, {
+    '.gitignore': '*.tmp\n',
+    'a.tmp': 'x',
+    'keep.txt': 'x',
+    'pkg/.gitignore': '/out/\n!keep.tmp\n',
+    'pkg/out/bundle.js': 'x',
+    'pkg/keep.tmp': 'x',
+    'pkg/src/out/real.js': 'x',
+    'other/out/file.js': 'x',
+    'pkg/.claudeignore': 'notes.md\n',
+    'pkg/notes.md': 'x',
+    'notes.md': 'x',
+  })
+
+  const expected = [
+    '.gitignore', 'keep.txt', 'notes.md', 'other/out/file.js',
+    'pkg/.claudeignore', 'pkg/.gitignore', 'pkg/keep.tmp', 'pkg/src/out/real.js',
+  ]
+  assert.deepEqual(scannedPaths(scan(dir)), expected)
+  assert.deepEqual(scannedPaths(await scanAsync(dir)), expected)
+})
+
+test('git excludes and parent .gitignore files resolve against the work tree', t => {
+  const repo = makeTree(t, {
+    '.git/info/exclude': '/sub/x.txt\n',
+    '.gitignore': 'y.txt\n/sub/deep/\n',
+    'sub/.gitignore': '/w.txt\n',
+    'sub/x.txt': 'x',
+    'sub/y.txt': 'x',
+    'sub/w.txt': 'x',
+    'sub/z.txt': 'x',
+    'sub/deep/d.txt': 'x',
+    'sub/inner/x.txt': 'x',
+  })
+
+  const result = scan(path.join(repo, 'sub'))
+  assert.deepEqual(scannedPaths(result), ['.gitignore', 'inner/x.txt', 'z.txt'])
+  assert.ok(result.ignoreSources.includes(path.join(repo, '.gitignore')))
+})
+
+test('linked worktrees read info/exclude from the common git directory', t => {
+  const root = makeTree(t, {
+    'main/.git/info/exclude': '/secret.txt\n',
+    'main/.git/worktrees/wt/commondir': '../..\n',
+    'wt/secret.txt': 'x',
+    'wt/app.js': 'x',
+    'wt/.git': 'gitdir: ../main/.git/worktrees/wt\n',
+  })
+
+  assert.deepEqual(scannedPaths(scan(path.join(root, 'wt'))), ['app.js'])
+})
+
+test('respectGitignore: false skips every git source', t => {
+  const repo = makeTree(t, {
+    '.git/info/exclude': 'x.txt\n',
+    '.gitignore': 'y.txt\n',
+    'x.txt': 'x',
+    'y.txt': 'x',
+  })
+  assert.deepEqual(scannedPaths(scan(repo, { respectGitignore: false })), ['.gitignore', 'x.txt', 'y.txt'])
+})
+
+test('no ignore file can re-include .git or the cache directory', async t => {
+  const dir = makeTree(t, {
+    '.git/HEAD': 'ref: refs/heads/main\n',
+    '.git/info/exclude': '!*/\n!.git/\n',
+    '.gitignore': '!*/\n!.git\n',
+    '.claudeignore': '!.contextpack-cache/\n!**/.git/**\n',
+    '.contextpack-cache/scan.json': '{}',
+    'vendor/lib/.git': 'gitdir: ../../.git/modules/lib\n',
+    'vendor/lib/index.js': 'x',
+  })
+
+  const expected = ['.claudeignore', '.gitignore', 'vendor/lib/index.js']
+  assert.deepEqual(scannedPaths(scan(dir)), expected)
+  assert.deepEqual(scannedPaths(await scanAsync(dir)), expected)
+  assert.deepEqual(scannedPaths(scan(dir, { defaultIgnore: [] })), expected)
+})
@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { spawnSync } from 'child_process'
+import { fileURLToPath } from 'url'
+import { simulateIgnore } from '../src/simulate.js'
+import { scan } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+const BIN = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'bin', 'pack.js')
+
+function project(t) {
+  return makeTree(t, {
+    '.claudeignore': 'dist/\n',
+    'dist/bundle.js': 'x\n',
+    'logs/app.log': 'line\n',
+    'src/index.js': 'export const a = 1\n',
+  })
+}
+
+test('patterns the current .claudeignore already covers are not reported as matching nothing', t => {
+  const dir = project(t)
+  const lines = ['dist/', '/dist', 'logs/', 'coverage/']
+  const sim = simulateIgnore({
+    before: scan(dir),
+    after: scan(dir, { claudeignore: lines }),
+    current: scan(dir, { claudeignore: [] }),
+    lines,
+  })
+
+  assert.deepEqual(sim.patterns.filter(p => p.files.length > 0).map(p => p.pattern), ['logs/'])
+  assert.deepEqual(sim.alreadyExcluded.map(p => [p.pattern, p.files.map(f => f.relPath)]), [
+    ['dist/', ['dist/bundle.js']],
+    ['/dist', ['dist/bundle.js']],
+  ])
+  assert.deepEqual(sim.unmatched.map(p => p.pattern), ['coverage/'])
+})
+
+test('without the current scan every idle pattern counts as unmatched', t => {
+  const dir = project(t)
+  const sim = simulateIgnore({ before: scan(dir), after: scan(dir, { claudeignore: ['dist/'] }), lines: ['dist/'] })
+  assert.deepEqual(sim.unmatched.map(p => p.pattern), ['dist/'])
+  assert.deepEqual(sim.alreadyExcluded, [])
+})
+
+/**
+ * Run the CLI in `dir` and return its stdout.
+ */
+function run(dir, ...args) {
+  const result = spawnSync(process.execPath, [BIN, ...args, dir, '--no-cache'], { encoding: 'utf8', env: { ...process.env, NO_COLOR: '1' } })
+  assert.equal(result.status, 0, result.stderr)
+  return result.stdout
+}
+
+test('generate --dry-run follows the write decision for an existing .claudeignore', t => {
+  const dir = project(t)
+
+  const kept = run(dir, 'generate', '--dry-run', '--no-claudemd')
+  assert.match(kept, /\.claudeignore already exists and would be left as is/)
+  assert.doesNotMatch(kept, /Simulated \.claudeignore/)
+
+  assert.match(run(dir, 'generate', '--dry-run', '--no-claudemd', '--overwrite'), /Simulated \.claudeignore {2}— generated \.claudeignore/)
+  assert.match(run(dir, 'generate', '--dry-run', '--no-claudemd', '--merge'), /— merged \.claudeignore/)
+
+  // Sensitive files are still added to a kept file, so that is what is simulated
+  fs.writeFileSync(path.join(dir, '.env'), 'TOKEN=1\n')
+  const secured = run(dir, 'generate', '--dry-run', '--no-claudemd')
+  assert.match(secured, /— \.claudeignore with sensitive files excluded/)
+  assert.match(secured, /\.env/)
+  assert.equal(fs.readFileSync(path.join(dir, '.claudeignore'), 'utf8'), 'dist/\n')
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import path from 'path'
+import { loadTokenizer, createHeuristicTokenizer, createBpeTokenizer } from '../src/tokenizer.js'
+import { scan, scanAsync } from '../src/scanner.js'
+import { makeTree } from './helpers.js'
+
+test('the heuristic tokenizer counts characters, whole or streamed', () => {
+  const tokenizer = createHeuristicTokenizer(4)
+  assert.equal(tokenizer.count('abcdefghi'), 3)
+  const counter = tokenizer.createCounter()
+  counter.push('abcd')
+  counter.push('efghi')
+  assert.equal(counter.total(), 3)
+  assert.equal(tokenizer.estimateSize(4096), 1024)
+})
+
+test('the bpe estimator prices words and applies per-language calibration', () => {
+  const tokenizer = createBpeTokenizer()
+  assert.equal(tokenizer.count('hello world'), 2)
+  assert.ok(tokenizer.count('{"a": 1}', { ext: '.json' }) >= tokenizer.count('{"a": 1}', { ext: '.txt' }))
+  assert.ok(tokenizer.count('数据处理') > tokenizer.count('data'))
+})
+
+test('loadTokenizer rejects unknown names and a custom tokenizer without a module', async () => {
+  await assert.rejects(loadTokenizer('tiktoken'), /Unknown tokenizer "tiktoken"/)
+  await assert.rejects(loadTokenizer('custom'), /requires --tokenizer-module/)
+})
+
+/**
+ * Write a custom tokenizer module whose countTokens body is `body`.
+ */
+function customModule(t, body) {
+  const dir = makeTree(t, { 'count.mjs': `export const name = 'words'\nexport function countTokens(text, file) {\n${body}\n}\n` })
+  return path.join(dir, 'count.mjs')
+}
+
+test('a custom tokenizer counts with the user module', async t => {
+  const tokenizer = await loadTokenizer('custom', { module: customModule(t, 'return text.split(/\\s+/).filter(Boolean).length + 0.5') })
+  assert.equal(tokenizer.label, 'custom (words)')
+  assert.equal(tokenizer.count('one two three'), 4)
+})
+
+test('custom tokenizer failures name the module and file and fail the scan', async t => {
+  const throwing = await loadTokenizer('custom', { module: customModule(t, "if (file.relPath === 'bad.txt') throw new Error('boom')\nreturn 1") })
+  const dir = makeTree(t, { 'good.txt': 'fine', 'bad.txt': 'broken' })
+
+  assert.throws(() => scan(dir, { tokenizer: throwing }), /count\.mjs: countTokens failed on bad\.txt: boom/)
+  await assert.rejects(scanAsync(dir, { tokenizer: throwing }), /countTokens failed on bad\.txt: boom/)
+
+  for (const [body, got] of [['return "12"', 'string'], ['return NaN', 'NaN'], ['return -1', '-1'], ['return undefined', 'undefined']]) {
+    const tokenizer = await loadTokenizer('custom', { module: customModule(t, body) })
+    assert.throws(() => tokenizer.count('x', { relPath: 'a.txt' }), new RegExp(`on a\\.txt: expected a non-negative number, got ${got}`))
+  }
+})
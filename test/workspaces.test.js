@@ -0,0 +1,92 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { scan } from '../src/scanner.js'
+import { detectWorkspaces, packageOf, parsePnpmWorkspace, parseGoWork } from '../src/workspaces.js'
+import { makeTree } from './helpers.js'
+
+function detect(t, files) {
+  return detectWorkspaces(scan(makeTree(t, files)))
+}
+
+test('npm workspaces resolve globs with negation against scanned packages', t => {
+  const ws = detect(t, {
+    'package.json': JSON.stringify({ workspaces: ['packages/*', '!packages/legacy'] }),
+    'packages/web/package.json': JSON.stringify({ name: '@acme/web' }),
+    'packages/api/package.json': JSON.stringify({ name: '@acme/api' }),
+    'packages/legacy/package.json': JSON.stringify({ name: 'legacy' }),
+    'packages/web/node_modules/dep/package.json': '{}',
+    'tools/package.json': '{}',
+  })
+  assert.deepEqual(ws.tools, ['npm'])
+  assert.deepEqual(ws.packages.map(p => [p.dir, p.name]), [['packages/api', '@acme/api'], ['packages/web', '@acme/web']])
+})
+
+test('pnpm-workspace.yaml wins and Turborepo is reported alongside', t => {
+  const ws = detect(t, {
+    'pnpm-workspace.yaml': "packages:\n  - 'apps/*' # apps\n  - \"libs/**\"\nother: x\n",
+    'turbo.json': '{}',
+    'apps/site/package.json': JSON.stringify({ name: 'site' }),
+    'libs/ui/core/package.json': JSON.stringify({ name: 'ui-core' }),
+  })
+  assert.deepEqual(ws.tools, ['pnpm', 'turbo'])
+  assert.deepEqual(ws.packages.map(p => p.dir), ['apps/site', 'libs/ui/core'])
+})
+
+test('parsePnpmWorkspace stops at the next top-level key', () => {
+  assert.deepEqual(parsePnpmWorkspace("packages:\n  - a/*\n  - 'b'\ncatalog:\n  - c\n"), ['a/*', 'b'])
+})
+
+test('cargo workspaces honor members and exclude', t => {
+  const ws = detect(t, {
+    'Cargo.toml': '[workspace]\nmembers = ["crates/*"]\nexclude = ["crates/old"]\n',
+    'crates/core/Cargo.toml': '[package]\nname = "acme-core"\n',
+    'crates/old/Cargo.toml': '[package]\nname = "old"\n',
+  })
+  assert.deepEqual(ws.packages.map(p => [p.dir, p.name, p.kind]), [['crates/core', 'acme-core', 'cargo']])
+})
+
+test('a single nested go.mod is not a Go workspace', t => {
+  const ws = detect(t, {
+    'go.mod': 'module example.com/app\n',
+    'tools/go.mod': 'module example.com/app/tools\n',
+  })
+  assert.deepEqual(ws, { tools: [], packages: [] })
+})
+
+test('vendored and testdata modules do not count toward a Go workspace', t => {
+  const ws = detect(t, {
+    'go.mod': 'module example.com/app\n',
+    'vendor/example.com/lib/go.mod': 'module example.com/lib\n',
+    'internal/testdata/mod/go.mod': 'module example.com/fixture\n',
+    'tools/go.mod': 'module example.com/app/tools\n',
+  })
+  assert.deepEqual(ws.packages, [])
+})
+
+test('two nested modules, or a go.work, make a Go workspace', t => {
+  const several = detect(t, {
+    'svc/a/go.mod': 'module example.com/a\n',
+    'svc/b/go.mod': 'module example.com/b\n',
+  })
+  assert.deepEqual(several.tools, ['go'])
+  assert.deepEqual(several.packages.map(p => p.name), ['example.com/a', 'example.com/b'])
+
+  const work = detect(t, {
+    'go.work': 'go 1.22\n\nuse (\n  ./api // service\n)\nuse ./cli\n',
+    'api/go.mod': 'module example.com/api\n',
+    'cli/go.mod': 'module example.com/cli\n',
+    'scratch/go.mod': 'module example.com/scratch\n',
+  })
+  assert.deepEqual(work.packages.map(p => p.dir), ['api', 'cli'])
+})
+
+test('parseGoWork reads block and single use directives', () => {
+  assert.deepEqual(parseGoWork('use (\n\t./a\n\t./b/ // comment\n)\nuse ./c\n'), ['a', 'b', 'c'])
+})
+
+test('packageOf picks the deepest package', () => {
+  const packages = [{ dir: 'packages' }, { dir: 'packages/web' }]
+  assert.equal(packageOf('packages/web/src/a.js', packages).dir, 'packages/web')
+  assert.equal(packageOf('packages/readme.md', packages).dir, 'packages')
+  assert.equal(packageOf('src/a.js', packages), null)
+})